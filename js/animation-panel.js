@@ -0,0 +1,134 @@
+import { ANIMATION_LOOPS } from "./model-animation.js";
+
+/**
+ * 动画面板：片段列表、播放/暂停/停止、循环方式、交叉淡化时长、速度、时间轴。
+ *
+ * 设置类字段（autoplay/loop/fadeSec/speed）通过 name 属性对应 settings 字段，变化时回调 onChange，
+ * 持久化交给调用方；播放控制直接调用 animation（见 model-animation.js）。
+ * 面板打开时由渲染循环调用 sync() 刷新时间轴，换模型后调用 refresh() 重建片段列表。
+ *
+ * @param {object} args
+ * @param {HTMLElement} args.panelEl 面板根节点
+ * @param {ReturnType<typeof import('./model-animation.js').createModelAnimator>} args.animation
+ * @param {(settings: typeof import('./model-animation.js').DEFAULT_ANIMATION_SETTINGS) => void} args.onChange
+ * @param {(text: string) => void} args.setStatus
+ */
+export function createAnimationPanel({ panelEl, animation, onChange, setStatus }) {
+  const field = (name) => panelEl.querySelector(`[name="${name}"]`);
+  const clipEl = field("clip");
+  const timeEl = field("time");
+  const timeLabelEl = panelEl.querySelector("[data-time]");
+  const speedLabelEl = panelEl.querySelector("[data-speed]");
+  const pauseBtn = panelEl.querySelector('[data-action="pause"]');
+  // scrubbing：拖动时间轴期间不要用播放进度覆盖滑块
+  let scrubbing = false;
+
+  for (const l of ANIMATION_LOOPS) {
+    const opt = document.createElement("option");
+    opt.value = l.id;
+    opt.textContent = l.label;
+    field("loop").appendChild(opt);
+  }
+
+  writeSettings(animation.settings);
+  refresh();
+
+  panelEl.addEventListener("input", (e) => {
+    if (e.target === timeEl) {
+      scrubbing = true;
+      animation.seek(Number(timeEl.value));
+      return;
+    }
+    if (e.target === clipEl) return;
+    animation.setSettings(readSettings());
+    writeSettings(animation.settings);
+    onChange(animation.settings);
+  });
+
+  panelEl.addEventListener("change", (e) => {
+    if (e.target === timeEl) scrubbing = false;
+    // 选了片段就直接播（和“播放”按钮一样）
+    if (e.target === clipEl) playSelected();
+  });
+
+  panelEl.addEventListener("click", (e) => {
+    const action = e.target?.dataset?.action;
+    if (action === "play") {
+      playSelected();
+    } else if (action === "pause") {
+      animation.setPaused(!animation.getState().paused);
+    } else if (action === "stop") {
+      animation.stop();
+    } else if (action === "close") {
+      setOpen(false);
+    }
+    sync();
+  });
+
+  function playSelected() {
+    if (!clipEl.value) return;
+    animation.play(clipEl.value).catch((err) => setStatus(err.message));
+  }
+
+  function readSettings() {
+    return {
+      autoplay: field("autoplay").checked,
+      loop: field("loop").value,
+      fadeSec: field("fadeSec").value,
+      speed: field("speed").value
+    };
+  }
+
+  function writeSettings(settings) {
+    field("autoplay").checked = settings.autoplay;
+    field("loop").value = settings.loop;
+    field("fadeSec").value = String(settings.fadeSec);
+    field("speed").value = String(settings.speed);
+    speedLabelEl.textContent = `${settings.speed.toFixed(2)}×`;
+  }
+
+  /**
+   * 按当前模型重建片段列表（换模型后调用）。
+   */
+  function refresh() {
+    const { clips } = animation.getState();
+    clipEl.replaceChildren();
+    for (const name of clips) {
+      const opt = document.createElement("option");
+      opt.value = name;
+      opt.textContent = name || "（未命名）";
+      clipEl.appendChild(opt);
+    }
+    for (const el of panelEl.querySelectorAll("[data-has-clips]")) el.hidden = clips.length === 0;
+    panelEl.querySelector("[data-empty]").hidden = clips.length > 0;
+    sync();
+  }
+
+  /**
+   * 刷新播放状态与时间轴（面板打开时每帧调用）。
+   */
+  function sync() {
+    const state = animation.getState();
+    if (state.current !== null && clipEl.value !== state.current) clipEl.value = state.current;
+    const pauseText = state.paused ? "继续" : "暂停";
+    if (pauseBtn.textContent !== pauseText) pauseBtn.textContent = pauseText;
+    timeEl.max = String(state.duration || 1);
+    if (!scrubbing) timeEl.value = String(state.time);
+    const text = `${state.time.toFixed(2)} / ${state.duration.toFixed(2)} s`;
+    if (timeLabelEl.textContent !== text) timeLabelEl.textContent = text;
+  }
+
+  function setOpen(open) {
+    panelEl.hidden = !open;
+    if (open) sync();
+  }
+
+  return {
+    get open() {
+      return !panelEl.hidden;
+    },
+    setOpen,
+    refresh,
+    sync
+  };
+}
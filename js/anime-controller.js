@@ -1,18 +1,29 @@
 import * as THREE from "three";
+import { getAnimeStyle } from "./anime-styles.js";
+import { createToonOutline, disposeToonOutline, normalizeOutlineSettings, updateToonOutline } from "./toon-outline.js";
 
 /**
  * “二次元/卡通风格”控制器：
  * - MeshToonMaterial 分层光照（通过 gradientMap 控制分段）
- * - 简易描边（BackSide 放大一圈）
+ * - 描边（背面外扩，粗细按屏幕像素算，蒙皮/morph 网格同样适用，见 toon-outline.js）
  * - 渐变天空（ShaderMaterial）
  * - 地面圆盘 + 纹理（CanvasTexture）
  * - 闪光粒子（Points + 自制星形贴图）
+ * - 风格预设（分段/边缘光/描边/天空/地面花纹/粒子），见 anime-styles.js，setStyle() 切换
  *
  * 设计目标：不依赖后处理（postprocessing），尽量保持“最小可运行”。
  */
-export function createAnimeController({ scene, dirLight }) {
-  // Toon 分段纹理：越小分段越“硬”，更二次元；这里用 5 段
-  const toonGradientMap = createToonGradientMap(5);
+export function createAnimeController({ scene, dirLight, outlineSettings, style: styleId }) {
+  // style：当前风格预设
+  let style = getAnimeStyle(styleId);
+  // Toon 分段纹理：分段数/每段颜色由风格预设决定（模型、地面、房间共用同一张）
+  const toonGradientMap = createToonGradientMap();
+  // 模型卡通材质共用的风格 uniform（边缘光/饱和度），改 value 即时生效
+  const styleUniforms = {
+    rimColor: { value: new THREE.Color() },
+    rimStrength: { value: 0 },
+    toonSaturation: { value: 1 }
+  };
   // 天空/地面/粒子是“环境”，常驻场景
   const sky = createGradientSky();
   scene.add(sky);
@@ -23,13 +34,25 @@ export function createAnimeController({ scene, dirLight }) {
   // 房间：墙/地/顶（前方留空，方便看模型）
   const room = createRoom(toonGradientMap);
   scene.add(room.group);
+  // 环境的卡通材质也按彩色分段着色（不加边缘光）
+  for (const obj of [ground, room.group]) {
+    obj.traverse((o) => {
+      if (o.material?.isMeshToonMaterial) patchToonShader(o.material);
+    });
+  }
 
   // enabled：是否开启二次元效果（材质/环境都会受影响）
   let enabled = true;
   // roomEnabled：是否显示房间环境（显示时会隐藏天空/地面圆盘）
   let roomEnabled = false;
+  // externalBackground：场景背景由别处提供（HDRI 背景），渐变天空让位
+  let externalBackground = false;
   // currentRoot：当前模型的根节点（gltf.scene）
   let currentRoot = null;
+  // outline：描边设置；outlineResolution：画布尺寸（CSS 像素），所有描边材质共用这个 uniform
+  let outline = normalizeOutlineSettings({ ...style.outline, ...outlineSettings });
+  const outlineResolution = { value: new THREE.Vector2(1, 1) };
+  applyStyleResources();
 
   /**
    * 开关二次元风格。
@@ -50,6 +73,64 @@ export function createAnimeController({ scene, dirLight }) {
     updateEnvironmentStyle();
   }
 
+  /**
+   * 场景背景由外部接管时（显示 HDRI 背景）隐藏渐变天空，否则天空会把背景整个盖住。
+   * @param {boolean} active
+   */
+  function setExternalBackground(active) {
+    externalBackground = Boolean(active);
+    updateEnvironmentStyle();
+  }
+
+  /**
+   * 切换风格预设：分段纹理/边缘光/粒子/地面花纹原地更新，描边按预设改，天空/地面颜色走 updateEnvironmentStyle。
+   * @param {string} nextStyleId 见 anime-styles.js 的 ANIME_STYLES
+   */
+  function setStyle(nextStyleId) {
+    style = getAnimeStyle(nextStyleId);
+    applyStyleResources();
+    setOutlineSettings(style.outline);
+    updateEnvironmentStyle();
+  }
+
+  // 预设里和开关无关的部分：共享纹理/uniform/粒子材质
+  function applyStyleResources() {
+    writeToonRamp(toonGradientMap, style.gradient);
+    styleUniforms.rimColor.value.set(style.rim.color);
+    styleUniforms.rimStrength.value = style.rim.strength;
+    styleUniforms.toonSaturation.value = style.saturation;
+    drawGroundPattern(ground.material.map, style.ground);
+    sparkles.material.color.set(style.sparkles.color);
+    sparkles.material.size = style.sparkles.size;
+    sparkles.material.opacity = style.sparkles.opacity;
+  }
+
+  /**
+   * 更新描边设置（粗细/颜色/顶点色控制粗细/开关），已有的描边直接改 uniform。
+   * @param {Partial<typeof import('./toon-outline.js').DEFAULT_OUTLINE_SETTINGS>} next
+   */
+  function setOutlineSettings(next) {
+    const wasEnabled = outline.enabled;
+    outline = normalizeOutlineSettings({ ...outline, ...next });
+    if (!currentRoot) return;
+    if (outline.enabled !== wasEnabled) {
+      applyAnimeStyle(currentRoot, enabled);
+      return;
+    }
+    currentRoot.traverse((obj) => {
+      if (obj.userData?._outlineMesh) updateToonOutline(obj.userData._outlineMesh, outline);
+    });
+  }
+
+  /**
+   * 画布尺寸变化时调用（描边粗细按像素算，需要知道画布多大）。
+   * @param {number} width CSS 像素
+   * @param {number} height CSS 像素
+   */
+  function setResolution(width, height) {
+    outlineResolution.value.set(Math.max(width, 1), Math.max(height, 1));
+  }
+
   /**
    * 设置当前模型根节点（用于对模型 mesh 应用 toon/描边）。
    * @param {import('three').Object3D} root
@@ -106,28 +187,29 @@ export function createAnimeController({ scene, dirLight }) {
   }
 
   function updateEnvironmentStyle() {
-    // 天空渐变：二次元更亮更粉；关闭时变暗（与页面底色一致）
-    sky.material.uniforms.topColor.value.set(enabled ? 0x60a5fa : 0x0b1220);
-    sky.material.uniforms.bottomColor.value.set(enabled ? 0xfbcfe8 : 0x0b1220);
-    // 地面：开启更亮更不透明，关闭更暗更透明
+    // 天空渐变：开启时按风格预设；关闭时变暗（与页面底色一致）
+    sky.material.uniforms.topColor.value.set(enabled ? style.sky.top : 0x0b1220);
+    sky.material.uniforms.bottomColor.value.set(enabled ? style.sky.bottom : 0x0b1220);
+    // 地面：开启按风格预设，关闭更暗更透明
     ground.visible = !roomEnabled;
-    ground.material.color.set(enabled ? 0xf8fafc : 0x111827);
-    ground.material.opacity = enabled ? 0.96 : 0.45;
+    ground.material.color.set(enabled ? style.ground.color : 0x111827);
+    ground.material.opacity = enabled ? style.ground.opacity : 0.45;
     ground.material.transparent = true;
     ground.material.needsUpdate = true;
-    // 粒子只在二次元开启时显示
-    sparkles.visible = enabled;
+    // 粒子只在二次元开启、且预设带粒子时显示
+    sparkles.visible = enabled && style.sparkles.enabled;
 
-    // 房间环境：显示时隐藏天空（避免“穿帮”），并按 enabled 调整配色/窗光
+    // 房间环境 / HDRI 背景：显示时隐藏天空（避免“穿帮”），房间按 enabled 调整配色/窗光
     room.group.visible = roomEnabled;
-    sky.visible = !roomEnabled;
+    sky.visible = !roomEnabled && !externalBackground;
     room.setStyleEnabled(enabled);
   }
 
   /**
    * 对模型 Mesh 应用 toon + 描边。
    * - 原始材质会缓存到 userData._origMaterial
-   * - Toon 材质会缓存到 userData._toonMaterial（避免重复创建）
+   * - Toon 材质会缓存到 userData._toonMaterial（避免重复创建；多材质时是同样长度的数组）
+   * - VRM 的 MToon 材质本身就是卡通着色（自带描边 pass），保持原样，只参与阴影
    */
   function applyAnimeStyle(root, styleEnabled) {
     root.traverse((obj) => {
@@ -142,22 +224,24 @@ export function createAnimeController({ scene, dirLight }) {
       if (!obj.userData._origMaterial) {
         obj.userData._origMaterial = obj.material;
       }
+      if ([].concat(obj.userData._origMaterial).some((m) => m?.isMToonMaterial)) return;
 
       if (styleEnabled) {
         if (!obj.userData._toonMaterial) {
           obj.userData._toonMaterial = toToonMaterial(obj.userData._origMaterial);
         }
         obj.material = obj.userData._toonMaterial;
-        if (obj.material?.isMeshToonMaterial) {
+        for (const material of [].concat(obj.material)) {
+          if (!material?.isMeshToonMaterial) continue;
           // SkinnedMesh/morph 需要显式打开开关，否则动画/表情会失效
-          if (obj.isSkinnedMesh) obj.material.skinning = true;
+          if (obj.isSkinnedMesh) material.skinning = true;
           if (obj.morphTargetInfluences) {
-            obj.material.morphTargets = true;
-            obj.material.morphNormals = true;
+            material.morphTargets = true;
+            material.morphNormals = true;
           }
-          obj.material.needsUpdate = true;
+          material.needsUpdate = true;
         }
-        ensureOutline(obj, true);
+        ensureOutline(obj, outline.enabled);
       } else {
         obj.material = obj.userData._origMaterial;
         ensureOutline(obj, false);
@@ -165,52 +249,48 @@ export function createAnimeController({ scene, dirLight }) {
     });
   }
 
+  /**
+   * 原材质 → 卡通材质。
+   * - 多材质（数组，按 geometry.groups 分段）逐个一一转换，子网格各用各的颜色/贴图
+   * - 不需要光照的保持原样：KHR_materials_unlit（GLTFLoader 转成 MeshBasicMaterial）和只有自发光的材质
+   * - 贴图直接复用原来的 Texture 对象，offset/repeat/rotation/uv 通道（KHR_texture_transform）跟着带过来
+   */
   function toToonMaterial(original) {
-    // 多材质时这里只取第一个做“代表”，属于简化处理（最小示例）
-    const pick = Array.isArray(original) ? original[0] : original;
-    const toon = new THREE.MeshToonMaterial({
-      color: pick?.color?.clone?.() ?? new THREE.Color(0xffffff),
-      map: pick?.map ?? null,
-      transparent: Boolean(pick?.transparent),
-      opacity: pick?.opacity ?? 1,
-      side: pick?.side ?? THREE.FrontSide,
-      alphaTest: pick?.alphaTest ?? 0,
-      gradientMap: toonGradientMap
-    });
-    if (pick?.emissive) toon.emissive.copy(pick.emissive);
-    if (pick?.emissiveMap) toon.emissiveMap = pick.emissiveMap;
+    if (Array.isArray(original)) return original.map((m) => toToonMaterial(m));
+    if (!original || isUnlit(original)) return original;
+    const toon = new THREE.MeshToonMaterial({ gradientMap: toonGradientMap });
+    patchToonShader(toon, styleUniforms);
+    for (const key of TOON_CARRY_OVER) {
+      const value = original[key];
+      if (value === undefined || !(key in toon)) continue;
+      if (value?.isColor || value?.isVector2) toon[key].copy(value);
+      else toon[key] = value;
+    }
+    // 旧版 three 的蒙皮/morph 开关（新版按网格自动判断，这里照抄不影响）
+    for (const key of ["skinning", "morphTargets", "morphNormals"]) {
+      if (original[key] !== undefined) toon[key] = original[key];
+    }
     return toon;
   }
 
   function ensureOutline(mesh, outlineEnabled) {
-    // SkinnedMesh 做几何缩放描边会有穿帮/变形风险，最小示例先跳过
-    if (mesh.isSkinnedMesh) return;
     if (outlineEnabled) {
       if (mesh.userData._outlineMesh) return;
-      // 用 BackSide + 略放大实现描边（不需要后处理）
-      const outlineMat = new THREE.MeshBasicMaterial({
-        color: 0x111827,
-        side: THREE.BackSide,
-        transparent: true,
-        opacity: 0.95,
-        depthWrite: false,
-        polygonOffset: true,
-        polygonOffsetFactor: 1,
-        polygonOffsetUnits: 1
+      // 颜色/粗细按原材质（可能带 glTF extras 里的描边设置），和卡通材质一一对应
+      const outlineMesh = createToonOutline(mesh, {
+        settings: outline,
+        resolution: outlineResolution,
+        sourceMaterial: mesh.userData._origMaterial
       });
-      const outline = new THREE.Mesh(mesh.geometry, outlineMat);
-      outline.frustumCulled = false;
-      outline.scale.setScalar(1.03);
-      outline.userData._isOutline = true;
-      mesh.add(outline);
-      mesh.userData._outlineMesh = outline;
+      mesh.add(outlineMesh);
+      mesh.userData._outlineMesh = outlineMesh;
       return;
     }
 
-    const outline = mesh.userData._outlineMesh;
-    if (!outline) return;
-    mesh.remove(outline);
-    outline.material.dispose();
+    const outlineMesh = mesh.userData._outlineMesh;
+    if (!outlineMesh) return;
+    mesh.remove(outlineMesh);
+    disposeToonOutline(outlineMesh);
     mesh.userData._outlineMesh = null;
   }
 
@@ -221,8 +301,18 @@ export function createAnimeController({ scene, dirLight }) {
     get roomEnabled() {
       return roomEnabled;
     },
+    get outlineSettings() {
+      return outline;
+    },
+    get style() {
+      return style.id;
+    },
     setEnabled,
     setRoomEnabled,
+    setExternalBackground,
+    setOutlineSettings,
+    setResolution,
+    setStyle,
     setCurrentRoot,
     updateForModel,
     update
@@ -580,27 +670,109 @@ function createRoom(gradientMap) {
   return { group, updateForModel, setStyleEnabled };
 }
 
+// 转卡通材质时从原材质带过来的属性（MeshToonMaterial 没有的自动跳过）
+const TOON_CARRY_OVER = [
+  "name",
+  "color",
+  "map",
+  "normalMap",
+  "normalMapType",
+  "normalScale",
+  "bumpMap",
+  "bumpScale",
+  "alphaMap",
+  "aoMap",
+  "aoMapIntensity",
+  "lightMap",
+  "lightMapIntensity",
+  "emissive",
+  "emissiveMap",
+  "emissiveIntensity",
+  "vertexColors",
+  "transparent",
+  "opacity",
+  "alphaTest",
+  "alphaHash",
+  "side",
+  "depthWrite"
+];
+
 /**
- * 生成 toon 的分段纹理（gradientMap）。
- * steps 越小分层越明显；一般 3~6 段比较“动画片”。
+ * 不需要（也不该）套光照的材质：unlit 扩展、或者底色全黑只靠自发光（屏幕、灯片、眼睛高光之类）。
  */
-function createToonGradientMap(steps) {
-  const data = new Uint8Array(steps * 4);
-  for (let i = 0; i < steps; i++) {
-    const v = Math.round((i / (steps - 1)) * 255);
-    data[i * 4 + 0] = v;
-    data[i * 4 + 1] = v;
-    data[i * 4 + 2] = v;
-    data[i * 4 + 3] = 255;
-  }
-  const tex = new THREE.DataTexture(data, steps, 1, THREE.RGBAFormat);
-  tex.needsUpdate = true;
+function isUnlit(material) {
+  if (material.isMeshBasicMaterial || material.userData?.gltfExtensions?.KHR_materials_unlit) return true;
+  const emissive = Boolean(material.emissiveMap) || (material.emissive?.getHex() ?? 0) > 0;
+  return emissive && !material.map && material.color?.getHex() === 0;
+}
+
+// 分段纹理固定宽度：分段数变化时原地重写像素（不用换纹理对象、不用改材质）
+const TOON_RAMP_WIDTH = 256;
+
+/**
+ * 生成 toon 的分段纹理（gradientMap），内容由 writeToonRamp() 填。
+ */
+function createToonGradientMap() {
+  const data = new Uint8Array(TOON_RAMP_WIDTH * 4);
+  const tex = new THREE.DataTexture(data, TOON_RAMP_WIDTH, 1, THREE.RGBAFormat);
   tex.minFilter = THREE.NearestFilter;
   tex.magFilter = THREE.NearestFilter;
   tex.generateMipmaps = false;
   return tex;
 }
 
+/**
+ * 写分段纹理：steps 段灰阶（越少分层越明显，一般 3~6 段比较“动画片”），或 colors 每段一个颜色（暗→亮）。
+ * 纹理是 Nearest 采样，每段占 1/段数 的宽度，和“每段一个像素”的纹理分层位置一样。
+ */
+function writeToonRamp(tex, { steps, colors }) {
+  const levels = colors?.length
+    ? colors.map((c) => new THREE.Color(c))
+    : Array.from({ length: Math.max(steps ?? 5, 2) }, (_, i, all) => {
+        const v = i / (all.length - 1);
+        return new THREE.Color(v, v, v);
+      });
+  const data = tex.image.data;
+  for (let i = 0; i < TOON_RAMP_WIDTH; i++) {
+    const level = levels[Math.min(Math.floor((i * levels.length) / TOON_RAMP_WIDTH), levels.length - 1)];
+    data[i * 4 + 0] = Math.round(level.r * 255);
+    data[i * 4 + 1] = Math.round(level.g * 255);
+    data[i * 4 + 2] = Math.round(level.b * 255);
+    data[i * 4 + 3] = 255;
+  }
+  tex.needsUpdate = true;
+}
+
+/**
+ * 改 MeshToonMaterial 的着色器：
+ * - 分段纹理按 RGB 取（three 自带的只读 R 通道），自定义颜色的分段才有色彩
+ * - 传了 styleUniforms 时再加边缘光和饱和度（模型材质用；环境材质不加）
+ */
+function patchToonShader(material, styleUniforms = null) {
+  material.onBeforeCompile = (shader) => {
+    shader.fragmentShader = shader.fragmentShader.replace(
+      "#include <gradientmap_pars_fragment>",
+      THREE.ShaderChunk.gradientmap_pars_fragment.replace(
+        "texture2D( gradientMap, coord ).r",
+        "texture2D( gradientMap, coord ).rgb"
+      )
+    );
+    if (!styleUniforms) return;
+    Object.assign(shader.uniforms, styleUniforms);
+    shader.fragmentShader = shader.fragmentShader
+      .replace("void main() {", "uniform vec3 rimColor;\nuniform float rimStrength;\nuniform float toonSaturation;\nvoid main() {")
+      .replace(
+        "#include <opaque_fragment>",
+        `// 边缘光：法线越侧对相机越亮；再按饱和度往灰阶拉
+        float rim = 1.0 - saturate( dot( normal, normalize( vViewPosition ) ) );
+        outgoingLight += rimColor * rimStrength * pow( rim, 3.0 );
+        outgoingLight = mix( vec3( luminance( outgoingLight ) ), outgoingLight, toonSaturation );
+        #include <opaque_fragment>`
+      );
+  };
+  material.customProgramCacheKey = () => (styleUniforms ? "toon-style" : "toon-ramp");
+}
+
 /**
  * 渐变天空：用 shader 在球体内侧画上下渐变。
  * 注意：天空 mesh 会在 update() 里跟随相机位置移动，避免视差。
@@ -658,13 +830,27 @@ function createGround(gradientMap) {
 }
 
 /**
- * 生成地面纹理（纯 Canvas 绘制，避免引入图片资源）。
+ * 生成地面纹理（纯 Canvas 绘制，避免引入图片资源）；花纹由 drawGroundPattern() 按风格预设画。
  */
 function createGroundTexture() {
   const canvas = document.createElement("canvas");
   canvas.width = 512;
   canvas.height = 512;
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  tex.wrapS = THREE.ClampToEdgeWrapping;
+  tex.wrapT = THREE.ClampToEdgeWrapping;
+  tex.anisotropy = 2;
+  return tex;
+}
+
+/**
+ * 画地面花纹：中心亮、边缘淡的底 + 花纹（rings 同心圆 / grid 网格 / dots 网点 / none 无）。
+ */
+function drawGroundPattern(tex, { pattern, lineColor }) {
+  const canvas = tex.image;
   const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, 512, 512);
 
   const grd = ctx.createRadialGradient(256, 256, 10, 256, 256, 256);
   grd.addColorStop(0, "rgba(255,255,255,0.95)");
@@ -672,20 +858,37 @@ function createGroundTexture() {
   ctx.fillStyle = grd;
   ctx.fillRect(0, 0, 512, 512);
 
-  ctx.strokeStyle = "rgba(15, 23, 42, 0.08)";
+  ctx.strokeStyle = lineColor;
+  ctx.fillStyle = lineColor;
   ctx.lineWidth = 2;
-  for (let r = 40; r <= 240; r += 40) {
-    ctx.beginPath();
-    ctx.arc(256, 256, r, 0, Math.PI * 2);
-    ctx.stroke();
+  if (pattern === "rings") {
+    for (let r = 40; r <= 240; r += 40) {
+      ctx.beginPath();
+      ctx.arc(256, 256, r, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  } else if (pattern === "grid") {
+    for (let x = 32; x < 512; x += 32) {
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, 512);
+      ctx.moveTo(0, x);
+      ctx.lineTo(512, x);
+      ctx.stroke();
+    }
+  } else if (pattern === "dots") {
+    // 网点（漫画网点纸）：越靠外点越小
+    for (let y = 12; y < 512; y += 24) {
+      for (let x = 12; x < 512; x += 24) {
+        const r = 5 * (1 - Math.hypot(x - 256, y - 256) / 362);
+        if (r <= 0.5) continue;
+        ctx.beginPath();
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
   }
-
-  const tex = new THREE.CanvasTexture(canvas);
-  tex.colorSpace = THREE.SRGBColorSpace;
-  tex.wrapS = THREE.ClampToEdgeWrapping;
-  tex.wrapT = THREE.ClampToEdgeWrapping;
-  tex.anisotropy = 2;
-  return tex;
+  tex.needsUpdate = true;
 }
 
 /**
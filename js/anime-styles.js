@@ -0,0 +1,78 @@
+/**
+ * 卡通风格预设：分层光照、边缘光、描边、天空、地面花纹、闪光粒子一起切换。
+ *
+ * 由 anime-controller.js 的 setStyle() 应用（切换时当前模型和环境立刻生效）；
+ * 只影响“场景”开关打开时的样子，关闭时仍是统一的暗色环境 + 原材质。
+ *
+ * 颜色都写成 CSS 颜色字符串（sRGB），由控制器转成 THREE.Color。
+ *
+ * @typedef {object} AnimeStyle
+ * @property {string} id
+ * @property {string} label 下拉菜单显示的名字
+ * @property {{steps?: number, colors?: string[]}} gradient 分层光照：steps 段灰阶，或 colors 自定义每段颜色（暗→亮）
+ * @property {{strength: number, color: string}} rim 边缘光（0 关闭）
+ * @property {number} saturation 模型颜色饱和度（1 原样，0 灰阶）
+ * @property {{enabled: boolean, widthPx: number, color: string}} outline 描边，见 toon-outline.js
+ * @property {{top: string, bottom: string}} sky 天空渐变
+ * @property {{color: string, opacity: number, pattern: "rings"|"grid"|"dots"|"none", lineColor: string}} ground 地面圆盘
+ * @property {{enabled: boolean, color: string, size: number, opacity: number}} sparkles 闪光粒子
+ */
+
+/** @type {AnimeStyle[]} */
+export const ANIME_STYLES = [
+  {
+    id: "daylight",
+    label: "白天动画",
+    gradient: { steps: 5 },
+    rim: { strength: 0, color: "#ffffff" },
+    saturation: 1,
+    outline: { enabled: true, widthPx: 2, color: "#111827" },
+    sky: { top: "#60a5fa", bottom: "#fbcfe8" },
+    ground: { color: "#f8fafc", opacity: 0.96, pattern: "rings", lineColor: "rgba(15, 23, 42, 0.08)" },
+    sparkles: { enabled: true, color: "#ffffff", size: 0.03, opacity: 0.85 }
+  },
+  {
+    id: "cel-noir",
+    label: "黑色赛璐璐",
+    gradient: { colors: ["#1e1b4b", "#ffffff"] },
+    rim: { strength: 0.8, color: "#93c5fd" },
+    saturation: 0.8,
+    outline: { enabled: true, widthPx: 3, color: "#000000" },
+    sky: { top: "#020617", bottom: "#334155" },
+    ground: { color: "#475569", opacity: 0.9, pattern: "grid", lineColor: "rgba(148, 163, 184, 0.25)" },
+    sparkles: { enabled: false, color: "#93c5fd", size: 0.02, opacity: 0.6 }
+  },
+  {
+    id: "pastel",
+    label: "粉彩",
+    gradient: { colors: ["#a5b4fc", "#f9a8d4", "#ffffff"] },
+    rim: { strength: 0.35, color: "#fdf2f8" },
+    saturation: 0.85,
+    outline: { enabled: true, widthPx: 1.5, color: "#9d4b8a" },
+    sky: { top: "#c7d2fe", bottom: "#fce7f3" },
+    ground: { color: "#fdf2f8", opacity: 0.96, pattern: "dots", lineColor: "rgba(236, 72, 153, 0.18)" },
+    sparkles: { enabled: true, color: "#f9a8d4", size: 0.04, opacity: 0.9 }
+  },
+  {
+    id: "manga",
+    label: "漫画黑白",
+    gradient: { colors: ["#262626", "#a3a3a3", "#ffffff"] },
+    rim: { strength: 0, color: "#ffffff" },
+    saturation: 0,
+    outline: { enabled: true, widthPx: 2.5, color: "#000000" },
+    sky: { top: "#ffffff", bottom: "#e5e5e5" },
+    ground: { color: "#ffffff", opacity: 0.98, pattern: "dots", lineColor: "rgba(0, 0, 0, 0.35)" },
+    sparkles: { enabled: false, color: "#ffffff", size: 0.03, opacity: 0.85 }
+  }
+];
+
+export const DEFAULT_ANIME_STYLE = "daylight";
+
+/**
+ * 按 id 取预设（未知 id 回退到默认预设，旧设置/手改的设置不会出错）。
+ * @param {string} id
+ * @returns {AnimeStyle}
+ */
+export function getAnimeStyle(id) {
+  return ANIME_STYLES.find((s) => s.id === id) ?? ANIME_STYLES.find((s) => s.id === DEFAULT_ANIME_STYLE);
+}
@@ -0,0 +1,96 @@
+import { DEFAULT_CALIBRATION, DEPTH_METHODS, measureScreenFromCard, normalizeCalibration } from "./calibration.js";
+
+/**
+ * 标定面板：把表单读写成 calibration profile。
+ *
+ * 表单字段通过 name 属性对应 profile 字段（cameraOffsetCm 拆成 cameraOffsetX/Y/Z 三个输入框）。
+ * 任何输入变化都会立即回调 onChange（实时预览），持久化交给调用方。
+ *
+ * @param {object} args
+ * @param {HTMLElement} args.panelEl 面板根节点
+ * @param {typeof DEFAULT_CALIBRATION} args.initial 初始标定
+ * @param {(profile: typeof DEFAULT_CALIBRATION) => void} args.onChange
+ */
+export function createCalibrationPanel({ panelEl, initial, onChange }) {
+  const field = (name) => panelEl.querySelector(`[name="${name}"]`);
+  const cardEl = panelEl.querySelector(".calib-card");
+  const cardWidthEl = field("cardWidthPx");
+
+  for (const m of DEPTH_METHODS) {
+    const opt = document.createElement("option");
+    opt.value = m.id;
+    opt.textContent = m.label;
+    field("depthMethod").appendChild(opt);
+  }
+
+  writeForm(normalizeCalibration(initial));
+  syncCard();
+
+  panelEl.addEventListener("input", (e) => {
+    if (e.target === cardWidthEl) {
+      syncCard();
+      return;
+    }
+    onChange(readForm());
+  });
+
+  panelEl.addEventListener("click", (e) => {
+    const action = e.target?.dataset?.action;
+    if (action === "measure") {
+      // 银行卡比对：屏幕 CSS 像素 / 每厘米像素数 => 屏幕物理尺寸
+      const measured = measureScreenFromCard(Number(cardWidthEl.value), window.screen);
+      field("screenWidthCm").value = String(measured.screenWidthCm);
+      field("screenHeightCm").value = String(measured.screenHeightCm);
+      onChange(readForm());
+    } else if (action === "reset") {
+      writeForm({ ...DEFAULT_CALIBRATION, enabled: field("enabled").checked });
+      onChange(readForm());
+    } else if (action === "close") {
+      setOpen(false);
+    }
+  });
+
+  function readForm() {
+    return normalizeCalibration({
+      enabled: field("enabled").checked,
+      screenWidthCm: field("screenWidthCm").value,
+      screenHeightCm: field("screenHeightCm").value,
+      viewDistanceCm: field("viewDistanceCm").value,
+      cameraOffsetCm: [field("cameraOffsetX").value, field("cameraOffsetY").value, field("cameraOffsetZ").value],
+      cameraFovDeg: field("cameraFovDeg").value,
+      depthMethod: field("depthMethod").value,
+      viewerIpdCm: field("viewerIpdCm").value,
+      worldUnitsPerCm: field("worldUnitsPerCm").value
+    });
+  }
+
+  function writeForm(profile) {
+    field("enabled").checked = profile.enabled;
+    field("screenWidthCm").value = String(profile.screenWidthCm);
+    field("screenHeightCm").value = String(profile.screenHeightCm);
+    field("viewDistanceCm").value = String(profile.viewDistanceCm);
+    field("cameraOffsetX").value = String(profile.cameraOffsetCm[0]);
+    field("cameraOffsetY").value = String(profile.cameraOffsetCm[1]);
+    field("cameraOffsetZ").value = String(profile.cameraOffsetCm[2]);
+    field("cameraFovDeg").value = String(profile.cameraFovDeg);
+    field("depthMethod").value = profile.depthMethod;
+    field("viewerIpdCm").value = String(profile.viewerIpdCm);
+    field("worldUnitsPerCm").value = String(profile.worldUnitsPerCm);
+  }
+
+  function syncCard() {
+    cardEl.style.width = `${Number(cardWidthEl.value)}px`;
+  }
+
+  function setOpen(open) {
+    panelEl.hidden = !open;
+  }
+
+  return {
+    get open() {
+      return !panelEl.hidden;
+    },
+    setOpen,
+    readForm
+  };
+}
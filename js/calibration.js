@@ -0,0 +1,109 @@
+import { loadSettings, saveSettings } from "./settings.js";
+
+/**
+ * 显示器物理标定（裸眼3D 用）。
+ *
+ * 未标定时，off-axis 的“屏幕矩形”只是按模型尺寸估出来的，视差和真实显示器对不上。
+ * 标定后：
+ * - 屏幕矩形的宽高按真实厘米数换算成世界单位
+ * - 默认观察距离 = 真实观看距离
+ * - 摄像头追踪得到的头部位置按“摄像头相对屏幕中心的偏移”换算到屏幕坐标系
+ *
+ * 坐标约定（单位 cm）：以屏幕中心为原点，x 向右、y 向上、z 指向观察者。
+ */
+export const DEFAULT_CALIBRATION = {
+  // 是否启用物理标定（关闭时沿用“按模型尺寸”的近似）
+  enabled: false,
+  // 显示器可视区域的物理宽高（默认按 24 寸 16:9 估算）
+  screenWidthCm: 53.1,
+  screenHeightCm: 29.9,
+  // 观察者眼睛到屏幕平面的默认距离
+  viewDistanceCm: 60,
+  // 摄像头镜头相对屏幕中心的偏移 [x,y,z]（常见：装在屏幕上沿正中 => y 为正）
+  cameraOffsetCm: [0, 16.5, 0],
+  // 摄像头水平视场角（度），用于把画面坐标换算成厘米
+  cameraFovDeg: 60,
+  // 摄像头深度估计方式（见 DEPTH_METHODS）
+  depthMethod: "iris",
+  // 观察者瞳距（cm），depthMethod = "ipd" 时用来换算绝对距离
+  viewerIpdCm: 6.3,
+  // 世界单位 / 厘米；0 表示自动（让模型刚好撑满屏幕高度），0.01 表示“1 世界单位 = 1 米”的真实比例
+  worldUnitsPerCm: 0
+};
+
+/**
+ * 摄像头深度估计方式：
+ * - iris：虹膜直径（成人约 11.7mm，个体差异很小）+ 摄像头视场角 => 绝对距离
+ * - ipd：瞳距（可配置）+ 视场角 => 绝对距离，对低分辨率摄像头更稳
+ * - relative：旧算法，以开始追踪时的眼距为参考的相对深度（不需要标定）
+ */
+export const DEPTH_METHODS = [
+  { id: "iris", label: "虹膜尺寸" },
+  { id: "ipd", label: "瞳距" },
+  { id: "relative", label: "相对（首帧参考）" }
+];
+
+// 银行卡（ISO/IEC 7810 ID-1）宽度，用于“拿卡比对”测量屏幕像素密度
+export const CREDIT_CARD_WIDTH_CM = 8.56;
+
+const STORAGE_KEY = "calibration";
+
+/**
+ * 规整标定数据：缺字段补默认值，非法数字回退默认值。
+ * @param {Partial<typeof DEFAULT_CALIBRATION>} raw
+ * @returns {typeof DEFAULT_CALIBRATION}
+ */
+export function normalizeCalibration(raw) {
+  const src = raw ?? {};
+  const positive = (value, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+  const offset = Array.isArray(src.cameraOffsetCm) ? src.cameraOffsetCm : DEFAULT_CALIBRATION.cameraOffsetCm;
+  const worldUnitsPerCm = Number(src.worldUnitsPerCm);
+
+  return {
+    enabled: Boolean(src.enabled),
+    screenWidthCm: positive(src.screenWidthCm, DEFAULT_CALIBRATION.screenWidthCm),
+    screenHeightCm: positive(src.screenHeightCm, DEFAULT_CALIBRATION.screenHeightCm),
+    viewDistanceCm: positive(src.viewDistanceCm, DEFAULT_CALIBRATION.viewDistanceCm),
+    cameraOffsetCm: [0, 1, 2].map((i) => {
+      const n = Number(offset[i]);
+      return Number.isFinite(n) ? n : DEFAULT_CALIBRATION.cameraOffsetCm[i];
+    }),
+    cameraFovDeg: Math.min(positive(src.cameraFovDeg, DEFAULT_CALIBRATION.cameraFovDeg), 170),
+    depthMethod: DEPTH_METHODS.some((m) => m.id === src.depthMethod) ? src.depthMethod : DEFAULT_CALIBRATION.depthMethod,
+    viewerIpdCm: positive(src.viewerIpdCm, DEFAULT_CALIBRATION.viewerIpdCm),
+    worldUnitsPerCm: Number.isFinite(worldUnitsPerCm) && worldUnitsPerCm > 0 ? worldUnitsPerCm : 0
+  };
+}
+
+/**
+ * 读取本地保存的标定（没有则返回默认值）。
+ */
+export function loadCalibration() {
+  return normalizeCalibration(loadSettings(STORAGE_KEY, DEFAULT_CALIBRATION));
+}
+
+/**
+ * 保存标定到本地。
+ * @param {typeof DEFAULT_CALIBRATION} profile
+ */
+export function saveCalibration(profile) {
+  saveSettings(STORAGE_KEY, normalizeCalibration(profile));
+}
+
+/**
+ * 根据“银行卡比对”的结果估算屏幕物理尺寸。
+ *
+ * @param {number} cardWidthPx 与真实银行卡等宽时的 CSS 像素宽度
+ * @param {{width: number, height: number}} screenPx 屏幕 CSS 像素尺寸（window.screen）
+ * @returns {{screenWidthCm: number, screenHeightCm: number}}
+ */
+export function measureScreenFromCard(cardWidthPx, screenPx) {
+  const pxPerCm = cardWidthPx / CREDIT_CARD_WIDTH_CM;
+  return {
+    screenWidthCm: Math.round((screenPx.width / pxPerCm) * 10) / 10,
+    screenHeightCm: Math.round((screenPx.height / pxPerCm) * 10) / 10
+  };
+}
@@ -0,0 +1,252 @@
+import * as THREE from "three";
+import { RGBELoader } from "three/addons/loaders/RGBELoader.js";
+import { EXRLoader } from "three/addons/loaders/EXRLoader.js";
+import { RoomEnvironment } from "three/addons/environments/RoomEnvironment.js";
+
+/**
+ * 环境光照（IBL）：HDRI → PMREM → scene.environment，可选显示成背景。
+ *
+ * - 主要给“场景”关闭时的原 PBR 材质用（金属/高光有东西可反射）；卡通材质不吃环境贴图，开着也不影响
+ * - 来源：内置 RoomEnvironment（不用下载）、随仓库带的几张小 HDRI（./hdri/，程序生成的 256×128）、本地 .hdr/.exr
+ * - 旋转：r160 的 scene 还没有 environmentRotation，这里把 HDRI 贴在球内侧转好再烘 PMREM
+ *   （改角度要重烘；拖滑块时一帧最多烘一次，见 scheduleBake）
+ * - 强度：同样没有 scene.environmentIntensity，改的是模型 PBR 材质的 envMapIntensity（按材质原值倍乘）
+ * - 背景：直接用 PMREM 结果（和光照的旋转一致），backgroundBlur 控制模糊；显示背景时由调用方隐藏渐变天空
+ */
+// url 相对页面地址（和 ./models.json 一样），离线/内网部署也能用
+export const ENVIRONMENT_PRESETS = [
+  { id: "none", label: "无" },
+  { id: "room", label: "室内（内置）" },
+  { id: "studio", label: "摄影棚", url: "./hdri/studio.hdr" },
+  { id: "sunset", label: "黄昏", url: "./hdri/sunset.hdr" },
+  { id: "field", label: "多云草地", url: "./hdri/field.hdr" }
+];
+
+export const DEFAULT_ENVIRONMENT_SETTINGS = {
+  // preset：ENVIRONMENT_PRESETS 的 id；"local" 表示本地文件（只在本次打开有效，刷新后回到“无”）
+  preset: "none",
+  intensity: 1,
+  rotationDeg: 0,
+  background: false,
+  // 背景模糊（0~1）
+  backgroundBlur: 0
+};
+
+/**
+ * 规整环境设置：缺字段补默认值，非法数值回退默认值。
+ * @param {Partial<typeof DEFAULT_ENVIRONMENT_SETTINGS>} raw
+ * @returns {typeof DEFAULT_ENVIRONMENT_SETTINGS}
+ */
+export function normalizeEnvironmentSettings(raw) {
+  const src = raw ?? {};
+  const num = (key, min, max) => {
+    const n = Number(src[key]);
+    return Number.isFinite(n) && n >= min && n <= max ? n : DEFAULT_ENVIRONMENT_SETTINGS[key];
+  };
+  const preset =
+    src.preset === "local" || ENVIRONMENT_PRESETS.some((p) => p.id === src.preset)
+      ? src.preset
+      : DEFAULT_ENVIRONMENT_SETTINGS.preset;
+  return {
+    preset,
+    intensity: num("intensity", 0, 10),
+    rotationDeg: num("rotationDeg", -360, 360),
+    background: src.background === undefined ? DEFAULT_ENVIRONMENT_SETTINGS.background : Boolean(src.background),
+    backgroundBlur: num("backgroundBlur", 0, 1)
+  };
+}
+
+/**
+ * @param {object} args
+ * @param {import('three').WebGLRenderer} args.renderer
+ * @param {import('three').Scene} args.scene
+ * @param {Partial<typeof DEFAULT_ENVIRONMENT_SETTINGS>} [args.settings]
+ * @param {(active: boolean) => void} [args.onBackgroundChange] HDRI 背景显示/隐藏时回调（用来隐藏渐变天空）
+ */
+export function createEnvironmentLighting({ renderer, scene, settings: initialSettings, onBackgroundChange }) {
+  let settings = normalizeEnvironmentSettings(initialSettings);
+  // 本地文件刷新后就没了，不能从设置里恢复
+  if (settings.preset === "local") settings = { ...settings, preset: "none" };
+  // sources：preset id → 原始 HDRI（equirect 纹理，或 RoomEnvironment 场景），下载过的留着，切回来不用再下
+  const sources = new Map();
+  let local = null;
+  let pmrem = null;
+  let envTarget = null;
+  // bakedKey：当前 PMREM 对应的 preset + 角度，没变就不重烘
+  let bakedKey = "";
+  let loadToken = 0;
+  // pendingBake：等下一帧执行的烘焙（同一帧里多次改设置只烘最后一次）
+  let pendingBake = null;
+  let bakeFrame = null;
+  let currentRoot = null;
+  let backgroundActive = false;
+
+  /**
+   * 更新设置（来源/角度变了会重新加载/重烘，强度/背景即时生效）。
+   * @param {Partial<typeof DEFAULT_ENVIRONMENT_SETTINGS>} next
+   * @returns {Promise<void>} 下载/解析失败时 reject（中文错误信息），设置保持新值但环境回到“无”
+   */
+  async function setSettings(next) {
+    settings = normalizeEnvironmentSettings({ ...settings, ...next });
+    if (settings.preset === "local" && !local) settings = { ...settings, preset: "none" };
+    applyIntensity();
+    const token = ++loadToken;
+    let source = null;
+    try {
+      source = await getSource(settings.preset);
+    } catch (err) {
+      if (token === loadToken) scheduleBake(null, "");
+      throw err;
+    }
+    // 下载期间又换了设置：以最新那次为准
+    if (token !== loadToken) return;
+    scheduleBake(source, `${settings.preset}@${settings.rotationDeg}`);
+  }
+
+  function scheduleBake(source, key) {
+    pendingBake = { source, key };
+    bakeFrame ??= requestAnimationFrame(() => {
+      bakeFrame = null;
+      const { source: latest, key: latestKey } = pendingBake;
+      pendingBake = null;
+      bake(latest, latestKey);
+    });
+  }
+
+  /**
+   * 打开本地 .hdr/.exr（切换到“本地”来源）。
+   * @param {File} file
+   * @returns {Promise<void>}
+   */
+  async function loadLocalFile(file) {
+    const texture = await loadEquirect(URL.createObjectURL(file), file.name, { revoke: true });
+    local?.texture.dispose();
+    local = { name: file.name, texture };
+    bakedKey = "";
+    await setSettings({ preset: "local" });
+  }
+
+  async function getSource(id) {
+    if (id === "none") return null;
+    if (id === "local") return local.texture;
+    if (!sources.has(id)) {
+      const preset = ENVIRONMENT_PRESETS.find((p) => p.id === id);
+      const source = id === "room" ? new RoomEnvironment(renderer) : await loadEquirect(preset.url, preset.url);
+      sources.set(id, source);
+    }
+    return sources.get(id);
+  }
+
+  /**
+   * 烘 PMREM 并挂到 scene.environment / scene.background。
+   * @param {import('three').Texture|import('three').Scene|null} source
+   */
+  function bake(source, key) {
+    if (key !== bakedKey) {
+      bakedKey = key;
+      envTarget?.dispose();
+      envTarget = null;
+      if (source) {
+        pmrem ??= new THREE.PMREMGenerator(renderer);
+        const envScene = wrapSource(source, THREE.MathUtils.degToRad(settings.rotationDeg));
+        // RoomEnvironment 是几何体拼的，稍微模糊一下更柔和；HDRI 本身就够平滑
+        envTarget = pmrem.fromScene(envScene, source.isScene ? 0.04 : 0);
+        // 包 HDRI 的球烘完就没用了（贴图留着，下次重烘还要用）
+        if (envScene !== source) {
+          for (const sphere of envScene.children) {
+            sphere.geometry.dispose();
+            sphere.material.dispose();
+          }
+        }
+      }
+    }
+    scene.environment = envTarget?.texture ?? null;
+    applyBackground();
+  }
+
+  // 把来源转成可以旋转后烘焙的场景：RoomEnvironment 本身就是场景；HDRI 贴在球内侧
+  function wrapSource(source, rotation) {
+    if (source.isScene) {
+      source.rotation.y = rotation;
+      return source;
+    }
+    const envScene = new THREE.Scene();
+    const sphere = new THREE.Mesh(
+      new THREE.SphereGeometry(50, 64, 32),
+      new THREE.MeshBasicMaterial({ map: source, side: THREE.BackSide, toneMapped: false })
+    );
+    // 从球内侧看贴图是左右镜像的，翻回来
+    sphere.scale.x = -1;
+    sphere.rotation.y = rotation;
+    envScene.add(sphere);
+    return envScene;
+  }
+
+  function applyBackground() {
+    const active = settings.background && Boolean(envTarget);
+    scene.background = active ? envTarget.texture : null;
+    scene.backgroundBlurriness = settings.backgroundBlur;
+    if (active !== backgroundActive) {
+      backgroundActive = active;
+      onBackgroundChange?.(active);
+    }
+  }
+
+  /**
+   * 设置当前模型根节点（换模型后调用，按强度设置改它的 PBR 材质）。
+   * @param {import('three').Object3D|null} root
+   */
+  function setCurrentRoot(root) {
+    currentRoot = root;
+    applyIntensity();
+  }
+
+  function applyIntensity() {
+    currentRoot?.traverse((obj) => {
+      // 卡通风格开着时网格上挂的是卡通材质，原材质在 userData 里，一起改（关掉卡通时才对）
+      for (const material of [].concat(obj.material ?? [], obj.userData?._origMaterial ?? [])) {
+        if (!material || !("envMapIntensity" in material)) continue;
+        material.userData._baseEnvMapIntensity ??= material.envMapIntensity;
+        material.envMapIntensity = material.userData._baseEnvMapIntensity * settings.intensity;
+      }
+    });
+  }
+
+  return {
+    get settings() {
+      return settings;
+    },
+    // localName：本地 HDRI 的文件名（没打开过为 null）
+    get localName() {
+      return local?.name ?? null;
+    },
+    get backgroundActive() {
+      return backgroundActive;
+    },
+    setSettings,
+    loadLocalFile,
+    setCurrentRoot
+  };
+}
+
+/**
+ * 按扩展名选 RGBELoader/EXRLoader 读 equirect HDRI。
+ * @param {string} url
+ * @param {string} name 用来判断扩展名（blob URL 看不出来）
+ * @param {{revoke?: boolean}} [options] revoke：读完释放 blob URL
+ */
+async function loadEquirect(url, name, { revoke = false } = {}) {
+  const ext = name.split(/[?#]/)[0].split(".").pop().toLowerCase();
+  if (ext !== "hdr" && ext !== "exr") {
+    if (revoke) URL.revokeObjectURL(url);
+    throw new Error(`不支持的环境贴图格式：${name}（支持 .hdr / .exr）`);
+  }
+  const loader = ext === "exr" ? new EXRLoader() : new RGBELoader();
+  try {
+    return await loader.loadAsync(url);
+  } catch (err) {
+    throw new Error(`环境贴图加载失败：${name.split("/").pop()}`, { cause: err });
+  } finally {
+    if (revoke) URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,99 @@
+import { ENVIRONMENT_PRESETS, normalizeEnvironmentSettings } from "./environment-lighting.js";
+
+/**
+ * 环境光面板：HDRI 来源（内置/本地文件）、强度、旋转、背景显示与模糊。
+ *
+ * 表单字段通过 name 属性对应 settings 字段；任何输入变化都会立即回调 onChange，
+ * 拖动旋转滑块途中 commit 为 false（只预览，调用方不用保存），松手时再以 commit: true 回调一次。
+ * 打开本地文件交给调用方（onOpenFile），读完后调用 sync() 把“本地”选项加进下拉菜单。
+ *
+ * @param {object} args
+ * @param {HTMLElement} args.panelEl 面板根节点
+ * @param {import('./environment-lighting.js').DEFAULT_ENVIRONMENT_SETTINGS} args.initial
+ * @param {(settings: import('./environment-lighting.js').DEFAULT_ENVIRONMENT_SETTINGS, info: {commit: boolean}) => void} args.onChange
+ * @param {(file: File) => void} args.onOpenFile
+ */
+export function createEnvironmentPanel({ panelEl, initial, onChange, onOpenFile }) {
+  const field = (name) => panelEl.querySelector(`[name="${name}"]`);
+  const presetEl = field("preset");
+  const fileEl = field("file");
+  const rotationEl = field("rotationDeg");
+  const rotationLabelEl = panelEl.querySelector("[data-rotation]");
+  const valueFields = ["intensity", "rotationDeg", "backgroundBlur"];
+
+  for (const p of ENVIRONMENT_PRESETS) {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = p.label;
+    presetEl.appendChild(opt);
+  }
+  // 本地文件的选项在打开过文件后才显示
+  const localOpt = document.createElement("option");
+  localOpt.value = "local";
+  localOpt.hidden = true;
+  presetEl.appendChild(localOpt);
+
+  sync(normalizeEnvironmentSettings(initial), null);
+
+  panelEl.addEventListener("input", (e) => {
+    if (e.target === fileEl) return;
+    syncRotationLabel();
+    onChange(readForm(), { commit: e.target !== rotationEl });
+  });
+
+  rotationEl.addEventListener("change", () => onChange(readForm(), { commit: true }));
+
+  fileEl.addEventListener("change", () => {
+    const file = fileEl.files?.[0];
+    fileEl.value = "";
+    if (file) onOpenFile(file);
+  });
+
+  panelEl.addEventListener("click", (e) => {
+    const action = e.target?.dataset?.action;
+    if (action === "open") {
+      fileEl.click();
+    } else if (action === "reset") {
+      sync(normalizeEnvironmentSettings({ preset: presetEl.value }), localOpt.hidden ? null : localOpt.textContent);
+      onChange(readForm(), { commit: true });
+    } else if (action === "close") {
+      setOpen(false);
+    }
+  });
+
+  function readForm() {
+    const raw = { preset: presetEl.value, background: field("background").checked };
+    for (const name of valueFields) raw[name] = field(name).value;
+    return normalizeEnvironmentSettings(raw);
+  }
+
+  /**
+   * 用当前设置刷新表单。
+   * @param {import('./environment-lighting.js').DEFAULT_ENVIRONMENT_SETTINGS} settings
+   * @param {string|null} localName 本地 HDRI 文件名（没打开过为 null）
+   */
+  function sync(settings, localName) {
+    localOpt.hidden = !localName;
+    localOpt.textContent = localName ? `本地：${localName}` : "";
+    presetEl.value = settings.preset;
+    field("background").checked = settings.background;
+    for (const name of valueFields) field(name).value = String(settings[name]);
+    syncRotationLabel();
+  }
+
+  function syncRotationLabel() {
+    rotationLabelEl.textContent = `${rotationEl.value}°`;
+  }
+
+  function setOpen(open) {
+    panelEl.hidden = !open;
+  }
+
+  return {
+    get open() {
+      return !panelEl.hidden;
+    },
+    setOpen,
+    sync
+  };
+}
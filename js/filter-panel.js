@@ -0,0 +1,94 @@
+import { HEAD_FILTERS, normalizeFilterSettings } from "./tracking/head-filter.js";
+
+/**
+ * 滤波面板：实时调节头部滤波/预测参数。
+ *
+ * 表单字段通过 name 属性对应 settings 字段；带 data-filter 的行只在对应滤波类型下显示。
+ * 任何输入变化都会立即回调 onChange，持久化交给调用方。
+ *
+ * @param {object} args
+ * @param {HTMLElement} args.panelEl 面板根节点
+ * @param {import('./tracking/head-filter.js').DEFAULT_FILTER_SETTINGS} args.initial
+ * @param {(settings: import('./tracking/head-filter.js').DEFAULT_FILTER_SETTINGS) => void} args.onChange
+ */
+export function createFilterPanel({ panelEl, initial, onChange }) {
+  const field = (name) => panelEl.querySelector(`[name="${name}"]`);
+  const typeEl = field("type");
+  const latencyEl = panelEl.querySelector("[data-latency]");
+  const numericFields = [
+    "minCutoff",
+    "beta",
+    "dCutoff",
+    "processNoise",
+    "measurementNoise",
+    "extraLatencyMs",
+    "maxPredictMs",
+    "lostHoldMs",
+    "lostReturnMs",
+    "reacquireMs"
+  ];
+
+  for (const f of HEAD_FILTERS) {
+    const opt = document.createElement("option");
+    opt.value = f.id;
+    opt.textContent = f.label;
+    typeEl.appendChild(opt);
+  }
+
+  writeForm(normalizeFilterSettings(initial));
+
+  panelEl.addEventListener("input", () => {
+    syncVisibility();
+    onChange(readForm());
+  });
+
+  panelEl.addEventListener("click", (e) => {
+    const action = e.target?.dataset?.action;
+    if (action === "reset") {
+      writeForm(normalizeFilterSettings({ type: typeEl.value }));
+      onChange(readForm());
+    } else if (action === "close") {
+      setOpen(false);
+    }
+  });
+
+  function readForm() {
+    const raw = { type: typeEl.value, predict: field("predict").checked };
+    for (const name of numericFields) raw[name] = field(name).value;
+    return normalizeFilterSettings(raw);
+  }
+
+  function writeForm(settings) {
+    typeEl.value = settings.type;
+    field("predict").checked = settings.predict;
+    for (const name of numericFields) field(name).value = String(settings[name]);
+    syncVisibility();
+  }
+
+  function syncVisibility() {
+    for (const el of panelEl.querySelectorAll("[data-filter]")) {
+      el.hidden = el.dataset.filter !== typeEl.value;
+    }
+  }
+
+  /**
+   * 显示实测延迟（ms）。
+   * @param {number} latencyMs
+   */
+  function setLatency(latencyMs) {
+    const text = latencyMs > 0 ? `${Math.round(latencyMs)} ms` : "—";
+    if (latencyEl.textContent !== text) latencyEl.textContent = text;
+  }
+
+  function setOpen(open) {
+    panelEl.hidden = !open;
+  }
+
+  return {
+    get open() {
+      return !panelEl.hidden;
+    },
+    setOpen,
+    setLatency
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * 检查器面板：当前模型的节点树（可见性开关、点名字高亮）、网格/三角形/顶点数、材质与贴图、
+ * 蒙皮与 morph、包围盒尺寸，以及渲染器每帧的 draw call / 显存占用。
+ *
+ * 模型相关的统计在换模型后 refresh() 时算一次；渲染器统计由渲染循环在面板打开时调用 sync() 刷新。
+ *
+ * @param {object} args
+ * @param {HTMLElement} args.panelEl 面板根节点
+ * @param {ReturnType<typeof import('./model-inspector.js').createModelInspector>} args.inspector
+ * @param {() => import('three').Object3D|null} args.getRoot 当前模型根节点
+ * @param {() => {box: import('three').Box3|null, maxDim: number|null}} args.getBounds 当前模型包围盒
+ * @param {() => import('three').WebGLInfo} args.getRendererInfo
+ */
+export function createInspectorPanel({ panelEl, inspector, getRoot, getBounds, getRendererInfo }) {
+  const treeEl = panelEl.querySelector("[data-tree]");
+  const statsEl = panelEl.querySelector("[data-stats]");
+  const materialsEl = panelEl.querySelector("[data-materials]");
+  const rendererEl = panelEl.querySelector("[data-renderer]");
+  const emptyEl = panelEl.querySelector("[data-empty]");
+
+  panelEl.addEventListener("change", (e) => {
+    const id = e.target?.dataset?.visible;
+    if (id === undefined) return;
+    const object = getRoot()?.getObjectById(Number(id));
+    if (object) object.visible = e.target.checked;
+  });
+
+  panelEl.addEventListener("click", (e) => {
+    const id = e.target?.dataset?.node;
+    if (id !== undefined) {
+      const object = getRoot()?.getObjectById(Number(id));
+      // 再点一次同一个节点取消高亮
+      selectNode(object && object !== inspector.highlighted ? object : null);
+      return;
+    }
+    const action = e.target?.dataset?.action;
+    if (action === "refresh") refresh();
+    else if (action === "close") setOpen(false);
+  });
+
+  function selectNode(object) {
+    inspector.highlight(object ?? null);
+    for (const el of treeEl.querySelectorAll("[data-node]")) {
+      el.classList.toggle("selected", Number(el.dataset.node) === object?.id);
+    }
+  }
+
+  /**
+   * 按当前模型重建节点树和统计（换模型后调用）。
+   */
+  function refresh() {
+    inspector.highlight(null);
+    const root = getRoot();
+    for (const el of panelEl.querySelectorAll("[data-has-model]")) el.hidden = !root;
+    emptyEl.hidden = Boolean(root);
+    treeEl.replaceChildren();
+    materialsEl.replaceChildren();
+    if (!root) {
+      statsEl.textContent = "";
+      return;
+    }
+
+    treeEl.appendChild(renderNode(inspector.describeTree(root), 0));
+
+    const { counts, materials, skins, morphs } = inspector.summarize(root);
+    const { box } = getBounds();
+    const size = box ? box.max.clone().sub(box.min) : null;
+    const lines = [
+      `节点 ${counts.nodes} · 网格 ${counts.meshes} · 骨骼 ${counts.bones}`,
+      `三角形 ${formatCount(counts.triangles)} · 顶点 ${formatCount(counts.vertices)}`,
+      size ? `包围盒 ${size.x.toFixed(3)} × ${size.y.toFixed(3)} × ${size.z.toFixed(3)}` : "包围盒 —",
+      skins.length
+        ? `蒙皮网格 ${counts.skinnedMeshes}：${skins.map((s) => `${s.name || "（未命名）"}（${s.bones} 骨骼）`).join("、")}`
+        : "蒙皮网格 0",
+      morphs.length
+        ? `morph：${morphs.map((m) => `${m.name || "（未命名）"}（${m.count}）`).join("、")}`
+        : "morph 0"
+    ];
+    statsEl.textContent = lines.join("\n");
+
+    for (const material of materials) {
+      const item = document.createElement("li");
+      const textures = material.textures.map((t) => {
+        const size = t.width && t.height ? ` ${t.width}×${t.height}` : "";
+        return `${t.slot}${t.name ? `=${t.name}` : ""}${size}`;
+      });
+      item.textContent = `${material.name || "（未命名）"} [${material.type}] ×${material.users}`;
+      if (textures.length) {
+        const detail = document.createElement("div");
+        detail.className = "small";
+        detail.textContent = textures.join("，");
+        item.appendChild(detail);
+      }
+      materialsEl.appendChild(item);
+    }
+    sync();
+  }
+
+  /**
+   * 节点树的一项（<li>）：有子节点的用 <details>（前两层默认展开）；每行一个可见性勾选框 + 可点的名字。
+   */
+  function renderNode(node, depth) {
+    const row = document.createElement("span");
+    row.className = "inspector-node";
+    const visible = document.createElement("input");
+    visible.type = "checkbox";
+    visible.checked = node.visible;
+    visible.dataset.visible = String(node.id);
+    visible.title = "显示/隐藏";
+    const name = document.createElement("button");
+    name.type = "button";
+    name.dataset.node = String(node.id);
+    name.textContent = node.name || "（未命名）";
+    name.title = `${node.type}，点击高亮`;
+    const type = document.createElement("span");
+    type.className = "small";
+    type.textContent = node.type;
+    row.append(visible, name, type);
+
+    const item = document.createElement("li");
+    if (!node.children.length) {
+      item.appendChild(row);
+      return item;
+    }
+    const details = document.createElement("details");
+    details.open = depth < 2;
+    const summary = document.createElement("summary");
+    summary.appendChild(row);
+    const list = document.createElement("ul");
+    for (const child of node.children) list.appendChild(renderNode(child, depth + 1));
+    details.append(summary, list);
+    item.appendChild(details);
+    return item;
+  }
+
+  /**
+   * 刷新渲染器统计（面板打开时每帧调用，只在文字变化时写 DOM）。
+   */
+  function sync() {
+    const { render, memory, programs } = getRendererInfo();
+    const text = [
+      `draw call ${render.calls} · 三角形 ${formatCount(render.triangles)}`,
+      `几何体 ${memory.geometries} · 贴图 ${memory.textures} · 着色器 ${programs?.length ?? 0}`
+    ].join("\n");
+    if (rendererEl.textContent !== text) rendererEl.textContent = text;
+  }
+
+  function setOpen(open) {
+    panelEl.hidden = !open;
+    if (open) refresh();
+    else inspector.highlight(null);
+  }
+
+  return {
+    get open() {
+      return !panelEl.hidden;
+    },
+    setOpen,
+    refresh,
+    sync
+  };
+}
+
+function formatCount(n) {
+  return n >= 10_000 ? `${(n / 1000).toFixed(1)}k` : String(n);
+}
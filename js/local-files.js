@@ -0,0 +1,144 @@
+import { MODEL_FORMATS } from "./model-formats.js";
+
+/**
+ * 本地模型文件（拖放 / 文件选择）→ 可交给 loader 的 blob URL。
+ *
+ * .glb/.vrm 是单文件；.gltf 通常还带 .bin 和贴图，.obj 带 .mtl 和贴图，里面用相对路径引用它们。
+ * 做法：给每个文件建一个 blob URL，按“相对主文件所在目录的路径”建表，
+ * 加载时通过 LoadingManager.setURLModifier 把 GLTFLoader 拼出来的地址映射回对应的 blob URL。
+ *
+ * GLTFLoader 会把相对路径拼在主文件地址的目录后面：主文件是 blob:<origin>/<uuid>，
+ * 所以贴图地址形如 blob:<origin>/textures/a.png —— 去掉 blob:<origin>/ 前缀就是清单里的相对路径。
+ */
+const MODEL_EXTENSIONS = MODEL_FORMATS.flatMap((f) => f.extensions);
+
+/**
+ * @typedef {object} LocalModelSource
+ * @property {string} name 主文件名
+ * @property {string} mimeType 主文件的 MIME 类型（浏览器给的，常为空）
+ * @property {string} url 主文件的 blob URL
+ * @property {(url: string) => string} resolveUrl 给 LoadingManager.setURLModifier 用
+ * @property {string[]} missing 已请求但没找到的资源（加载后可用于提示）
+ * @property {() => void} dispose 释放所有 blob URL
+ */
+
+/**
+ * @param {{file: File, path: string}[]} entries 文件及其相对路径（拖入文件夹时带目录）
+ * @returns {LocalModelSource}
+ */
+export function createLocalModelSource(entries) {
+  const main = pickMainFile(entries);
+  if (!main) throw new Error(`没有找到模型文件（支持 ${MODEL_EXTENSIONS.join(" / ")}）`);
+
+  const mainDir = main.path.includes("/") ? main.path.slice(0, main.path.lastIndexOf("/") + 1) : "";
+  const urls = [];
+  const byPath = new Map();
+  const byName = new Map();
+  for (const { file, path } of entries) {
+    const url = URL.createObjectURL(file);
+    urls.push(url);
+    const relative = path.startsWith(mainDir) ? path.slice(mainDir.length) : path;
+    byPath.set(relative, url);
+    // 平铺拖入（没带目录）时，按文件名兜底匹配
+    const name = baseName(path);
+    if (!byName.has(name)) byName.set(name, url);
+  }
+
+  const mainUrl = byPath.get(main.path.slice(mainDir.length));
+  const blobPrefix = `blob:${window.location.origin}/`;
+  const missing = [];
+
+  function resolveUrl(url) {
+    if (!url.startsWith(blobPrefix)) return url;
+    const relative = normalizePath(safeDecode(url.slice(blobPrefix.length)));
+    const hit = byPath.get(relative) ?? byName.get(baseName(relative));
+    if (hit) return hit;
+    // 主文件自己的 blob URL 也会走到这里（<uuid> 不在表里），原样返回
+    if (!urls.includes(url) && !missing.includes(relative)) missing.push(relative);
+    return url;
+  }
+
+  return {
+    name: baseName(main.path),
+    mimeType: main.file.type,
+    url: mainUrl,
+    resolveUrl,
+    missing,
+    dispose() {
+      for (const url of urls) URL.revokeObjectURL(url);
+      urls.length = 0;
+    }
+  };
+}
+
+/**
+ * 从拖放数据里收集文件；拖入文件夹时递归展开，并保留相对路径。
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<{file: File, path: string}[]>}
+ */
+export async function collectDroppedFiles(dataTransfer) {
+  const entries = Array.from(dataTransfer.items ?? [])
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  // 不支持 FileSystemEntry 的浏览器：退回平铺的文件列表
+  if (entries.length === 0) return fromFileList(dataTransfer.files);
+
+  const out = [];
+  for (const entry of entries) await walkEntry(entry, "", out);
+  return out;
+}
+
+/**
+ * 文件选择框的文件列表（可多选）。
+ * @param {FileList} fileList
+ */
+export function fromFileList(fileList) {
+  return Array.from(fileList ?? [], (file) => ({ file, path: file.webkitRelativePath || file.name }));
+}
+
+async function walkEntry(entry, prefix, out) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    out.push({ file, path: prefix + entry.name });
+    return;
+  }
+  if (!entry.isDirectory) return;
+  const reader = entry.createReader();
+  // readEntries 每次最多返回一批（Chrome 100 个），要读到空为止
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    for (const child of batch) await walkEntry(child, `${prefix}${entry.name}/`, out);
+  }
+}
+
+/**
+ * 主文件：模型文件里路径最浅的那个（文件夹里可能还有别的备份模型）。
+ */
+function pickMainFile(entries) {
+  const models = entries.filter(({ path }) => MODEL_EXTENSIONS.some((ext) => path.toLowerCase().endsWith(ext)));
+  models.sort((a, b) => a.path.split("/").length - b.path.split("/").length);
+  return models[0] ?? null;
+}
+
+function normalizePath(path) {
+  const parts = [];
+  for (const part of path.split("/")) {
+    if (part === "" || part === ".") continue;
+    if (part === "..") parts.pop();
+    else parts.push(part);
+  }
+  return parts.join("/");
+}
+
+function baseName(path) {
+  return path.slice(path.lastIndexOf("/") + 1);
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
@@ -2,43 +2,151 @@
  * 应用入口：负责
  * - 读取 DOM
  * - 初始化 three world
- * - 初始化各功能 controller（模型、二次元风格、裸眼3D）
+ * - 初始化各功能 controller（模型、二次元风格、裸眼3D、立体输出）
  * - 绑定 UI 事件
  * - 驱动渲染循环
  *
  * 本文件尽量只做“拼装”，具体实现下沉到各模块。
  */
-import { MODELS } from "./models.js";
+import { Vector3 } from "three";
+import { DEFAULT_CATALOG_URL, loadCatalog } from "./models.js";
+import { collectDroppedFiles, createLocalModelSource, fromFileList } from "./local-files.js";
+import { detectModelFormat } from "./model-formats.js";
 import { createThreeWorld } from "./three-world.js";
 import { createAnimeController } from "./anime-controller.js";
+import { ANIME_STYLES, DEFAULT_ANIME_STYLE } from "./anime-styles.js";
 import { createOffAxisController } from "./offaxis-controller.js";
 import { createModelController } from "./model-controller.js";
+import { ModelLoadError } from "./model-errors.js";
+import { DEFAULT_ANIMATION_SETTINGS, normalizeAnimationSettings } from "./model-animation.js";
+import { createAnimationPanel } from "./animation-panel.js";
+import { DEFAULT_MORPH_SETTINGS, normalizeMorphSettings } from "./model-morphs.js";
+import { createMorphPanel } from "./morph-panel.js";
+import { createTransformEditor } from "./model-transform-editor.js";
+import { createTransformPanel } from "./transform-panel.js";
+import { createModelInspector } from "./model-inspector.js";
+import { createInspectorPanel } from "./inspector-panel.js";
+import { DEFAULT_LOOK_AT_SETTINGS, normalizeLookAtSettings } from "./model-lookat.js";
+import { DEFAULT_NORMALIZE_SETTINGS, resolveNormalizeSettings } from "./model-normalize.js";
+import { loadCalibration, saveCalibration } from "./calibration.js";
+import { createCalibrationPanel } from "./calibration-panel.js";
+import { createStereoRenderer, STEREO_MODES } from "./stereo-renderer.js";
+import { createPostProcessing, DEFAULT_POST_SETTINGS } from "./post-processing.js";
+import { createPostPanel } from "./post-panel.js";
+import { createEnvironmentLighting, DEFAULT_ENVIRONMENT_SETTINGS } from "./environment-lighting.js";
+import { createEnvironmentPanel } from "./environment-panel.js";
+import { loadSettings, saveSettings } from "./settings.js";
+import { TRACKING_PROVIDERS } from "./tracking/providers.js";
+import { DEFAULT_FILTER_SETTINGS, normalizeFilterSettings } from "./tracking/head-filter.js";
+import { createFilterPanel } from "./filter-panel.js";
+import { DEFAULT_FACE_SELECTION, FACE_POLICIES, normalizeFaceSelection } from "./tracking/face-selector.js";
+import { DEFAULT_MEDIAPIPE_ASSETS, normalizeMediaPipeAssets } from "./tracking/mediapipe-assets.js";
 
 // 页面元素（尽量只在 main.js 里触碰 DOM，其他模块只收“引用/回调”）
 const canvas = document.getElementById("c");
 const statusEl = document.getElementById("status");
+const retryBtn = document.getElementById("retryBtn");
 const selectEl = document.getElementById("modelSelect");
+const modelThumbEl = document.getElementById("modelThumb");
+const openModelBtn = document.getElementById("openModelBtn");
+const modelFileInputEl = document.getElementById("modelFileInput");
 const reloadBtn = document.getElementById("reloadBtn");
 const animeToggleEl = document.getElementById("animeToggle");
+const animeStyleEl = document.getElementById("animeStyle");
 const roomToggleEl = document.getElementById("roomToggle");
+const lookAtToggleEl = document.getElementById("lookAtToggle");
+const normalizeToggleEl = document.getElementById("normalizeToggle");
 const offAxisToggleEl = document.getElementById("offAxisToggle");
 const parallaxGainEl = document.getElementById("parallaxGain");
+const stereoModeEl = document.getElementById("stereoMode");
+const ipdInputEl = document.getElementById("ipdInput");
+const swapEyesToggleEl = document.getElementById("swapEyesToggle");
 const trackBtn = document.getElementById("trackBtn");
+const trackSourceEl = document.getElementById("trackSource");
+const traceInputEl = document.getElementById("traceInput");
+const facePolicyEl = document.getElementById("facePolicy");
+const faceTimeoutLabelEl = document.getElementById("faceTimeoutLabel");
+const faceTimeoutInputEl = document.getElementById("faceTimeoutInput");
+const recordBtn = document.getElementById("recordBtn");
+const exportJsonBtn = document.getElementById("exportJsonBtn");
+const exportCsvBtn = document.getElementById("exportCsvBtn");
 const webcamPane = document.getElementById("webcamPane");
 const webcamVideo = document.getElementById("webcam");
+const webcamOverlay = document.getElementById("webcamOverlay");
+const calibBtn = document.getElementById("calibBtn");
+const calibrationPanelEl = document.getElementById("calibrationPanel");
+const filterBtn = document.getElementById("filterBtn");
+const filterPanelEl = document.getElementById("filterPanel");
+const animBtn = document.getElementById("animBtn");
+const animationPanelEl = document.getElementById("animationPanel");
+const morphBtn = document.getElementById("morphBtn");
+const morphPanelEl = document.getElementById("morphPanel");
+const transformBtn = document.getElementById("transformBtn");
+const transformPanelEl = document.getElementById("transformPanel");
+const inspectorBtn = document.getElementById("inspectorBtn");
+const inspectorPanelEl = document.getElementById("inspectorPanel");
+const postBtn = document.getElementById("postBtn");
+const postPanelEl = document.getElementById("postPanel");
+const environmentBtn = document.getElementById("environmentBtn");
+const environmentPanelEl = document.getElementById("environmentPanel");
+const trackingHudEl = document.getElementById("trackingHud");
+const postHudEl = document.getElementById("postHud");
 
 /**
- * 左上角状态提示（加载进度/追踪状态等）。
+ * 左上角状态提示（加载进度/追踪状态等）。新的提示会收起“重试”按钮（它只跟着加载失败的提示出现）。
  * @param {string} text
  */
 function setStatus(text) {
   statusEl.textContent = text ?? "";
+  retryBtn.hidden = true;
+}
+
+/**
+ * 把文本保存为本地文件（用 Blob + 临时 <a download>）。
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} mime
+ */
+function downloadText(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * MediaPipe 资源目录 / 推理后端（见 tracking/mediapipe-assets.js）。
+ * URL 参数 ?mediapipe=&delegate= 优先，并保存下来，之后不带参数打开也沿用（方便展厅机器一次配好）。
+ */
+function loadMediaPipeAssets() {
+  const params = new URLSearchParams(window.location.search);
+  const saved = normalizeMediaPipeAssets(loadSettings("mediapipe", DEFAULT_MEDIAPIPE_ASSETS));
+  if (!params.has("mediapipe") && !params.has("delegate")) return saved;
+  const assets = normalizeMediaPipeAssets({
+    baseUrl: params.get("mediapipe") ?? saved.baseUrl,
+    delegate: params.get("delegate") ?? saved.delegate
+  });
+  saveSettings("mediapipe", assets);
+  return assets;
 }
 
 // three.js 基础对象：renderer/scene/camera/controls/loader 等
 const { renderer, scene, camera, controls, loader, dirLight } = createThreeWorld({ canvas });
-// 二次元风格：Toon + 描边 + 渐变天空 + 地面 + 粒子
-const anime = createAnimeController({ scene, dirLight });
+// 一帧里可能渲染多次（立体/后处理），渲染统计按整帧累计，每帧开头手动清零
+renderer.info.autoReset = false;
+// 二次元风格：Toon + 描边 + 渐变天空 + 地面 + 粒子（风格预设随用户设置保存）
+const anime = createAnimeController({ scene, dirLight, style: loadSettings("animeStyle", DEFAULT_ANIME_STYLE) });
+// 环境光（HDRI/IBL）：给原 PBR 材质打光，可选显示成背景（显示时渐变天空让位），随用户设置保存
+const environment = createEnvironmentLighting({
+  renderer,
+  scene,
+  settings: loadSettings("environment", DEFAULT_ENVIRONMENT_SETTINGS),
+  onBackgroundChange: (active) => anime.setExternalBackground(active)
+});
+// 多人同时入镜时选谁当观察者（随用户设置保存）
+const faceSelection = normalizeFaceSelection(loadSettings("faceSelection", DEFAULT_FACE_SELECTION));
 // 裸眼3D：off-axis 投影 + 可选（摄像头）头动追踪；未启用追踪时可用鼠标模拟
 const offAxis = createOffAxisController({
   camera,
@@ -46,47 +154,349 @@ const offAxis = createOffAxisController({
   canvas,
   webcamPane,
   webcamVideo,
+  webcamOverlay,
   setStatus,
-  getParallaxGain: () => Number(parallaxGainEl.value)
+  getParallaxGain: () => Number(parallaxGainEl.value),
+  calibration: loadCalibration(),
+  filterSettings: normalizeFilterSettings(loadSettings("headFilter", DEFAULT_FILTER_SETTINGS)),
+  faceSelection,
+  mediapipeAssets: loadMediaPipeAssets()
+});
+
+// 显示器物理标定：面板修改实时生效，并保存到本地
+const calibrationPanel = createCalibrationPanel({
+  panelEl: calibrationPanelEl,
+  initial: loadCalibration(),
+  onChange: (profile) => {
+    offAxis.setCalibration(profile);
+    saveCalibration(profile);
+  }
+});
+
+// 头部滤波面板：参数实时生效，并随用户设置保存
+const filterPanel = createFilterPanel({
+  panelEl: filterPanelEl,
+  initial: offAxis.filterSettings,
+  onChange: (settings) => {
+    offAxis.setFilterSettings(settings);
+    saveSettings("headFilter", settings);
+  }
+});
+
+// 立体输出：左右眼由 off-axis 控制器按瞳距推算，渲染器负责红青/左右/上下/隔行合成
+const stereo = createStereoRenderer({ renderer });
+const stereoSettings = loadSettings("stereo", { mode: "off", ipdCm: 6.3, swapEyes: false });
+
+// 后处理（泛光/SSAO/描线/LUT/SMAA）：单目时代替直接渲染，随用户设置保存
+const post = createPostProcessing({ renderer, scene, camera, settings: loadSettings("post", DEFAULT_POST_SETTINGS) });
+const postPanel = createPostPanel({
+  panelEl: postPanelEl,
+  initial: post.settings,
+  onChange: (settings) => {
+    post.setSettings(settings);
+    saveSettings("post", post.settings);
+  }
 });
 
 // 模型加载/切换
 const modelController = createModelController({
   scene,
   loader,
+  renderer,
   camera,
   controls,
   setStatus,
-  onModelChanged: ({ root, box, center, maxDim }) => {
+  animationSettings: normalizeAnimationSettings(loadSettings("animation", DEFAULT_ANIMATION_SETTINGS)),
+  // 注视观察者：全局开关/上限随用户设置保存，清单里的 lookAt 字段可按模型覆盖
+  lookAtSettings: normalizeLookAtSettings(loadSettings("lookAt", DEFAULT_LOOK_AT_SETTINGS)),
+  // 归一化（默认关闭）：全局开关/目标高度随用户设置保存，清单里的 normalize 字段可按模型覆盖
+  normalizeSettings: resolveNormalizeSettings(loadSettings("normalize", DEFAULT_NORMALIZE_SETTINGS)),
+  onModelChanged: ({ root, box, center, maxDim, model }) => {
     // 1) 把新模型交给“二次元风格”模块（用于 toon/描边等）
     anime.setCurrentRoot(root);
-    // 2) 基于包围盒，重设地面/阴影/粒子等环境
-    anime.updateForModel({ box, center, maxDim });
-    // 3) 裸眼3D：把“屏幕平面/默认视距”等参数按模型尺寸重标定
-    if (center && Number.isFinite(maxDim)) offAxis.setDefaultsFromModel(center, maxDim);
+    environment.setCurrentRoot(root);
+    applyModelPresentation(model);
+    // 2) 地面/阴影/粒子、裸眼3D 标定跟着包围盒走
+    updateEnvironmentForModel({ box, center, maxDim, model });
+    // 3) 动画/表情面板：换成新模型的片段列表和表情滑块
+    animationPanel.refresh();
+    morphPanel.refresh(model?.name);
+    // 4) 摆放把手挂到新模型上
+    transformEditor.setTarget(root);
+    transformPanel.sync();
+    // 5) 检查器：打开着就换成新模型的节点树/统计（关着时打开才算）
+    if (inspectorPanel.open) inspectorPanel.refresh();
+  },
+  // 摆放编辑改了包围盒（同一个模型）：只更新环境
+  onBoundsChanged: updateEnvironmentForModel
+});
+
+/**
+ * 按模型包围盒更新环境：
+ * - 二次元风格：重设地面/阴影/粒子
+ * - 裸眼3D：把“屏幕平面/默认视距”等参数按模型尺寸重标定（清单里的 offAxis 字段可覆盖）
+ */
+function updateEnvironmentForModel({ box, center, maxDim, model }) {
+  anime.updateForModel({ box, center, maxDim });
+  post.updateForModel({ maxDim });
+  if (center && Number.isFinite(maxDim)) offAxis.setDefaultsFromModel(center, maxDim, model?.offAxis);
+}
+
+// 摆放编辑：把手拖动中刷新面板数值，松手/改数值时写回清单条目并重新取景
+const transformEditor = createTransformEditor({
+  scene,
+  camera,
+  canvas,
+  controls,
+  onChange: () => transformPanel.sync(),
+  onCommit: () => {
+    modelController.commitTransform();
+    transformPanel.sync();
+  }
+});
+
+const transformPanel = createTransformPanel({
+  panelEl: transformPanelEl,
+  editor: transformEditor,
+  onCopy: async (snippet) => {
+    try {
+      await navigator.clipboard.writeText(snippet);
+      setStatus("已复制 transform，贴进清单条目即可");
+    } catch (err) {
+      console.error(err);
+      setStatus("复制失败，请手动选中面板里的文本复制");
+    }
   }
 });
 
-// 构造下拉菜单选项
-for (const m of MODELS) {
+// 检查器（调试用）：节点树/材质/贴图/统计 + 渲染器每帧开销；点节点在画面上高亮
+const inspector = createModelInspector({ scene });
+const inspectorPanel = createInspectorPanel({
+  panelEl: inspectorPanelEl,
+  inspector,
+  getRoot: modelController.getCurrentRoot,
+  getBounds: modelController.getCurrentBounds,
+  getRendererInfo: () => renderer.info
+});
+
+// 动画面板：播放控制直接作用于当前模型，设置随用户设置保存
+const animationPanel = createAnimationPanel({
+  panelEl: animationPanelEl,
+  animation: modelController.animation,
+  setStatus,
+  onChange: (settings) => saveSettings("animation", settings)
+});
+
+// 表情面板：跟随开关随用户设置保存；预设按模型名分开保存
+const morphSettings = normalizeMorphSettings(loadSettings("morph", DEFAULT_MORPH_SETTINGS));
+const morphPresets = loadSettings("morphPresets", {});
+const morphPanel = createMorphPanel({
+  panelEl: morphPanelEl,
+  morphs: modelController.morphs,
+  initial: morphSettings,
+  onChange: (settings) => {
+    Object.assign(morphSettings, settings);
+    saveSettings("morph", morphSettings);
+  },
+  getPresets: (modelKey) => morphPresets[modelKey] ?? {},
+  onPresetsChange: (modelKey, presets) => {
+    morphPresets[modelKey] = presets;
+    saveSettings("morphPresets", morphPresets);
+  }
+});
+
+// 给展厅脚本用的入口（比如在控制台或注入脚本里 await offaxis.modelController.playClip("Wave", { loop: "once" })）；
+// loadModel 失败时拒绝的是 ModelLoadError，脚本可以按 err.kind 决定换模型还是重试
+window.offaxis = { modelController, ModelLoadError };
+
+// 模型清单（models.json，可用 ?catalog= 覆盖）；下拉菜单的 value 是清单里的下标
+let catalog = [];
+
+/**
+ * 用清单构造下拉菜单选项（标签放在 title 里，鼠标悬停可见）。
+ */
+function populateModelSelect() {
+  selectEl.replaceChildren();
+  catalog.forEach((m, i) => {
+    const opt = document.createElement("option");
+    opt.value = String(i);
+    opt.textContent = m.name;
+    if (m.tags.length) opt.title = m.tags.join("、");
+    selectEl.appendChild(opt);
+  });
+}
+
+function getSelectedModel() {
+  return catalog[Number(selectEl.value)] ?? catalog[0] ?? null;
+}
+
+// loadingCount：进行中的加载次数（快速切换时会有被取消的旧加载，全部结束才恢复“重载”按钮）
+let loadingCount = 0;
+
+function syncReloadBtn() {
+  reloadBtn.textContent = loadingCount > 0 ? "取消" : "重载";
+}
+
+/**
+ * 应用清单里的默认环境开关和缩略图（新模型真正换上之后才调用，失败/被取消的加载不改界面）。
+ * @param {import('./models.js').ModelEntry} model
+ */
+function applyModelPresentation(model) {
+  if (model.environment?.anime !== undefined) {
+    animeToggleEl.checked = model.environment.anime;
+    anime.setEnabled(model.environment.anime);
+  }
+  if (model.environment?.room !== undefined) {
+    roomToggleEl.checked = model.environment.room;
+    anime.setRoomEnabled(model.environment.room);
+  }
+  modelThumbEl.hidden = !model.thumbnail;
+  if (model.thumbnail) modelThumbEl.src = model.thumbnail;
+}
+
+/**
+ * 加载当前选中的模型，换上之后由 onModelChanged 应用清单里的默认环境开关和缩略图。
+ * 加载成功后在后台预加载清单里的下一个模型；失败时（ModelLoadError）在提示旁显示“重试”，
+ * 画面上仍是之前的模型。
+ *
+ * @param {{reload?: boolean}} [options] reload：跳过缓存重新下载
+ * @returns {Promise<boolean>} 是否加载成功
+ */
+async function loadSelectedModel({ reload = false } = {}) {
+  const model = getSelectedModel();
+  if (!model) return false;
+  loadingCount++;
+  syncReloadBtn();
+  try {
+    await modelController.loadModel(model, { reload });
+    const index = catalog.indexOf(model);
+    const next = catalog[(index + 1) % catalog.length];
+    if (next && next !== model && !next.local) modelController.preload(next);
+    return true;
+  } catch (err) {
+    // 提示已由模型控制器显示在状态栏；被新加载取消的（AbortError）不用处理
+    if (err instanceof ModelLoadError) retryBtn.hidden = false;
+    return false;
+  } finally {
+    loadingCount--;
+    syncReloadBtn();
+  }
+}
+
+// 立体模式下拉菜单
+for (const m of STEREO_MODES) {
   const opt = document.createElement("option");
-  opt.value = m.url;
-  opt.textContent = m.name;
-  selectEl.appendChild(opt);
+  opt.value = m.id;
+  opt.textContent = m.label;
+  stereoModeEl.appendChild(opt);
+}
+stereoModeEl.value = stereoSettings.mode;
+ipdInputEl.value = String(stereoSettings.ipdCm);
+swapEyesToggleEl.checked = stereoSettings.swapEyes;
+
+/**
+ * 从 UI 读取立体设置并保存；选中立体模式时自动打开裸眼3D（左右眼依赖 off-axis 相机）。
+ */
+function applyStereoSettings() {
+  const ipdCm = Number(ipdInputEl.value);
+  stereoSettings.mode = stereoModeEl.value;
+  stereoSettings.ipdCm = Number.isFinite(ipdCm) && ipdCm > 0 ? ipdCm : 6.3;
+  stereoSettings.swapEyes = swapEyesToggleEl.checked;
+  saveSettings("stereo", stereoSettings);
+
+  if (stereoSettings.mode === "off") {
+    stereo.releaseTargets();
+  } else if (!offAxis.enabled) {
+    offAxis.setEnabled(true);
+    offAxisToggleEl.checked = true;
+  }
 }
 
+stereoModeEl.addEventListener("change", applyStereoSettings);
+ipdInputEl.addEventListener("change", applyStereoSettings);
+swapEyesToggleEl.addEventListener("change", applyStereoSettings);
+
+/**
+ * 打开本地模型（拖放/文件选择）：作为临时条目追加到下拉菜单末尾，走和清单模型完全相同的加载流程。
+ * 同一时间只保留一个本地条目，换新文件时释放上一个的 blob URL。
+ *
+ * @param {{file: File, path: string}[]} entries
+ */
+async function openLocalModel(entries) {
+  let source;
+  try {
+    source = createLocalModelSource(entries);
+  } catch (err) {
+    setStatus(err.message);
+    return;
+  }
+
+  const previous = catalog.findIndex((m) => m.local);
+  if (previous >= 0) {
+    catalog[previous].local.dispose();
+    catalog.splice(previous, 1);
+  }
+  catalog.push({
+    name: `本地：${source.name}`,
+    url: source.url,
+    // blob URL 没有扩展名，格式按文件名/MIME 识别
+    format: detectModelFormat({ name: source.name, mimeType: source.mimeType })?.id,
+    resolveUrl: source.resolveUrl,
+    tags: ["本地文件"],
+    local: source
+  });
+  populateModelSelect();
+  selectEl.value = String(catalog.length - 1);
+  const loaded = await loadSelectedModel();
+  // .gltf 引用的 .bin/贴图没一起选上时，提示缺了哪些（模型可能仍能显示，只是没贴图）
+  if (loaded && source.missing.length) setStatus(`缺少资源：${source.missing.join("、")}`);
+}
+
+openModelBtn.addEventListener("click", () => {
+  modelFileInputEl.click();
+});
+
+modelFileInputEl.addEventListener("change", () => {
+  const entries = fromFileList(modelFileInputEl.files);
+  modelFileInputEl.value = "";
+  if (entries.length) openLocalModel(entries);
+});
+
+// 拖放文件（或整个文件夹）到页面上任意位置即可加载
+window.addEventListener("dragover", (e) => {
+  if (!e.dataTransfer?.types.includes("Files")) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = "copy";
+});
+
+window.addEventListener("drop", async (e) => {
+  if (!e.dataTransfer?.files.length) return;
+  e.preventDefault();
+  let entries;
+  try {
+    entries = await collectDroppedFiles(e.dataTransfer);
+  } catch (err) {
+    console.error(err);
+    setStatus("读取拖入的文件失败");
+    return;
+  }
+  openLocalModel(entries);
+});
+
 // 切换模型
 selectEl.addEventListener("change", () => {
-  const model = MODELS.find((m) => m.url === selectEl.value) ?? MODELS[0];
-  if (!model) return;
-  modelController.loadModel(model);
+  loadSelectedModel();
 });
 
-// 重载（重新从网络/缓存加载 glb，并重新应用 transform/取景）
+// 重试加载失败的模型（跳过缓存，避免拿到下坏了的文件）
+retryBtn.addEventListener("click", () => {
+  loadSelectedModel({ reload: true });
+});
+
+// 重载（跳过缓存重新下载，并重新应用 transform/取景）；加载中时是“取消”
 reloadBtn.addEventListener("click", () => {
-  const model = MODELS.find((m) => m.url === selectEl.value) ?? MODELS[0];
-  if (!model) return;
-  modelController.loadModel(model);
+  if (loadingCount > 0) modelController.cancelLoad();
+  else loadSelectedModel({ reload: true });
 });
 
 // 二次元场景开关
@@ -94,36 +504,261 @@ animeToggleEl.addEventListener("change", () => {
   anime.setEnabled(animeToggleEl.checked);
 });
 
+// 卡通风格预设：当前模型和环境立即换成新风格
+for (const s of ANIME_STYLES) {
+  const opt = document.createElement("option");
+  opt.value = s.id;
+  opt.textContent = s.label;
+  animeStyleEl.appendChild(opt);
+}
+animeStyleEl.value = anime.style;
+animeStyleEl.addEventListener("change", () => {
+  anime.setStyle(animeStyleEl.value);
+  saveSettings("animeStyle", anime.style);
+});
+
 // 房间环境开关
 roomToggleEl.addEventListener("change", () => {
   anime.setRoomEnabled(roomToggleEl.checked);
 });
 
+// 角色注视观察者开关
+lookAtToggleEl.checked = modelController.lookAt.settings.enabled;
+lookAtToggleEl.addEventListener("change", () => {
+  modelController.lookAt.setSettings({ enabled: lookAtToggleEl.checked });
+  saveSettings("lookAt", modelController.lookAt.settings);
+});
+
+// 归一化开关：重新加载当前模型才能生效（主文件有缓存，不会重新下载）
+normalizeToggleEl.checked = modelController.normalizeSettings.enabled;
+normalizeToggleEl.addEventListener("change", () => {
+  modelController.setNormalizeSettings({ enabled: normalizeToggleEl.checked });
+  saveSettings("normalize", modelController.normalizeSettings);
+  loadSelectedModel();
+});
+
 // 裸眼3D（off-axis）开关：开启后会禁用 OrbitControls，改为离轴相机驱动
 offAxisToggleEl.addEventListener("change", () => {
   offAxis.setEnabled(offAxisToggleEl.checked);
 });
 
+// 头动数据来源下拉菜单
+for (const p of TRACKING_PROVIDERS) {
+  const opt = document.createElement("option");
+  opt.value = p.id;
+  opt.textContent = p.label;
+  trackSourceEl.appendChild(opt);
+}
+
+/**
+ * 追踪来源变化后同步 UI（下拉菜单/追踪按钮/裸眼3D 开关）。
+ */
+function syncTrackingUi() {
+  trackSourceEl.value = offAxis.providerId ?? "mouse";
+  trackBtn.textContent = offAxis.tracking ? "停止追踪" : "开启追踪";
+  offAxisToggleEl.checked = offAxis.enabled;
+  syncFaceSelectionUi();
+}
+
+/**
+ * 切换追踪来源。回放来源还没有轨迹时先弹出文件选择。
+ * @param {string} id
+ */
+async function switchTrackingProvider(id) {
+  if (id === "replay" && offAxis.getProvider("replay").frameCount === 0) {
+    syncTrackingUi();
+    traceInputEl.click();
+    return;
+  }
+  await offAxis.setProvider(id);
+  syncTrackingUi();
+}
+
+trackSourceEl.addEventListener("change", () => {
+  switchTrackingProvider(trackSourceEl.value);
+});
+
 // 摄像头追踪按钮（同一个按钮在“开启/停止”之间切换）
 trackBtn.addEventListener("click", async () => {
-  if (offAxis.tracking) {
-    offAxis.stopTracking();
-    trackBtn.textContent = "开启追踪";
-  } else {
-    await offAxis.startTracking();
-    trackBtn.textContent = offAxis.tracking ? "停止追踪" : "开启追踪";
-    offAxisToggleEl.checked = offAxis.enabled;
+  await switchTrackingProvider(offAxis.tracking ? "mouse" : "mediapipe");
+});
+
+// 多人脸选择策略（只在摄像头追踪时显示）：最近/最居中/锁定首个/点选
+for (const p of FACE_POLICIES) {
+  const opt = document.createElement("option");
+  opt.value = p.id;
+  opt.textContent = p.label;
+  facePolicyEl.appendChild(opt);
+}
+facePolicyEl.value = faceSelection.policy;
+faceTimeoutInputEl.value = String(faceSelection.lostTimeoutSec);
+
+function syncFaceSelectionUi() {
+  facePolicyEl.hidden = !offAxis.tracking;
+  // 超时只对“会等人回来”的策略有意义
+  faceTimeoutLabelEl.hidden = !offAxis.tracking || !["sticky", "manual"].includes(facePolicyEl.value);
+}
+
+function applyFaceSelection() {
+  const settings = normalizeFaceSelection({ policy: facePolicyEl.value, lostTimeoutSec: faceTimeoutInputEl.value });
+  offAxis.setFaceSelection(settings);
+  saveSettings("faceSelection", settings);
+  syncFaceSelectionUi();
+}
+
+facePolicyEl.addEventListener("change", applyFaceSelection);
+faceTimeoutInputEl.addEventListener("change", applyFaceSelection);
+
+// 选择回放轨迹（JSON）后立即开始回放
+traceInputEl.addEventListener("change", async () => {
+  const file = traceInputEl.files?.[0];
+  traceInputEl.value = "";
+  if (!file) return;
+  try {
+    offAxis.getProvider("replay").setTrace(JSON.parse(await file.text()));
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message || "回放轨迹读取失败");
+    return;
   }
+  await offAxis.setProvider("mouse");
+  await switchTrackingProvider("replay");
 });
 
-// 鼠标模拟头动（仅在“裸眼3D开启 && 未启用摄像头追踪”时生效）
-window.addEventListener(
-  "pointermove",
-  (e) => {
-    offAxis.handlePointerMove(e);
-  },
-  { passive: true }
-);
+// 标定面板开关
+calibBtn.addEventListener("click", () => {
+  calibrationPanel.setOpen(!calibrationPanel.open);
+});
+
+// 滤波面板开关
+filterBtn.addEventListener("click", () => {
+  filterPanel.setOpen(!filterPanel.open);
+});
+
+// 动画面板开关
+animBtn.addEventListener("click", () => {
+  animationPanel.setOpen(!animationPanel.open);
+});
+
+// 表情面板开关
+morphBtn.addEventListener("click", () => {
+  morphPanel.setOpen(!morphPanel.open);
+});
+
+// 检查器面板开关
+inspectorBtn.addEventListener("click", () => {
+  inspectorPanel.setOpen(!inspectorPanel.open);
+});
+
+/**
+ * 应用环境光设置（可能要下载 HDRI），成功后保存；失败时提示（环境回到“无”）。
+ * @param {Partial<typeof DEFAULT_ENVIRONMENT_SETTINGS>} next
+ * @param {{save?: boolean}} [options] save：是否保存（拖动旋转滑块途中不保存）
+ */
+async function applyEnvironmentSettings(next, { save = true } = {}) {
+  try {
+    await environment.setSettings(next);
+    if (save) saveSettings("environment", environment.settings);
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message || "环境贴图加载失败");
+  }
+}
+
+// 环境光面板：内置 HDRI/本地文件、强度/旋转/背景
+const environmentPanel = createEnvironmentPanel({
+  panelEl: environmentPanelEl,
+  initial: environment.settings,
+  onChange: (settings, { commit }) => applyEnvironmentSettings(settings, { save: commit }),
+  onOpenFile: async (file) => {
+    setStatus(`正在读取环境贴图：${file.name}`);
+    try {
+      await environment.loadLocalFile(file);
+      environmentPanel.sync(environment.settings, environment.localName);
+      setStatus(`环境贴图：${file.name}`);
+    } catch (err) {
+      console.error(err);
+      setStatus(err?.message || "环境贴图加载失败");
+    }
+  }
+});
+
+environmentBtn.addEventListener("click", () => {
+  environmentPanel.setOpen(!environmentPanel.open);
+});
+
+// 后处理面板开关
+postBtn.addEventListener("click", () => {
+  postPanel.setOpen(!postPanel.open);
+});
+
+// 摆放面板开关（打开时显示把手）
+transformBtn.addEventListener("click", () => {
+  transformPanel.setOpen(!transformPanel.open);
+});
+
+// 头动录制：开始/停止；停止后可导出 JSON（回放兼容）或 CSV
+recordBtn.addEventListener("click", () => {
+  if (offAxis.recorder.recording) offAxis.recorder.stop();
+  else offAxis.recorder.start();
+  syncRecorderUi();
+});
+
+exportJsonBtn.addEventListener("click", () => {
+  downloadText(`head-trace-${fileTimestamp()}.json`, offAxis.recorder.exportJSON(), "application/json");
+});
+
+exportCsvBtn.addEventListener("click", () => {
+  downloadText(`head-trace-${fileTimestamp()}.csv`, offAxis.recorder.exportCSV(), "text/csv");
+});
+
+/**
+ * 录制按钮文字/导出按钮可用状态（每帧调用，只在变化时写 DOM）。
+ */
+function syncRecorderUi() {
+  const { recording, frameCount } = offAxis.recorder;
+  const text = recording ? `停止录制（${frameCount}）` : "录制";
+  if (recordBtn.textContent !== text) recordBtn.textContent = text;
+  const canExport = !recording && frameCount > 0;
+  exportJsonBtn.disabled = !canExport;
+  exportCsvBtn.disabled = !canExport;
+}
+
+function fileTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, "-");
+}
+
+/**
+ * 通过 URL 参数选择追踪来源（无人值守/CI 用），例如：
+ *   ?tracking=replay&trace=./traces/example.json&replayMode=frame
+ *   ?tracking=keyboard
+ */
+async function initTrackingFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const id = params.get("tracking");
+  if (!id) return;
+  if (!TRACKING_PROVIDERS.some((p) => p.id === id)) {
+    setStatus(`未知的追踪来源：${id}`);
+    return;
+  }
+  if (id === "replay") {
+    const replay = offAxis.getProvider("replay");
+    replay.setOptions({ mode: params.get("replayMode") ?? undefined, loop: params.get("replayLoop") !== "0" });
+    const traceUrl = params.get("trace");
+    if (traceUrl) {
+      try {
+        const res = await fetch(traceUrl);
+        if (!res.ok) throw new Error(`回放轨迹加载失败（HTTP ${res.status}）`);
+        replay.setTrace(await res.json());
+      } catch (err) {
+        console.error(err);
+        setStatus(err?.message || "回放轨迹加载失败");
+        return;
+      }
+    }
+  }
+  await switchTrackingProvider(id);
+}
 
 /**
  * 画布尺寸自适应：
@@ -135,24 +770,105 @@ function resize() {
   const height = canvas.clientHeight;
   if (width === 0 || height === 0) return;
   renderer.setSize(width, height, false);
+  anime.setResolution(width, height);
+  post.setSize(width, height);
   if (!offAxis.enabled) {
     camera.aspect = width / height;
     camera.updateProjectionMatrix();
   }
 }
 
+/**
+ * 追踪质量 HUD（左下角）：检测率 / 采样帧率 / 抖动 / 延迟。只在摄像头/回放等持续来源下显示，
+ * 每 250ms 刷新一次，数字才看得清。
+ */
+let hudUpdatedAt = 0;
+function syncTrackingHud(nowMs) {
+  if (nowMs - hudUpdatedAt < 250) return;
+  hudUpdatedAt = nowMs;
+  const quality = offAxis.enabled ? offAxis.getTrackingQuality() : null;
+  trackingHudEl.hidden = !quality;
+  if (!quality) return;
+  const jitter =
+    quality.jitterCm !== null
+      ? `${(quality.jitterCm * 10).toFixed(1)}mm`
+      : quality.jitterRatio !== null
+        ? `${(quality.jitterRatio * 100).toFixed(2)}%屏高`
+        : "—";
+  const text = [
+    quality.lost ? "人脸丢失" : "追踪中",
+    `检测 ${Math.round(quality.detectionRate * 100)}%`,
+    `${Math.round(quality.sampleRate)}fps`,
+    `抖动 ${jitter}`,
+    `延迟 ${quality.latencyMs > 0 ? Math.round(quality.latencyMs) : "—"}ms`
+  ].join(" · ");
+  if (trackingHudEl.textContent !== text) trackingHudEl.textContent = text;
+  trackingHudEl.classList.toggle("lost", quality.lost);
+}
+
+/**
+ * 后处理 HUD（左下角）：各 pass 每帧耗时。只在后处理生效时显示，和追踪 HUD 一样 250ms 刷新一次。
+ */
+let postHudUpdatedAt = 0;
+function syncPostHud(nowMs, active) {
+  if (nowMs - postHudUpdatedAt < 250) return;
+  postHudUpdatedAt = nowMs;
+  postHudEl.hidden = !active;
+  if (!active) return;
+  const { gpu, passes } = post.getPassTimings();
+  const total = passes.reduce((sum, p) => sum + (p.ms ?? 0), 0);
+  const text = [
+    gpu ? "后处理 GPU" : "后处理 CPU",
+    ...passes.map((p) => `${p.label} ${p.ms === null ? "—" : p.ms.toFixed(2)}ms`),
+    `合计 ${total.toFixed(2)}ms`
+  ].join(" · ");
+  if (postHudEl.textContent !== text) postHudEl.textContent = text;
+}
+
+let lastFrameMs = performance.now();
+const viewerPosition = new Vector3();
+
 /**
  * 主循环：
  * - 普通模式：OrbitControls update
  * - off-axis：由 controller 直接写 camera.matrixWorld/projectionMatrix
  * - anime：更新粒子/天空
+ * - 立体模式（需 off-axis）：左右眼各渲染一次再合成
+ * - 后处理开启时（单目）：EffectComposer 逐 pass 渲染
  */
 function animate() {
+  const nowMs = performance.now();
+  // 切后台再回来时 delta 会很大，截断一下，避免弹簧骨骼甩飞
+  const delta = Math.min((nowMs - lastFrameMs) / 1000, 0.1);
+  lastFrameMs = nowMs;
+
   resize();
   if (!offAxis.enabled) controls.update();
   offAxis.update();
+  syncRecorderUi();
+  if (filterPanel.open) filterPanel.setLatency(offAxis.latencyMs);
+  if (animationPanel.open) animationPanel.sync();
+  if (morphPanel.open) morphPanel.sync();
+  if (inspectorPanel.open) {
+    inspector.update();
+    inspectorPanel.sync();
+  }
+  syncTrackingHud(performance.now());
+  modelController.morphs.setDriven(morphSettings.mirrorFace ? offAxis.getFaceBlendshapes() : null);
+  modelController.lookAt.setTarget(offAxis.getViewerPosition(viewerPosition));
+  modelController.update(delta);
   anime.update(camera, performance.now() * 0.001);
-  renderer.render(scene, camera);
+  const stereoActive = offAxis.enabled && stereoSettings.mode !== "off";
+  renderer.info.reset();
+  syncPostHud(nowMs, post.active && !stereoActive);
+  if (stereoActive) {
+    offAxis.updateStereoCameras(stereo.leftCamera, stereo.rightCamera, stereoSettings);
+    stereo.render(scene, stereoSettings.mode);
+  } else if (post.active) {
+    post.render(delta);
+  } else {
+    renderer.render(scene, camera);
+  }
   requestAnimationFrame(animate);
 }
 
@@ -160,11 +876,20 @@ async function init() {
   // 初始化时应用 UI 默认值
   anime.setEnabled(animeToggleEl.checked);
   anime.setRoomEnabled(roomToggleEl.checked);
-  offAxis.setEnabled(offAxisToggleEl.checked);
+  applyEnvironmentSettings({});
+  offAxis.setEnabled(offAxisToggleEl.checked || stereoSettings.mode !== "off");
+  offAxisToggleEl.checked = offAxis.enabled;
 
-  // 默认加载第一个模型（或当前 select 的值）
-  const initial = MODELS.find((m) => m.url === selectEl.value) ?? MODELS[0];
-  if (initial) await modelController.loadModel(initial);
+  // 加载模型清单，默认加载第一个模型；清单有问题时把错误显示在状态栏（追踪等功能照常可用）
+  try {
+    catalog = await loadCatalog(new URLSearchParams(window.location.search).get("catalog") || DEFAULT_CATALOG_URL);
+    populateModelSelect();
+    await loadSelectedModel();
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message || "模型清单加载失败");
+  }
+  await initTrackingFromUrl();
   animate();
 }
 
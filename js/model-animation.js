@@ -0,0 +1,222 @@
+import * as THREE from "three";
+
+/**
+ * 模型动画播放（每个模型一个 AnimationMixer，由渲染循环推进）。
+ *
+ * - play(name)：切换片段，和上一个片段交叉淡入淡出（fadeSec）
+ * - 循环方式：循环 / 播放一次（停在最后一帧）/ 往返
+ * - speed 作用在 mixer.timeScale 上，淡入淡出的时长也会跟着缩放
+ * - seek 在暂停时也会立即刷新姿态（拖时间轴用）
+ *
+ * play 返回 Promise，方便展厅脚本按顺序排动画：
+ *   await modelController.playClip("Wave", { loop: "once" });
+ *   await modelController.playClip("Idle");
+ * 播放一次的片段播完时 resolve(true)；被别的片段替换/停止/切换模型时 resolve(false)；循环片段只会是后者。
+ */
+export const ANIMATION_LOOPS = [
+  { id: "repeat", label: "循环", mode: THREE.LoopRepeat },
+  { id: "once", label: "播放一次", mode: THREE.LoopOnce },
+  { id: "pingpong", label: "往返", mode: THREE.LoopPingPong }
+];
+
+export const DEFAULT_ANIMATION_SETTINGS = {
+  // autoplay：加载模型后自动播放第一个片段（不然骨骼角色会停在绑定姿势）
+  autoplay: true,
+  loop: "repeat",
+  // fadeSec：切换片段时的交叉淡化时长（秒）
+  fadeSec: 0.3,
+  speed: 1
+};
+
+const MAX_SPEED = 4;
+
+/**
+ * 规整动画设置：缺字段补默认值，非法值回退默认值。
+ * @param {Partial<typeof DEFAULT_ANIMATION_SETTINGS>} raw
+ * @returns {typeof DEFAULT_ANIMATION_SETTINGS}
+ */
+export function normalizeAnimationSettings(raw) {
+  const src = raw ?? {};
+  const fadeSec = Number(src.fadeSec);
+  const speed = Number(src.speed);
+  return {
+    autoplay: src.autoplay === undefined ? DEFAULT_ANIMATION_SETTINGS.autoplay : Boolean(src.autoplay),
+    loop: ANIMATION_LOOPS.some((l) => l.id === src.loop) ? src.loop : DEFAULT_ANIMATION_SETTINGS.loop,
+    fadeSec: Number.isFinite(fadeSec) && fadeSec >= 0 ? Math.min(fadeSec, 5) : DEFAULT_ANIMATION_SETTINGS.fadeSec,
+    speed: Number.isFinite(speed) && speed >= 0 ? Math.min(speed, MAX_SPEED) : DEFAULT_ANIMATION_SETTINGS.speed
+  };
+}
+
+/**
+ * @param {typeof DEFAULT_ANIMATION_SETTINGS} initialSettings
+ */
+export function createModelAnimator(initialSettings) {
+  let settings = normalizeAnimationSettings(initialSettings);
+  let mixer = null;
+  /** @type {import('three').AnimationClip[]} */
+  let clips = [];
+  // current：当前片段的 action（交叉淡化时是淡入的那个）
+  let current = null;
+  // loopOverridden：当前片段是 play() 时用 options.loop 指定的循环方式（改设置时不覆盖它）
+  let loopOverridden = false;
+  // fadingOut：正在淡出的上一个片段
+  let fadingOut = null;
+  // pending：play 返回的 Promise 的 resolve（同一时间只有一个）
+  let pending = null;
+
+  /**
+   * 换模型：释放旧 mixer，按新模型的片段建 mixer；设置里开了自动播放就播第一个片段。
+   * @param {import('three').Object3D|null} root
+   * @param {import('three').AnimationClip[]} animations
+   */
+  function setModel(root, animations) {
+    if (mixer) {
+      mixer.stopAllAction();
+      mixer.uncacheRoot(mixer.getRoot());
+    }
+    settle(false);
+    current = null;
+    fadingOut = null;
+    clips = animations ?? [];
+    mixer = root && clips.length ? new THREE.AnimationMixer(root) : null;
+    if (!mixer) return;
+    mixer.timeScale = settings.speed;
+    mixer.addEventListener("finished", (e) => {
+      if (pending && e.action === pending.action) settle(true);
+    });
+    if (settings.autoplay) play(clips[0].name);
+  }
+
+  /**
+   * 播放指定片段。
+   * @param {string} name 片段名（clip.name）
+   * @param {{loop?: string, fadeSec?: number}} [options] 覆盖当前设置（只对这一次生效）
+   * @returns {Promise<boolean>} 播完为 true，被打断为 false
+   */
+  function play(name, options = {}) {
+    const clip = THREE.AnimationClip.findByName(clips, name);
+    if (!mixer || !clip) return Promise.reject(new Error(`当前模型没有名为「${name}」的动画`));
+
+    const loop = ANIMATION_LOOPS.find((l) => l.id === (options.loop ?? settings.loop)) ?? ANIMATION_LOOPS[0];
+    const fadeSec = options.fadeSec ?? settings.fadeSec;
+    const action = mixer.clipAction(clip);
+    const previous = current;
+
+    settle(false);
+    action.reset();
+    action.setLoop(loop.mode, Infinity);
+    // 播放一次：停在最后一帧，而不是弹回绑定姿势
+    action.clampWhenFinished = true;
+    action.play();
+    fadingOut = null;
+    if (previous && previous !== action && fadeSec > 0) {
+      action.crossFadeFrom(previous, fadeSec, false);
+      fadingOut = previous;
+    } else if (previous && previous !== action) {
+      previous.stop();
+    }
+    current = action;
+    loopOverridden = options.loop !== undefined;
+    return new Promise((resolve) => {
+      pending = { action, resolve };
+    });
+  }
+
+  /**
+   * 暂停/继续。已经播完的“播放一次”片段继续时从头开始。
+   * @param {boolean} paused
+   */
+  function setPaused(paused) {
+    if (!current) return;
+    if (!paused && current.loop === THREE.LoopOnce && current.time >= current.getClip().duration) {
+      current.reset().play();
+      return;
+    }
+    current.paused = Boolean(paused);
+  }
+
+  /**
+   * 停止播放（回到绑定姿势）。
+   */
+  function stop() {
+    settle(false);
+    mixer?.stopAllAction();
+    current = null;
+    fadingOut = null;
+  }
+
+  /**
+   * 跳到当前片段的指定时间（秒）。
+   * @param {number} timeSec
+   */
+  function seek(timeSec) {
+    if (!current) return;
+    const duration = current.getClip().duration;
+    current.time = Math.min(Math.max(Number(timeSec) || 0, 0), duration);
+    // 时间轴拖动时淡化还没结束的话直接结束它，否则拖到的姿势会混着上一个片段
+    if (fadingOut) {
+      fadingOut.stop();
+      fadingOut = null;
+      current.stopFading().setEffectiveWeight(1);
+    }
+    // delta = 0：只按新时间刷新姿态，暂停时也生效
+    mixer.update(0);
+  }
+
+  /**
+   * 更新设置（速度对正在播放的片段立即生效；循环方式只在 next 里带了 loop 时才改，
+   * 且不覆盖 play() 时单独指定的循环方式）。
+   * @param {Partial<typeof DEFAULT_ANIMATION_SETTINGS>} next
+   */
+  function setSettings(next) {
+    settings = normalizeAnimationSettings({ ...settings, ...next });
+    if (mixer) mixer.timeScale = settings.speed;
+    if (current && next.loop !== undefined && !loopOverridden) {
+      const loop = ANIMATION_LOOPS.find((l) => l.id === settings.loop);
+      current.setLoop(loop.mode, Infinity);
+    }
+  }
+
+  /**
+   * 每帧推进。
+   * @param {number} delta 秒
+   */
+  function update(delta) {
+    mixer?.update(delta);
+  }
+
+  /**
+   * 当前状态（给面板显示）。
+   */
+  function getState() {
+    const duration = current ? current.getClip().duration : 0;
+    return {
+      clips: clips.map((c) => c.name),
+      current: current ? current.getClip().name : null,
+      time: current ? Math.min(current.time, duration) : 0,
+      duration,
+      paused: current ? current.paused || !current.isRunning() : true
+    };
+  }
+
+  function settle(finished) {
+    if (!pending) return;
+    const { resolve } = pending;
+    pending = null;
+    resolve(finished);
+  }
+
+  return {
+    get settings() {
+      return settings;
+    },
+    setModel,
+    play,
+    setPaused,
+    stop,
+    seek,
+    setSettings,
+    update,
+    getState
+  };
+}
@@ -0,0 +1,221 @@
+/**
+ * 模型文件缓存：按地址缓存主文件的原始字节（ArrayBuffer），切回看过的模型时不用再下载。
+ *
+ * - 内存：最近用过的几个文件（LRU，按个数和总字节数淘汰）
+ * - Cache Storage：http(s) 地址额外存一份，刷新页面后也能直接用（保留最近 MAX_PERSISTENT 个）；
+ *   用之前按存下的 ETag/Last-Modified 发条件请求校验，304 才用缓存，服务器文件换了就重新下载
+ * - 预加载：后台把下一个模型下载进缓存（低优先级，新的预加载会取消旧的）
+ *
+ * 只缓存主文件（.glb/.vrm/.fbx…）；.gltf 引用的 .bin/贴图仍由 loader 自己请求（走浏览器 HTTP 缓存）。
+ * 内存里的不做校验（只活到刷新页面）：这期间服务器上的文件换了，用“重载”（reload: true）跳过并刷新缓存。
+ * blob: 地址（本地文件）本来就在内存里，不缓存。
+ */
+const CACHE_NAME = "offaxis-models";
+const MAX_MEMORY_ENTRIES = 3;
+const MAX_MEMORY_BYTES = 300 * 1024 * 1024;
+const MAX_PERSISTENT = 8;
+
+export function createModelCache() {
+  // memory：url → ArrayBuffer（Map 保持插入顺序，命中时删掉重插，最前面的就是最久没用的）
+  const memory = new Map();
+  // inflight：url → Promise<ArrayBuffer>（预加载和正式加载同一个文件时共用一次下载）
+  const inflight = new Map();
+  let preloadController = null;
+
+  /**
+   * 取文件字节：内存 → Cache Storage（校验过）→ 网络。
+   * @param {string} url
+   * @param {{signal?: AbortSignal, onProgress?: (evt: {loaded: number, total: number}) => void, reload?: boolean, priority?: "high"|"low"|"auto"}} [options]
+   *   reload：跳过所有缓存重新下载（并刷新缓存）
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async function fetchBuffer(url, { signal, onProgress, reload = false, priority = "auto" } = {}) {
+    if (reload) {
+      memory.delete(url);
+      await deletePersistent(url);
+    } else {
+      const hit = memory.get(url);
+      if (hit) {
+        remember(url, hit);
+        return hit;
+      }
+      if (inflight.has(url)) {
+        try {
+          return await withSignal(inflight.get(url), signal);
+        } catch (err) {
+          // 共用的是被取消的预加载：自己重新下载；其他错误照常抛出
+          if (signal?.aborted || err?.name !== "AbortError") throw err;
+        }
+      }
+    }
+    // 没有校验信息（服务器没给 ETag/Last-Modified）的持久缓存没法确认是否过期，直接重新下载
+    const persisted = reload ? null : await readPersistent(url);
+    signal?.throwIfAborted();
+    const cached = persisted && hasValidators(persisted) ? persisted : null;
+
+    const pending = download(url, { signal, onProgress, reload, priority, cached });
+    inflight.set(url, pending);
+    try {
+      const buffer = await pending;
+      remember(url, buffer);
+      return buffer;
+    } finally {
+      if (inflight.get(url) === pending) inflight.delete(url);
+    }
+  }
+
+  /**
+   * 后台预加载（已缓存的直接跳过）。失败只打日志。
+   * @param {string} url
+   */
+  function preload(url) {
+    preloadController?.abort();
+    preloadController = null;
+    if (!isCacheable(url) || memory.has(url) || inflight.has(url)) return;
+    const controller = new AbortController();
+    preloadController = controller;
+    fetchBuffer(url, { signal: controller.signal, priority: "low" })
+      .catch((err) => {
+        if (!controller.signal.aborted) console.warn(`预加载失败：${url}`, err);
+      })
+      .finally(() => {
+        if (preloadController === controller) preloadController = null;
+      });
+  }
+
+  function remember(url, buffer) {
+    if (!isCacheable(url)) return;
+    memory.delete(url);
+    memory.set(url, buffer);
+    let total = 0;
+    for (const b of memory.values()) total += b.byteLength;
+    for (const [key, b] of memory) {
+      if (memory.size <= 1 || (memory.size <= MAX_MEMORY_ENTRIES && total <= MAX_MEMORY_BYTES)) break;
+      memory.delete(key);
+      total -= b.byteLength;
+    }
+  }
+
+  return { fetchBuffer, preload };
+}
+
+/**
+ * 下载并按 content-length 报告进度；成功后写入 Cache Storage。
+ * 带 cached（Cache Storage 里的旧响应）时发条件请求：304 直接用缓存的字节；
+ * 请求发不出去（离线/跨域不允许条件请求头）时也先用缓存的。
+ */
+async function download(url, { signal, onProgress, reload, priority, cached = null }) {
+  let res;
+  try {
+    res = await fetch(url, {
+      signal,
+      priority,
+      cache: reload ? "reload" : "default",
+      headers: cached ? validatorHeaders(cached) : undefined
+    });
+  } catch (err) {
+    if (!cached || signal?.aborted) throw err;
+    console.warn("模型缓存校验失败，先用缓存的文件", err);
+    return cached.arrayBuffer();
+  }
+  if (cached && res.status === 304) return cached.arrayBuffer();
+  // 带上状态码，方便上层区分 404 和其他错误（见 model-errors.js）
+  if (!res.ok) throw Object.assign(new Error(`HTTP ${res.status}`), { status: res.status });
+  const persist = isPersistable(url) ? res.clone() : null;
+
+  let buffer;
+  const total = Number(res.headers.get("content-length")) || 0;
+  if (!res.body || !onProgress) {
+    buffer = await res.arrayBuffer();
+  } else {
+    const reader = res.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      loaded += value.byteLength;
+      onProgress({ loaded, total });
+    }
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+    buffer = bytes.buffer;
+  }
+
+  if (persist) writePersistent(url, persist);
+  return buffer;
+}
+
+async function readPersistent(url) {
+  if (!isPersistable(url)) return null;
+  try {
+    const cache = await caches.open(CACHE_NAME);
+    return (await cache.match(url)) ?? null;
+  } catch (err) {
+    console.warn("读取模型缓存失败", err);
+    return null;
+  }
+}
+
+async function writePersistent(url, response) {
+  try {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(url, response);
+    // keys() 按写入顺序返回，超出数量时删最早的
+    const keys = await cache.keys();
+    for (const key of keys.slice(0, Math.max(keys.length - MAX_PERSISTENT, 0))) await cache.delete(key);
+  } catch (err) {
+    // 配额满/隐私模式：只是没有持久缓存，不影响加载
+    console.warn("写入模型缓存失败", err);
+  }
+}
+
+async function deletePersistent(url) {
+  if (!isPersistable(url)) return;
+  try {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.delete(url);
+  } catch (err) {
+    console.warn("删除模型缓存失败", err);
+  }
+}
+
+/**
+ * 等待共用的下载，但自己的 signal 取消时立即放弃（不影响别人）。
+ */
+function withSignal(promise, signal) {
+  if (!signal) return promise;
+  signal.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+function hasValidators(response) {
+  return response.headers.has("etag") || response.headers.has("last-modified");
+}
+
+// 条件请求头：ETag 优先（服务器两个都认时按 If-None-Match 判断）
+function validatorHeaders(response) {
+  const headers = {};
+  const etag = response.headers.get("etag");
+  const lastModified = response.headers.get("last-modified");
+  if (etag) headers["If-None-Match"] = etag;
+  if (lastModified) headers["If-Modified-Since"] = lastModified;
+  return headers;
+}
+
+function isCacheable(url) {
+  return !url.startsWith("blob:");
+}
+
+function isPersistable(url) {
+  return /^https?:/.test(url) && typeof caches !== "undefined";
+}
@@ -1,74 +1,280 @@
 import * as THREE from "three";
-import { applyModelTransform, disposeObject3D } from "./model-utils.js";
+import { applyModelTransform, disposeObject3D, readModelTransform } from "./model-utils.js";
 import { fitCameraToObject } from "./camera-utils.js";
+import { createModelFormats, detectModelFormat } from "./model-formats.js";
+import { createModelCache } from "./model-cache.js";
+import { resourceName, toModelLoadError } from "./model-errors.js";
+import { createModelAnimator } from "./model-animation.js";
+import { createMorphController } from "./model-morphs.js";
+import { createLookAtController } from "./model-lookat.js";
+import { normalizeModel, resolveNormalizeSettings } from "./model-normalize.js";
 
 /**
  * 模型控制器：负责
- * - 通过 GLTFLoader 加载 glb
+ * - 加载可取消（快速切换时只保留最后一次），主文件带缓存与预加载（见 model-cache.js）
+ * - 加载失败时归类成 ModelLoadError（网络/跨域/文件损坏/缺资源/Draco/上下文丢失，见 model-errors.js），
+ *   当前模型保持不动
+ * - 按格式选 loader 加载（glTF/VRM/FBX/OBJ/PLY，见 model-formats.js；
+ *   本地拖入的文件通过 resolveUrl 把相对资源映射到 blob URL）
  * - 切换模型时释放旧模型资源
- * - 应用初始 transform（position/rotation/scale）
+ * - 应用初始 transform（position/rotation/scale）；摆放编辑后写回清单条目（commitTransform）
+ * - 可选的归一化：统一朝上轴/高度，居中并落地（见 model-normalize.js）
  * - 自动取景（fitCameraToObject）
- * - 把“包围盒信息”回调给外部（用于地面/阴影/off-axis 标定）
+ * - 播放模型自带的动画（AnimationMixer，见 model-animation.js）
+ * - 表情 / morph target 控制（见 model-morphs.js）
+ * - 角色注视观察者（见 model-lookat.js）
+ * - 把“包围盒信息”回调给外部（用于地面/阴影/off-axis 标定）：换模型时 onModelChanged，
+ *   同一个模型改了摆放时 onBoundsChanged
  */
-export function createModelController({ scene, loader, camera, controls, setStatus, onModelChanged }) {
+export function createModelController({
+  scene,
+  loader,
+  renderer,
+  camera,
+  controls,
+  setStatus,
+  onModelChanged,
+  onBoundsChanged,
+  animationSettings,
+  lookAtSettings,
+  normalizeSettings
+}) {
   let currentRoot = null;
+  // currentModel：当前模型的清单条目（摆放编辑写回它的 transform）
+  let currentModel = null;
+  // currentVrm：VRM 模型的 three-vrm 对象（弹簧骨骼每帧更新；humanoid 供外部使用）
+  let currentVrm = null;
+  const formats = createModelFormats({ gltfLoader: loader });
+  const cache = createModelCache();
+  // activeLoad：进行中的加载（新加载开始时取消它）
+  let activeLoad = null;
+  const animation = createModelAnimator(animationSettings);
+  const morphs = createMorphController();
+  const lookAt = createLookAtController(lookAtSettings);
+  // normalization：归一化的全局设置（清单条目的 normalize 字段在加载时叠加）
+  let normalization = resolveNormalizeSettings(normalizeSettings);
 
   /**
-   * 加载并切换模型。
-   * @param {{url: string, transform?: any}} args
-   * @returns {Promise<{root: import('three').Object3D, box: import('three').Box3|null, center: import('three').Vector3|null, maxDim: number|null}>}
+   * 加载并切换模型。格式按 model.format → 扩展名 → 服务器返回的 MIME 类型依次确定（见 model-formats.js）。
+   *
+   * 新的加载会取消还没完成的上一次加载（下载中断，解析完的结果直接丢弃），被取消的那次以
+   * AbortError 拒绝，状态栏不动（交给新的那次）。主文件经过缓存（见 model-cache.js），切回看过的模型不用重新下载。
+   *
+   * 失败时以 ModelLoadError 拒绝（kind 区分原因，message 已显示在状态栏），场景里仍是之前的模型。
+   * 贴图下载失败不算失败（模型照常显示，状态栏列出缺的文件）。
+   *
+   * @param {import('./models.js').ModelEntry & {resolveUrl?: (url: string) => string}} model
+   *   清单条目（至少要有 url；transform 可选）；本地文件额外带 resolveUrl（见 local-files.js）
+   * @param {{signal?: AbortSignal, reload?: boolean}} [options] signal：外部取消；reload：跳过缓存重新下载
+   * @returns {Promise<{root: import('three').Object3D, box: import('three').Box3|null, center: import('three').Vector3|null, maxDim: number|null, model: import('./models.js').ModelEntry, animations: import('three').AnimationClip[], vrm: any|null}>}
+   * @throws {import('./model-errors.js').ModelLoadError|DOMException} 加载失败 / 被取消（AbortError）
    */
-  async function loadModel({ url, transform }) {
-    setStatus("加载中…");
-    return new Promise((resolve, reject) => {
-      loader.load(
-        url,
-        (gltf) => {
-          // 1) 移除旧模型并释放资源（避免越切越卡/显存泄漏）
-          if (currentRoot) {
-            scene.remove(currentRoot);
-            disposeObject3D(currentRoot);
-          }
-
-          // 2) 添加新模型
-          currentRoot = gltf.scene;
-          scene.add(currentRoot);
-
-          // 3) 应用模型初始变换（来自 MODELS 配置）
-          applyModelTransform(currentRoot, transform);
-
-          // 4) 自动取景，并把包围盒信息提供给其他模块
-          const { box, center, maxDim } = fitCameraToObject({ camera, controls, object3d: currentRoot });
-          const payload = { root: currentRoot, box, center, maxDim };
-          if (onModelChanged) onModelChanged(payload);
-
-          setStatus("");
-          resolve(payload);
-        },
-        (evt) => {
-          if (!evt.total) return;
+  async function loadModel(model, { signal, reload = false } = {}) {
+    const { url, transform, resolveUrl } = model;
+    activeLoad?.abort();
+    const controller = new AbortController();
+    activeLoad = controller;
+    signal?.addEventListener("abort", () => controller.abort(signal.reason), { once: true });
+    const aborted = () => controller.signal.aborted;
+    setStatus(`加载中… ${model.name ?? ""}`.trim());
+
+    let loaded;
+    let formatId;
+    // failedResources：解析期间下载失败的 .bin/贴图/解码器地址（判断错误原因用）
+    const failedResources = [];
+    try {
+      formatId = await resolveFormat(model, controller.signal);
+      const buffer = await cache.fetchBuffer(url, {
+        signal: controller.signal,
+        reload,
+        onProgress: (evt) => {
+          if (!evt.total || aborted()) return;
           const pct = Math.round((evt.loaded / evt.total) * 100);
           setStatus(`加载中… ${pct}%`);
-        },
-        (err) => {
-          console.error(err);
-          setStatus("加载失败，打开控制台看错误");
-          reject(err);
         }
-      );
-    });
+      });
+      controller.signal.throwIfAborted();
+      // 资源地址映射只在这次解析期间生效（.bin/贴图在解析过程中异步请求）
+      loader.manager.setURLModifier(resolveUrl);
+      loader.manager.onError = (failedUrl) => failedResources.push(failedUrl);
+      loaded = await formats.parse(formatId, buffer, url);
+    } catch (err) {
+      if (aborted()) throw controller.signal.reason;
+      // 先让出 URL 映射（归类时可能要发请求探测跨域）；activeLoad 等归类完再清，
+      // 探测期间开始了新的加载会取消这次，过期的错误不会盖掉新加载的状态
+      resetManager(controller);
+      const error = await toModelLoadError(err, { url, formatId, failedResources, contextLost: isContextLost() });
+      if (aborted()) throw controller.signal.reason;
+      activeLoad = null;
+      console.error(error, err);
+      setStatus(error.message);
+      throw error;
+    } finally {
+      resetManager(controller);
+    }
+
+    // 解析期间又开始了新的加载：这次的结果作废
+    if (aborted()) {
+      disposeObject3D(loaded.root);
+      throw controller.signal.reason;
+    }
+    activeLoad = null;
+
+    // 上下文丢失时新模型上传不了显卡：不换模型，等恢复后重试
+    if (isContextLost()) {
+      disposeObject3D(loaded.root);
+      const error = await toModelLoadError(null, { url, formatId, contextLost: true });
+      setStatus(error.message);
+      throw error;
+    }
+
+    // 1) 移除旧模型并释放资源（避免越切越卡/显存泄漏）
+    if (currentRoot) {
+      scene.remove(currentRoot);
+      disposeObject3D(currentRoot);
+    }
+
+    // 2) 添加新模型
+    currentRoot = loaded.root;
+    currentVrm = loaded.vrm;
+    currentModel = model;
+    scene.add(currentRoot);
+
+    // 3) 应用模型初始变换（来自模型清单）并按需归一化，换上新模型的动画
+    applyModelTransform(currentRoot, transform);
+    const normalized = normalizeModel(currentRoot, resolveNormalizeSettings(normalization, model.normalize));
+    animation.setModel(currentRoot, loaded.animations);
+    morphs.setModel(currentRoot, currentVrm);
+    lookAt.setModel(currentRoot, currentVrm, model.lookAt);
+
+    // 4) 自动取景，并把包围盒信息提供给其他模块
+    const { box, center, maxDim } = fitCameraToObject({ camera, controls, object3d: currentRoot });
+    const payload = { root: currentRoot, box, center, maxDim, model, animations: loaded.animations, vrm: currentVrm };
+    if (onModelChanged) onModelChanged(payload);
+
+    const notes = [];
+    if (normalized.length) notes.push(`已归一化：${normalized.join("、")}`);
+    if (failedResources.length) notes.push(`部分资源加载失败：${failedResources.map(resourceName).join("、")}`);
+    setStatus(notes.join("；"));
+    return payload;
+  }
+
+  /**
+   * 更新归一化的全局设置（下次加载模型时生效）。
+   * @param {Partial<import('./model-normalize.js').DEFAULT_NORMALIZE_SETTINGS>} next
+   */
+  function setNormalizeSettings(next) {
+    normalization = resolveNormalizeSettings({ ...normalization, ...next });
+  }
+
+  /**
+   * 摆放编辑提交（拖把手松手/改数值）：把根节点当前的变换写回清单条目（重载/切回来时沿用），
+   * 重新取景，并通过 onBoundsChanged 让地面/阴影/off-axis 标定跟着更新。
+   * @returns {{box: import('three').Box3|null, center: import('three').Vector3|null, maxDim: number|null} | null}
+   */
+  function commitTransform() {
+    if (!currentRoot || !currentModel) return null;
+    currentModel.transform = readModelTransform(currentRoot);
+    currentRoot.updateMatrixWorld(true);
+    const { box, center, maxDim } = fitCameraToObject({ camera, controls, object3d: currentRoot });
+    if (onBoundsChanged) onBoundsChanged({ box, center, maxDim, model: currentModel });
+    return { box, center, maxDim };
+  }
+
+  /**
+   * 解析结束后清掉这次加载的 URL 映射/错误收集。
+   * 解析没法中途打断：被取消的那次解析完时，manager 可能已经属于新的加载，不要清掉。
+   */
+  function resetManager(controller) {
+    if (activeLoad !== controller && activeLoad !== null) return;
+    loader.manager.setURLModifier(undefined);
+    loader.manager.onError = undefined;
+  }
+
+  function isContextLost() {
+    return renderer?.getContext().isContextLost() ?? false;
+  }
+
+  /**
+   * 确定模型格式：清单/本地条目显式给了 format 就用；否则看扩展名；
+   * 地址没有扩展名时（比如 CDN 的哈希地址）用 HEAD 请求拿 Content-Type。
+   */
+  async function resolveFormat(model, signal) {
+    if (model.format) return model.format;
+    const byName = detectModelFormat({ url: model.url });
+    if (byName) return byName.id;
+
+    let mimeType = "";
+    if (!model.url.startsWith("blob:")) {
+      try {
+        const res = await fetch(model.url, { method: "HEAD", signal });
+        mimeType = res.headers.get("content-type") ?? "";
+      } catch (err) {
+        signal?.throwIfAborted();
+        console.warn("获取模型 Content-Type 失败", err);
+      }
+    }
+    // 识别不出来时按 glTF 处理（和只支持 glTF 时的行为一致；GLTFLoader 自己能区分 glb/gltf）
+    return detectModelFormat({ mimeType })?.id ?? "gltf";
+  }
+
+  /**
+   * 后台预加载（比如清单里的下一个模型），之后切过去就不用等下载。
+   * @param {import('./models.js').ModelEntry} model
+   */
+  function preload(model) {
+    if (model?.url) cache.preload(model.url);
+  }
+
+  /**
+   * 取消进行中的加载（当前显示的模型不受影响）。
+   */
+  function cancelLoad() {
+    if (!activeLoad) return;
+    activeLoad.abort();
+    activeLoad = null;
+    setStatus("已取消加载");
   }
 
   /**
-   * 获取当前 gltf.scene（用于调试/外部逻辑）。
+   * 每帧更新：先推进动画，再写表情（盖过动画里的 morph 轨道）、叠加注视转动，
+   * 最后更新 VRM（弹簧骨骼/表情/约束要基于动画后的姿势）。
+   * @param {number} delta 秒
+   */
+  function update(delta) {
+    lookAt.restore();
+    animation.update(delta);
+    morphs.apply();
+    lookAt.apply(delta);
+    currentVrm?.update(delta);
+  }
+
+  /**
+   * 播放当前模型的动画片段（展厅脚本可用它按顺序排动画，见 model-animation.js）。
+   * @param {string} name
+   * @param {{loop?: "repeat"|"once"|"pingpong", fadeSec?: number}} [options]
+   * @returns {Promise<boolean>} 播完为 true，被打断为 false
+   */
+  function playClip(name, options) {
+    return animation.play(name, options);
+  }
+
+  /**
+   * 获取当前模型根节点（检查器面板、外部脚本用）。
    */
   function getCurrentRoot() {
     return currentRoot;
   }
 
   /**
-   * 计算当前模型的包围盒信息（不改变相机）。
-   * 主要用于调试/后续扩展。
+   * 当前 VRM 对象（humanoid / expressionManager / springBoneManager 等），非 VRM 模型为 null。
+   */
+  function getCurrentVrm() {
+    return currentVrm;
+  }
+
+  /**
+   * 计算当前模型的包围盒信息（不改变相机），检查器面板用它显示尺寸。
    */
   function getCurrentBounds() {
     if (!currentRoot) return { box: null, center: null, maxDim: null };
@@ -80,5 +286,22 @@ export function createModelController({ scene, loader, camera, controls, setStat
     return { box, center, maxDim };
   }
 
-  return { loadModel, getCurrentRoot, getCurrentBounds };
+  return {
+    animation,
+    morphs,
+    lookAt,
+    get normalizeSettings() {
+      return normalization;
+    },
+    setNormalizeSettings,
+    loadModel,
+    preload,
+    cancelLoad,
+    commitTransform,
+    update,
+    playClip,
+    getCurrentRoot,
+    getCurrentVrm,
+    getCurrentBounds
+  };
 }
@@ -0,0 +1,127 @@
+import { MODEL_FORMATS } from "./model-formats.js";
+
+/**
+ * 模型加载错误：把下载/解析/渲染阶段五花八门的异常归成几类，给出看得懂的提示。
+ *
+ * - network：下载失败（断网、地址错、HTTP 404/500…，status 是 HTTP 状态码，拿不到时为 null）
+ * - cors：跨域被拦截（服务器能连上，但没有给本页面 Access-Control-Allow-Origin）
+ * - invalid：文件内容不对（glTF 的 JSON 解析失败/版本不支持、不是对应格式的文件）
+ * - missing-resource：主文件引用的 .bin/贴图/.mtl 下载失败（resource 是出错的地址）
+ * - draco：模型用了 Draco 压缩，但解码器下载失败（解码器来自 gstatic.com）
+ * - context-lost：WebGL 上下文丢失（显卡驱动重置/显存不足），新模型没法上传到显卡
+ * - unknown：其他
+ *
+ * 被取消的加载（AbortError）不是加载错误，不会被包装成 ModelLoadError。
+ */
+export class ModelLoadError extends Error {
+  /**
+   * @param {"network"|"cors"|"invalid"|"missing-resource"|"draco"|"context-lost"|"unknown"} kind
+   * @param {string} message 给用户看的提示
+   * @param {{url?: string, status?: number|null, resource?: string|null, cause?: unknown}} [details]
+   */
+  constructor(kind, message, { url = "", status = null, resource = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "ModelLoadError";
+    this.kind = kind;
+    this.url = url;
+    this.status = status;
+    this.resource = resource;
+  }
+}
+
+// 跨域探测的超时（毫秒）
+const CORS_PROBE_TIMEOUT_MS = 5000;
+
+/**
+ * 把加载过程中抛出的异常归类成 ModelLoadError。
+ *
+ * fetch 的跨域失败和断网在浏览器里是同一个 TypeError，分不出来：对跨域地址再发一次
+ * no-cors 的 HEAD 请求，能拿到（不透明的）响应说明服务器是通的，问题出在 CORS。
+ *
+ * @param {unknown} err
+ * @param {object} context
+ * @param {string} context.url 主文件地址
+ * @param {string} [context.formatId] 格式 id（决定“文件内容不对”的提示）
+ * @param {string[]} [context.failedResources] 解析期间下载失败的资源地址（LoadingManager.onError 收集）
+ * @param {boolean} [context.contextLost] 当前 WebGL 上下文是否已丢失
+ * @returns {Promise<ModelLoadError>}
+ */
+export async function toModelLoadError(err, { url, formatId, failedResources = [], contextLost = false }) {
+  if (err instanceof ModelLoadError) return err;
+  const message = String(err?.message ?? err ?? "");
+  const details = { url, cause: err };
+
+  if (contextLost) {
+    return new ModelLoadError("context-lost", "WebGL 上下文丢失（显卡重置或显存不足），画面恢复后点“重试”", details);
+  }
+
+  const dracoResource = failedResources.find((r) => /draco/i.test(r));
+  if (dracoResource || /draco/i.test(message)) {
+    return new ModelLoadError("draco", "Draco 解码器不可用（模型是 Draco 压缩的，解码器需要能访问 gstatic.com）", {
+      ...details,
+      resource: dracoResource ?? null
+    });
+  }
+
+  if (typeof err?.status === "number") {
+    const text = err.status === 404 ? "模型文件不存在（HTTP 404）" : `服务器返回错误（HTTP ${err.status}）`;
+    return new ModelLoadError("network", text, { ...details, status: err.status });
+  }
+
+  if (failedResources.length) {
+    const names = failedResources.map(resourceName).join("、");
+    return new ModelLoadError("missing-resource", `缺少模型引用的资源：${names}`, {
+      ...details,
+      resource: failedResources[0]
+    });
+  }
+
+  // fetch 本身失败（还没拿到响应）：断网/域名错/跨域
+  if (err?.name === "TypeError" && /fetch|network|load failed/i.test(message)) {
+    if (await isCorsBlocked(url)) {
+      return new ModelLoadError("cors", "跨域被拦截：模型服务器没有允许本页面访问（需要 Access-Control-Allow-Origin）", details);
+    }
+    return new ModelLoadError("network", "网络错误，下载不了模型（检查网络或地址）", details);
+  }
+
+  if (err instanceof SyntaxError || /GLTFLoader|Unsupported asset|JSON|magic|not a valid|不是有效/i.test(message)) {
+    const label = MODEL_FORMATS.find((f) => f.id === formatId)?.label ?? "模型";
+    const gltfLike = formatId === "gltf" || formatId === "vrm";
+    const text = gltfLike ? `不是有效的 ${label} 文件（JSON 解析失败或版本不支持）` : `不是有效的 ${label} 文件`;
+    return new ModelLoadError("invalid", text, details);
+  }
+
+  return new ModelLoadError("unknown", `加载失败：${message || "未知错误"}`, details);
+}
+
+/**
+ * 跨域地址是否“服务器通、但被 CORS 拦了”。同源/blob 地址直接返回 false。
+ */
+async function isCorsBlocked(url) {
+  let target;
+  try {
+    target = new URL(url, window.location.href);
+  } catch {
+    return false;
+  }
+  if (!/^https?:$/.test(target.protocol) || target.origin === window.location.origin) return false;
+  try {
+    await fetch(target, {
+      method: "HEAD",
+      mode: "no-cors",
+      cache: "no-store",
+      signal: AbortSignal.timeout(CORS_PROBE_TIMEOUT_MS)
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 资源地址里的文件名（提示里用）。
+ * @param {string} url
+ */
+export function resourceName(url) {
+  return decodeURIComponent(url.split(/[?#]/)[0].split("/").pop() || url);
+}
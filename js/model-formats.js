@@ -0,0 +1,180 @@
+import * as THREE from "three";
+
+/**
+ * 模型格式注册表：按扩展名或 MIME 类型选 loader，并把各种 loader 的结果统一成
+ * { root, animations, vrm }，交给模型控制器走同一套 transform/取景/onModelChanged 流程。
+ *
+ * 主文件的下载由模型控制器负责（可取消 + 缓存，见 model-cache.js），这里只解析已经拿到的字节；
+ * 相对路径引用的资源（.bin/.mtl/贴图）由 loader 按主文件地址拼出来再请求。
+ *
+ * - gltf：.glb/.gltf（GLTFLoader + Draco，three-world 里创建的那个）
+ * - vrm：.vrm（GLTFLoader + @pixiv/three-vrm 插件）。保留 MToon 材质；humanoid / 表情 / 弹簧骨骼
+ *   在 vrm 对象上，弹簧骨骼需要每帧 vrm.update(delta)（模型控制器的 update 负责）
+ * - fbx：.fbx（FBXLoader，动画在 root.animations）
+ * - obj：.obj（OBJLoader；文件里的 mtllib 行指向的 .mtl 会一起加载，缺失时退回默认材质）
+ * - ply：.ply（PLYLoader；有面的是网格，没有面的是点云）
+ *
+ * 除 glTF 外的 loader 都是用到时才动态 import，不影响首屏。
+ * 所有 loader 共用 GLTFLoader 的 LoadingManager，本地文件的 blob URL 映射（local-files.js）对它们同样有效。
+ */
+export const MODEL_FORMATS = [
+  { id: "gltf", label: "glTF", extensions: [".glb", ".gltf"], mimeTypes: ["model/gltf-binary", "model/gltf+json"] },
+  { id: "vrm", label: "VRM", extensions: [".vrm"], mimeTypes: [] },
+  { id: "fbx", label: "FBX", extensions: [".fbx"], mimeTypes: ["application/fbx"] },
+  { id: "obj", label: "OBJ", extensions: [".obj"], mimeTypes: ["model/obj"] },
+  { id: "ply", label: "PLY", extensions: [".ply"], mimeTypes: ["application/ply", "model/ply"] }
+];
+
+/**
+ * @typedef {object} LoadedModel
+ * @property {import('three').Object3D} root
+ * @property {import('three').AnimationClip[]} animations
+ * @property {any|null} vrm three-vrm 的 VRM 对象（非 VRM 模型为 null）
+ */
+
+/**
+ * 按扩展名（优先）或 MIME 类型识别格式。
+ * @param {{name?: string, url?: string, mimeType?: string}} hint name 是文件名（本地文件的 blob URL 没有扩展名）
+ * @returns {typeof MODEL_FORMATS[number] | null}
+ */
+export function detectModelFormat({ name, url, mimeType }) {
+  for (const candidate of [name, url]) {
+    if (!candidate) continue;
+    // 去掉查询串/锚点后取扩展名
+    const path = candidate.split(/[?#]/)[0].toLowerCase();
+    const hit = MODEL_FORMATS.find((f) => f.extensions.some((ext) => path.endsWith(ext)));
+    if (hit) return hit;
+  }
+  const mime = mimeType?.split(";")[0].trim().toLowerCase();
+  if (mime) return MODEL_FORMATS.find((f) => f.mimeTypes.includes(mime)) ?? null;
+  return null;
+}
+
+/**
+ * @param {{gltfLoader: import('three/addons/loaders/GLTFLoader.js').GLTFLoader}} deps
+ */
+export function createModelFormats({ gltfLoader }) {
+  const manager = gltfLoader.manager;
+  // 其它 loader 懒创建后缓存
+  const cache = new Map();
+
+  function lazy(key, create) {
+    if (!cache.has(key)) {
+      const pending = create();
+      // 加载失败（比如离线拿不到 CDN）时不缓存，下次还能重试
+      pending.catch(() => cache.delete(key));
+      cache.set(key, pending);
+    }
+    return cache.get(key);
+  }
+
+  const parsers = {
+    async gltf(buffer, url) {
+      const gltf = await gltfLoader.parseAsync(buffer, THREE.LoaderUtils.extractUrlBase(url));
+      return { root: gltf.scene, animations: gltf.animations ?? [], vrm: null };
+    },
+
+    async vrm(buffer, url) {
+      const { loader, VRMUtils } = await lazy("vrm", async () => {
+        const [{ GLTFLoader }, { VRMLoaderPlugin, VRMUtils }] = await Promise.all([
+          import("three/addons/loaders/GLTFLoader.js"),
+          import("@pixiv/three-vrm")
+        ]);
+        // 单独一个 GLTFLoader：VRM 插件会改写解析流程，不影响普通 glTF
+        const vrmLoader = new GLTFLoader(manager);
+        vrmLoader.setDRACOLoader(gltfLoader.dracoLoader);
+        vrmLoader.register((parser) => new VRMLoaderPlugin(parser));
+        return { loader: vrmLoader, VRMUtils };
+      });
+      const gltf = await loader.parseAsync(buffer, THREE.LoaderUtils.extractUrlBase(url));
+      const vrm = gltf.userData.vrm;
+      if (!vrm) throw new Error("不是有效的 VRM 文件");
+      // 官方推荐的清理：去掉没用到的顶点/骨骼（减小开销），VRM0.x 需要转身朝 +Z
+      VRMUtils.removeUnnecessaryVertices(gltf.scene);
+      VRMUtils.removeUnnecessaryJoints(gltf.scene);
+      VRMUtils.rotateVRM0(vrm);
+      // 弹簧骨骼/约束依赖每帧更新，视锥剔除会让手臂等部件在边缘闪烁
+      vrm.scene.traverse((obj) => {
+        obj.frustumCulled = false;
+      });
+      // rotateVRM0 的转身在 vrm.scene 上，外面再包一层：清单里的 transform 作用在外层，不会把它覆盖掉，
+      // 外层坐标系里角色也总是面朝 +Z
+      const root = new THREE.Group();
+      root.add(vrm.scene);
+      return { root, animations: gltf.animations ?? [], vrm };
+    },
+
+    async fbx(buffer, url) {
+      const loader = await lazy("fbx", async () => {
+        const { FBXLoader } = await import("three/addons/loaders/FBXLoader.js");
+        return new FBXLoader(manager);
+      });
+      const root = loader.parse(buffer, THREE.LoaderUtils.extractUrlBase(url));
+      return { root, animations: root.animations ?? [], vrm: null };
+    },
+
+    async obj(buffer, url) {
+      const { OBJLoader, MTLLoader } = await lazy("obj", async () => {
+        const [{ OBJLoader }, { MTLLoader }] = await Promise.all([
+          import("three/addons/loaders/OBJLoader.js"),
+          import("three/addons/loaders/MTLLoader.js")
+        ]);
+        return { OBJLoader, MTLLoader };
+      });
+      const text = new TextDecoder().decode(buffer);
+      const objLoader = new OBJLoader(manager);
+
+      // mtllib 可能有多个（少见），只取第一个；路径相对 .obj 所在目录
+      const mtllib = /^mtllib\s+(.+?)\s*$/m.exec(text)?.[1];
+      if (mtllib) {
+        const base = THREE.LoaderUtils.extractUrlBase(url);
+        try {
+          const materials = await new MTLLoader(manager).setPath(base).loadAsync(mtllib);
+          materials.preload();
+          objLoader.setMaterials(materials);
+        } catch (err) {
+          console.warn(`材质库加载失败（${mtllib}），使用默认材质`, err);
+        }
+      }
+      return { root: objLoader.parse(text), animations: [], vrm: null };
+    },
+
+    async ply(buffer) {
+      const loader = await lazy("ply", async () => {
+        const { PLYLoader } = await import("three/addons/loaders/PLYLoader.js");
+        return new PLYLoader(manager);
+      });
+      const geometry = loader.parse(buffer);
+      const vertexColors = Boolean(geometry.getAttribute("color"));
+      const root = new THREE.Group();
+
+      if (geometry.index) {
+        if (!geometry.getAttribute("normal")) geometry.computeVertexNormals();
+        const material = new THREE.MeshStandardMaterial({ vertexColors, color: vertexColors ? 0xffffff : 0xcbd5e1 });
+        root.add(new THREE.Mesh(geometry, material));
+      } else {
+        // 点云：点大小按包围盒对角线估算，让不同尺度的扫描看起来密度差不多
+        geometry.computeBoundingBox();
+        const diagonal = geometry.boundingBox.getSize(new THREE.Vector3()).length() || 1;
+        const material = new THREE.PointsMaterial({ size: diagonal / 600, vertexColors, sizeAttenuation: true });
+        root.add(new THREE.Points(geometry, material));
+      }
+      return { root, animations: [], vrm: null };
+    }
+  };
+
+  /**
+   * 用指定格式解析主文件。
+   * @param {string} formatId MODEL_FORMATS 里的 id
+   * @param {ArrayBuffer} buffer 主文件内容
+   * @param {string} url 主文件地址（相对资源按它所在目录解析）
+   * @returns {Promise<LoadedModel>}
+   */
+  async function parse(formatId, buffer, url) {
+    const parseFn = parsers[formatId];
+    if (!parseFn) throw new Error(`不支持的模型格式：${formatId}`);
+    return parseFn(buffer, url);
+  }
+
+  return { parse };
+}
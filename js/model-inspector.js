@@ -0,0 +1,132 @@
+import * as THREE from "three";
+
+/**
+ * 模型检查器（调试用）：汇总当前模型的节点树、网格/三角形/顶点数、材质与贴图、蒙皮与 morph，
+ * 并能在画面上高亮某个节点（包围盒线框，不受深度遮挡）。界面见 inspector-panel.js。
+ *
+ * 只读统计，不改模型；高亮框挂在 scene 上（不在模型里），换模型/关面板时取消。
+ *
+ * @param {{scene: import('three').Scene}} args
+ */
+export function createModelInspector({ scene }) {
+  const box = new THREE.BoxHelper(undefined, 0xf472b6);
+  box.material.depthTest = false;
+  box.material.transparent = true;
+  box.renderOrder = 999;
+  box.visible = false;
+  scene.add(box);
+  let highlighted = null;
+
+  /**
+   * 高亮节点（null 取消）。
+   * @param {import('three').Object3D|null} object
+   */
+  function highlight(object) {
+    highlighted = object;
+    box.visible = Boolean(object);
+    if (object) box.setFromObject(object);
+  }
+
+  /**
+   * 每帧刷新高亮框（节点可能在动画里移动）。
+   */
+  function update() {
+    if (highlighted) box.update();
+  }
+
+  return {
+    get highlighted() {
+      return highlighted;
+    },
+    describeTree,
+    summarize,
+    highlight,
+    update
+  };
+}
+
+/**
+ * @typedef {object} InspectorNode
+ * @property {number} id Object3D.id（用 root.getObjectById 找回节点）
+ * @property {string} name
+ * @property {string} type Mesh/SkinnedMesh/Bone/Group…
+ * @property {boolean} visible
+ * @property {InspectorNode[]} children
+ */
+
+/**
+ * 节点树（只含名字/类型/可见性，给面板渲染用）。
+ * @param {import('three').Object3D} object
+ * @returns {InspectorNode}
+ */
+function describeTree(object) {
+  return {
+    id: object.id,
+    name: object.name,
+    type: object.type,
+    visible: object.visible,
+    children: object.children.map(describeTree)
+  };
+}
+
+/**
+ * 统计整棵子树：几何规模、材质与贴图、蒙皮、morph target。
+ * 共享的材质只列一次（users 是用到它的网格数）；三角形/顶点按网格（和实例数）累计，就是实际要画的量。
+ * @param {import('three').Object3D} root
+ */
+function summarize(root) {
+  const counts = { nodes: 0, meshes: 0, skinnedMeshes: 0, bones: 0, triangles: 0, vertices: 0 };
+  const materials = new Map();
+  const skins = [];
+  const morphs = [];
+
+  root.traverse((obj) => {
+    counts.nodes++;
+    if (obj.isBone) counts.bones++;
+    if (!obj.geometry) return;
+
+    counts.meshes++;
+    const geometry = obj.geometry;
+    const vertices = geometry.attributes.position?.count ?? 0;
+    const instances = obj.isInstancedMesh ? obj.count : 1;
+    counts.vertices += vertices * instances;
+    if (obj.isMesh) counts.triangles += Math.floor((geometry.index?.count ?? vertices) / 3) * instances;
+
+    if (obj.isSkinnedMesh) {
+      counts.skinnedMeshes++;
+      skins.push({ name: obj.name, bones: obj.skeleton?.bones.length ?? 0 });
+    }
+    const morphNames = Object.keys(obj.morphTargetDictionary ?? {});
+    if (morphNames.length) morphs.push({ name: obj.name, count: morphNames.length });
+
+    for (const material of Array.isArray(obj.material) ? obj.material : [obj.material]) {
+      if (!material) continue;
+      const info = materials.get(material) ?? { name: material.name, type: material.type, textures: [], users: 0 };
+      if (info.users === 0) info.textures = listTextures(material);
+      info.users++;
+      materials.set(material, info);
+    }
+  });
+
+  return { counts, materials: [...materials.values()], skins, morphs };
+}
+
+/**
+ * 材质上挂的贴图（和 disposeObject3D 一样扫描所有属性，不漏掉扩展材质的贴图）。
+ * @returns {{slot: string, name: string, width: number, height: number}[]}
+ */
+function listTextures(material) {
+  const out = [];
+  for (const [slot, value] of Object.entries(material)) {
+    if (!value?.isTexture) continue;
+    const image = value.image;
+    const src = typeof image?.src === "string" && !image.src.startsWith("data:") ? image.src : "";
+    out.push({
+      slot,
+      name: value.name || src.split(/[?#]/)[0].split("/").pop() || "",
+      width: image?.width ?? 0,
+      height: image?.height ?? 0
+    });
+  }
+  return out;
+}
@@ -0,0 +1,251 @@
+import * as THREE from "three";
+
+/**
+ * 角色注视：头/脖子（和眼睛）转向观察者，透过“窗口”和人对视。
+ *
+ * - 骨骼：VRM 用 humanoid 映射（头/脖子用 normalized 骨骼，眼睛交给 vrm.lookAt）；
+ *   其他模型按名字猜（Mixamo 的 mixamorigHead、VRoid 导出的 J_Bip_C_Head 等）
+ * - 方向：在模型根节点的坐标系里算观察者的偏航/俯仰（glTF 角色默认面朝 +Z），按上限截断后
+ *   脖子分一部分、头分剩下的；超出上限很多（人在角色背后）时回正，而不是扭着脖子
+ * - 阻尼：偏航/俯仰按指数平滑逼近目标（dampingSec 越大越“慢半拍”）
+ * - 叠加：转动叠加在动画姿势上。每帧动画更新前先恢复上一帧的骨骼朝向（restore），
+ *   否则没有动画轨道的骨骼会一帧帧累加转角
+ *
+ * 模型清单里 lookAt: false 可对单个模型关闭；也可以给对象覆盖上限/阻尼（见 models.js）。
+ */
+export const DEFAULT_LOOK_AT_SETTINGS = {
+  enabled: true,
+  // 偏航（左右）/ 俯仰（上下）上限（度）
+  maxYawDeg: 60,
+  maxPitchDeg: 30,
+  // dampingSec：平滑时间常数（秒）
+  dampingSec: 0.25,
+  // neckShare：转角里脖子承担的比例（其余给头）
+  neckShare: 0.4
+};
+
+/**
+ * 规整注视设置：缺字段补默认值，非法值回退默认值。
+ * @param {Partial<typeof DEFAULT_LOOK_AT_SETTINGS>} raw
+ * @returns {typeof DEFAULT_LOOK_AT_SETTINGS}
+ */
+export function normalizeLookAtSettings(raw) {
+  const src = raw ?? {};
+  const num = (key, min, max) => {
+    const v = Number(src[key]);
+    return Number.isFinite(v) ? Math.min(Math.max(v, min), max) : DEFAULT_LOOK_AT_SETTINGS[key];
+  };
+  return {
+    enabled: src.enabled === undefined ? DEFAULT_LOOK_AT_SETTINGS.enabled : Boolean(src.enabled),
+    maxYawDeg: num("maxYawDeg", 0, 120),
+    maxPitchDeg: num("maxPitchDeg", 0, 80),
+    dampingSec: num("dampingSec", 0, 5),
+    neckShare: num("neckShare", 0, 1)
+  };
+}
+
+// 名字规则：头/脖子排除末端辅助骨骼（HeadTop_End 等），眼睛排除眉毛/眼睑/高光
+const HEAD_NAME = /head/i;
+const HEAD_EXCLUDE = /top|end|nub|hair|band|phone|set/i;
+const NECK_NAME = /neck/i;
+const NECK_EXCLUDE = /end|nub|twist/i;
+const EYE_NAME = /eye/i;
+const EYE_EXCLUDE = /brow|lid|lash|highlight|hi_?light|end|nub/i;
+const LEFT_NAME = /left|(^|[^a-z])l([^a-z]|$)|左/i;
+const RIGHT_NAME = /right|(^|[^a-z])r([^a-z]|$)|右/i;
+// 超过上限这么多倍时认为人在背后，回正
+const GIVE_UP_FACTOR = 1.6;
+// 眼睛骨骼的额外转角上限（度）
+const EYE_LIMIT_DEG = 20;
+
+export function createLookAtController(initialSettings) {
+  let settings = normalizeLookAtSettings(initialSettings);
+  // modelSettings：settings 叠加清单里的单模型覆盖
+  let modelSettings = settings;
+  let modelOverrides = {};
+  let root = null;
+  let vrm = null;
+  // rig：{ neck, head, eyes: [] }，每项 { bone, base: Quaternion }
+  let rig = null;
+  let hasTarget = false;
+  const target = new THREE.Vector3();
+  // vrmTarget：VRM 眼睛注视的目标物体（vrm.lookAt.target 需要 Object3D）
+  const vrmTarget = new THREE.Object3D();
+  const angles = { yaw: 0, pitch: 0 };
+
+  const tmp = {
+    dir: new THREE.Vector3(),
+    pos: new THREE.Vector3(),
+    rootQ: new THREE.Quaternion(),
+    rootQInv: new THREE.Quaternion(),
+    parentQ: new THREE.Quaternion(),
+    parentQInv: new THREE.Quaternion(),
+    offset: new THREE.Quaternion(),
+    euler: new THREE.Euler(0, 0, 0, "YXZ")
+  };
+
+  /**
+   * 换模型：找骨骼，记下单模型设置。
+   * @param {import('three').Object3D|null} nextRoot
+   * @param {any|null} nextVrm
+   * @param {boolean|Partial<typeof DEFAULT_LOOK_AT_SETTINGS>} [entry] 清单里的 lookAt 字段
+   */
+  function setModel(nextRoot, nextVrm, entry) {
+    root = nextRoot;
+    vrm = nextVrm;
+    angles.yaw = 0;
+    angles.pitch = 0;
+    modelOverrides = entry === false ? { enabled: false } : typeof entry === "object" && entry ? entry : {};
+    rig = root ? findRig(root, vrm) : null;
+    setModelSettings();
+  }
+
+  /**
+   * 更新全局设置（单模型覆盖仍然有效）。
+   * @param {Partial<typeof DEFAULT_LOOK_AT_SETTINGS>} next
+   */
+  function setSettings(next) {
+    settings = normalizeLookAtSettings({ ...settings, ...next });
+    setModelSettings();
+  }
+
+  function setModelSettings() {
+    const enabled = settings.enabled && modelOverrides.enabled !== false;
+    modelSettings = normalizeLookAtSettings({ ...settings, ...modelOverrides, enabled });
+    if (vrm?.lookAt) {
+      vrm.lookAt.target = enabled ? vrmTarget : null;
+      if (!enabled) vrm.lookAt.reset?.();
+    }
+  }
+
+  /**
+   * 设置观察者位置（世界坐标）；null 表示没有目标（回正）。
+   * @param {import('three').Vector3|null} position
+   */
+  function setTarget(position) {
+    hasTarget = Boolean(position);
+    if (position) {
+      target.copy(position);
+      vrmTarget.position.copy(position);
+      vrmTarget.updateMatrixWorld();
+    }
+  }
+
+  /**
+   * 恢复上一帧转动前的骨骼朝向（在动画更新之前调用）。
+   */
+  function restore() {
+    if (!rig) return;
+    for (const item of rig.items) item.bone.quaternion.copy(item.base);
+  }
+
+  /**
+   * 在动画姿势上叠加注视转动（在动画更新之后、VRM 更新之前调用）。
+   * @param {number} delta 秒
+   */
+  function apply(delta) {
+    if (!rig) return;
+    // 记下动画后的姿势，下一帧 restore 用
+    for (const item of rig.items) item.base.copy(item.bone.quaternion);
+
+    let yawGoal = 0;
+    let pitchGoal = 0;
+    if (modelSettings.enabled && hasTarget) {
+      const head = rig.head ?? rig.neck;
+      head.bone.getWorldPosition(tmp.pos);
+      updateRootFrame();
+      // 目标方向换到根节点坐标系（角色面朝 +Z）
+      tmp.dir.subVectors(target, tmp.pos).applyQuaternion(tmp.rootQInv);
+      const yaw = Math.atan2(tmp.dir.x, tmp.dir.z);
+      const pitch = Math.atan2(tmp.dir.y, Math.hypot(tmp.dir.x, tmp.dir.z));
+      const maxYaw = THREE.MathUtils.degToRad(modelSettings.maxYawDeg);
+      const maxPitch = THREE.MathUtils.degToRad(modelSettings.maxPitchDeg);
+      if (Math.abs(yaw) <= maxYaw * GIVE_UP_FACTOR) {
+        yawGoal = THREE.MathUtils.clamp(yaw, -maxYaw, maxYaw);
+        pitchGoal = THREE.MathUtils.clamp(pitch, -maxPitch, maxPitch);
+      }
+    }
+
+    const k = modelSettings.dampingSec > 0 ? 1 - Math.exp(-delta / modelSettings.dampingSec) : 1;
+    angles.yaw += (yawGoal - angles.yaw) * k;
+    angles.pitch += (pitchGoal - angles.pitch) * k;
+    if (Math.abs(angles.yaw) < 1e-4 && Math.abs(angles.pitch) < 1e-4) return;
+
+    updateRootFrame();
+    const neckShare = rig.neck && rig.head ? modelSettings.neckShare : rig.neck ? 1 : 0;
+    if (rig.neck) rotateBone(rig.neck.bone, angles.yaw * neckShare, angles.pitch * neckShare);
+    if (rig.head) rotateBone(rig.head.bone, angles.yaw * (1 - neckShare), angles.pitch * (1 - neckShare));
+
+    // 非 VRM 的眼睛骨骼：在头的基础上再多转一点，眼神才“对得上”（VRM 的眼睛由 vrm.lookAt 负责）
+    if (rig.eyes.length) {
+      const limit = THREE.MathUtils.degToRad(EYE_LIMIT_DEG);
+      const eyeYaw = THREE.MathUtils.clamp(angles.yaw * 0.5, -limit, limit);
+      const eyePitch = THREE.MathUtils.clamp(angles.pitch * 0.5, -limit, limit);
+      for (const eye of rig.eyes) rotateBone(eye.bone, eyeYaw, eyePitch);
+    }
+  }
+
+  function updateRootFrame() {
+    root.getWorldQuaternion(tmp.rootQ);
+    tmp.rootQInv.copy(tmp.rootQ).invert();
+  }
+
+  /**
+   * 绕骨骼自身位置转动：转角定义在根节点坐标系里（偏航绕 Y，俯仰绕 X），换算到骨骼的局部旋转。
+   * newLocal = parentWorld⁻¹ · (root · offset · root⁻¹) · parentWorld · local
+   */
+  function rotateBone(bone, yaw, pitch) {
+    tmp.euler.set(-pitch, yaw, 0);
+    tmp.offset.setFromEuler(tmp.euler).premultiply(tmp.rootQ).multiply(tmp.rootQInv);
+    if (bone.parent) bone.parent.getWorldQuaternion(tmp.parentQ);
+    else tmp.parentQ.identity();
+    tmp.parentQInv.copy(tmp.parentQ).invert();
+    bone.quaternion.premultiply(tmp.parentQ).premultiply(tmp.offset).premultiply(tmp.parentQInv);
+  }
+
+  return {
+    get settings() {
+      return settings;
+    },
+    get active() {
+      return Boolean(rig) && modelSettings.enabled;
+    },
+    setModel,
+    setSettings,
+    setTarget,
+    restore,
+    apply
+  };
+}
+
+/**
+ * 找头/脖子/眼睛骨骼。VRM 用 humanoid（normalized 骨骼，vrm.update 时同步到实际骨骼）。
+ * @returns {{neck: object|null, head: object|null, eyes: object[], items: object[]} | null}
+ */
+function findRig(root, vrm) {
+  const wrap = (bone) => (bone ? { bone, base: bone.quaternion.clone() } : null);
+  let neck = null;
+  let head = null;
+  const eyes = [];
+
+  const humanoid = vrm?.humanoid;
+  if (humanoid) {
+    neck = wrap(humanoid.getNormalizedBoneNode("neck"));
+    head = wrap(humanoid.getNormalizedBoneNode("head"));
+  } else {
+    const bones = [];
+    root.traverse((obj) => {
+      if (obj.isBone) bones.push(obj);
+    });
+    neck = wrap(bones.find((b) => NECK_NAME.test(b.name) && !NECK_EXCLUDE.test(b.name)));
+    head = wrap(bones.find((b) => HEAD_NAME.test(b.name) && !HEAD_EXCLUDE.test(b.name)));
+    for (const test of [LEFT_NAME, RIGHT_NAME]) {
+      const eye = bones.find((b) => EYE_NAME.test(b.name) && !EYE_EXCLUDE.test(b.name) && test.test(b.name));
+      if (eye) eyes.push(wrap(eye));
+    }
+  }
+
+  if (!neck && !head) return null;
+  const items = [neck, head, ...eyes].filter(Boolean);
+  return { neck, head, eyes, items };
+}
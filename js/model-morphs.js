@@ -0,0 +1,247 @@
+/**
+ * 表情控制：morph target（形态键）滑块、表情预设，以及用观察者的面部表情驱动角色。
+ *
+ * - 普通模型：按 morphTargetDictionary 的名字汇总；同名 morph 分布在多个 mesh 上（脸/睫毛/牙齿）时一起控制
+ * - VRM：用 expressionManager 的表情（blink/aa/happy…），表情到 morph/材质的映射交给 three-vrm
+ *
+ * 手动值只写“被改过”的目标，并且每帧（动画之后）重新写一次，所以动画里的 morph 轨道不会把滑块冲掉；
+ * 没动过的目标仍由动画控制。
+ *
+ * 观察者表情：MediaPipe FaceLandmarker 的 blendshapes 用的是 ARKit 的 52 个名字（eyeBlinkLeft/jawOpen…）。
+ * - 模型里有同名 morph（ARKit 规范的模型）：全部直接驱动
+ * - VRM：眨眼 → blinkLeft/blinkRight，张嘴 → aa，嘟嘴 → ou
+ * - 其他模型：按名字猜眨眼（blink/まばたき）和张嘴（a/あ/mouthOpen）的 morph
+ * 左右按镜像对应（观察者的左眼驱动角色的右眼），角色像镜子里的观察者。
+ */
+export const DEFAULT_MORPH_SETTINGS = {
+  // mirrorFace：用摄像头追踪到的观察者表情驱动角色（需要摄像头追踪）
+  mirrorFace: false
+};
+
+/**
+ * @param {Partial<typeof DEFAULT_MORPH_SETTINGS>} raw
+ * @returns {typeof DEFAULT_MORPH_SETTINGS}
+ */
+export function normalizeMorphSettings(raw) {
+  const src = raw ?? {};
+  return { mirrorFace: Boolean(src.mirrorFace) };
+}
+
+// VRM 表情 ← blendshape（已按镜像对应左右）
+const VRM_DRIVERS = [
+  { target: "blinkLeft", sources: ["eyeBlinkRight"], remap: blinkCurve },
+  { target: "blinkRight", sources: ["eyeBlinkLeft"], remap: blinkCurve },
+  { target: "aa", sources: ["jawOpen"] },
+  { target: "ou", sources: ["mouthPucker"] }
+];
+
+// 猜名字用的规则（没有 ARKit 命名时）
+const BLINK_NAME = /blink|まばたき|eye_?close/i;
+const MOUTH_OPEN_NAME = /^(a|aa|あ|mouth_?a|mouth_?open|jaw_?open|(fcl_)?mth_?a)$/i;
+const LEFT_NAME = /(^|[^a-z])(l|left)([^a-z]|$)|left|左/i;
+const RIGHT_NAME = /(^|[^a-z])(r|right)([^a-z]|$)|right|右/i;
+
+export function createMorphController() {
+  /**
+   * targets：名字 → { value, write(v) }。value 是手动值（null 表示没动过，交给动画）
+   * @type {Map<string, {value: number|null, write: (v: number) => void}>}
+   */
+  let targets = new Map();
+  // drivers：观察者表情 → 目标的映射（按模型算一次）
+  let drivers = [];
+  // driven：本帧被观察者表情驱动的值；released：上一帧驱动过、这一帧没驱动的目标（要恢复手动值）
+  let driven = new Map();
+  let released = new Set();
+
+  /**
+   * 换模型：收集 morph target / VRM 表情，并算好观察者表情的映射。
+   * @param {import('three').Object3D|null} root
+   * @param {any|null} vrm
+   */
+  function setModel(root, vrm) {
+    targets = new Map();
+    driven = new Map();
+    released = new Set();
+
+    const expressionManager = vrm?.expressionManager;
+    if (expressionManager) {
+      for (const expression of expressionManager.expressions) {
+        const name = expression.expressionName;
+        targets.set(name, { value: null, write: (v) => expressionManager.setValue(name, v) });
+      }
+    } else if (root) {
+      const bindings = new Map();
+      root.traverse((obj) => {
+        if (!obj.morphTargetDictionary || !obj.morphTargetInfluences) return;
+        for (const [name, index] of Object.entries(obj.morphTargetDictionary)) {
+          if (!bindings.has(name)) bindings.set(name, []);
+          bindings.get(name).push({ mesh: obj, index });
+        }
+      });
+      for (const [name, list] of bindings) {
+        targets.set(name, {
+          value: null,
+          write: (v) => {
+            for (const { mesh, index } of list) mesh.morphTargetInfluences[index] = v;
+          }
+        });
+      }
+    }
+    drivers = expressionManager ? VRM_DRIVERS.filter((d) => targets.has(d.target)) : findDrivers([...targets.keys()]);
+  }
+
+  /**
+   * 所有目标及当前值（驱动中的显示驱动值）。
+   * @returns {{name: string, value: number, driven: boolean}[]}
+   */
+  function getTargets() {
+    return [...targets].map(([name, t]) => ({
+      name,
+      value: driven.get(name) ?? t.value ?? 0,
+      driven: driven.has(name)
+    }));
+  }
+
+  /**
+   * 设置手动值（0~1）。
+   * @param {string} name
+   * @param {number} value
+   */
+  function setValue(name, value) {
+    const t = targets.get(name);
+    if (!t) return;
+    t.value = clamp01(Number(value) || 0);
+    t.write(t.value);
+  }
+
+  /**
+   * 非零的手动值（保存为预设用）。
+   * @returns {Record<string, number>}
+   */
+  function getValues() {
+    const out = {};
+    for (const [name, t] of targets) if (t.value) out[name] = t.value;
+    return out;
+  }
+
+  /**
+   * 应用预设：预设里没有的目标归零。
+   * @param {Record<string, number>} values
+   */
+  function applyValues(values) {
+    for (const name of targets.keys()) setValue(name, values?.[name] ?? 0);
+  }
+
+  /**
+   * 全部归零，交还给动画控制。
+   */
+  function reset() {
+    for (const t of targets.values()) {
+      if (t.value !== null) t.write(0);
+      t.value = null;
+    }
+  }
+
+  /**
+   * 设置本帧的观察者表情。
+   * @param {Record<string, number>|null} blendshapes ARKit 名字 → 0~1；null 表示不驱动/人脸丢失
+   */
+  function setDriven(blendshapes) {
+    for (const name of driven.keys()) released.add(name);
+    driven.clear();
+    if (!blendshapes) return;
+    for (const d of drivers) {
+      // 多个来源（双眼一起眨）取平均
+      const raw = d.sources.reduce((sum, s) => sum + (blendshapes[s] ?? 0), 0) / d.sources.length;
+      driven.set(d.target, clamp01(d.remap ? d.remap(raw) : raw));
+      released.delete(d.target);
+    }
+  }
+
+  /**
+   * 写入本帧的值（在动画更新之后、VRM 更新之前调用）。
+   */
+  function apply() {
+    for (const [name, t] of targets) {
+      if (driven.has(name)) t.write(driven.get(name));
+      else if (t.value !== null) t.write(t.value);
+      else if (released.has(name)) t.write(0);
+    }
+    released.clear();
+  }
+
+  return {
+    get hasFaceDrivers() {
+      return drivers.length > 0;
+    },
+    setModel,
+    getTargets,
+    setValue,
+    getValues,
+    applyValues,
+    reset,
+    setDriven,
+    apply
+  };
+}
+
+/**
+ * 普通模型的映射：先找 ARKit 同名 morph，没有的话按名字猜眨眼/张嘴。
+ * 返回的 source 都已经做了左右镜像。
+ */
+function findDrivers(names) {
+  const arkit = names
+    .filter((name) => ARKIT_NAMES.has(name.toLowerCase()))
+    .map((name) => ({ target: name, sources: [mirrorSide(ARKIT_NAMES.get(name.toLowerCase()))] }));
+  if (arkit.length) {
+    for (const d of arkit) if (/^eyeBlink/.test(d.sources[0])) d.remap = blinkCurve;
+    return arkit;
+  }
+
+  const out = [];
+  for (const name of names) {
+    if (BLINK_NAME.test(name)) {
+      const left = LEFT_NAME.test(name);
+      const right = RIGHT_NAME.test(name);
+      // 没写左右的是双眼一起眨：取两眼平均
+      const sources = left === right ? ["eyeBlinkLeft", "eyeBlinkRight"] : [left ? "eyeBlinkRight" : "eyeBlinkLeft"];
+      out.push({ target: name, sources, remap: blinkCurve });
+    } else if (MOUTH_OPEN_NAME.test(name)) {
+      out.push({ target: name, sources: ["jawOpen"] });
+    }
+  }
+  return out;
+}
+
+// ARKit blendshape 名字（小写 → 原名），MediaPipe 的 categoryName 与之一致
+const ARKIT_NAMES = new Map(
+  `browDownLeft browDownRight browInnerUp browOuterUpLeft browOuterUpRight
+   cheekPuff cheekSquintLeft cheekSquintRight
+   eyeBlinkLeft eyeBlinkRight eyeLookDownLeft eyeLookDownRight eyeLookInLeft eyeLookInRight
+   eyeLookOutLeft eyeLookOutRight eyeLookUpLeft eyeLookUpRight eyeSquintLeft eyeSquintRight eyeWideLeft eyeWideRight
+   jawForward jawLeft jawOpen jawRight
+   mouthClose mouthDimpleLeft mouthDimpleRight mouthFrownLeft mouthFrownRight mouthFunnel
+   mouthLeft mouthLowerDownLeft mouthLowerDownRight mouthPressLeft mouthPressRight mouthPucker
+   mouthRight mouthRollLower mouthRollUpper mouthShrugLower mouthShrugUpper
+   mouthSmileLeft mouthSmileRight mouthStretchLeft mouthStretchRight
+   mouthUpperUpLeft mouthUpperUpRight noseSneerLeft noseSneerRight`
+    .split(/\s+/)
+    .map((name) => [name.toLowerCase(), name])
+);
+
+// 镜像：Left ↔ Right（jawLeft/mouthLeft 这类“往左”的动作同样要换边）
+function mirrorSide(name) {
+  if (name.endsWith("Left")) return `${name.slice(0, -4)}Right`;
+  if (name.endsWith("Right")) return `${name.slice(0, -5)}Left`;
+  return name;
+}
+
+// 摄像头眨眼分数很少到 0/1：半睁（<0.25）当睁眼，0.6 以上当闭眼，中间平滑过渡
+function blinkCurve(v) {
+  const t = clamp01((v - 0.25) / 0.35);
+  return t * t * (3 - 2 * t);
+}
+
+function clamp01(v) {
+  return Math.min(Math.max(v, 0), 1);
+}
@@ -0,0 +1,100 @@
+import * as THREE from "three";
+
+/**
+ * 模型归一化（可选）：让来源五花八门的模型摆法一致，地面/房间/取景才对得齐。
+ *
+ * 在清单 transform 之后、自动取景之前，对模型根节点依次做：
+ * 1) 朝上轴：Z 轴朝上的模型（常见于 FBX/OBJ/PLY 导出）绕 X 轴转 -90°，改成 three.js 的 Y 轴朝上
+ * 2) 缩放：按包围盒高度缩放到 targetHeight（世界单位，默认按“米”理解）
+ * 3) 居中：包围盒中心的 X/Z 挪到原点
+ * 4) 落地：最低点放到 y = 0
+ *
+ * 自动识别 Z 朝上只看包围盒形状：Z 方向明显比 X/Y 都长（站着的角色被放倒了）。
+ * 本来就细长平躺的模型（长桌、车）会被误判，这种在清单里写 normalize: { upAxis: "y" }。
+ *
+ * 全局开关随用户设置保存；清单条目的 normalize 字段可单独覆盖（见 models.js）。
+ */
+export const DEFAULT_NORMALIZE_SETTINGS = {
+  enabled: false,
+  // targetHeight：缩放后的高度（世界单位）；0 表示不缩放
+  targetHeight: 1.6,
+  // upAxis：auto 自动识别 / y 不转 / z 当作 Z 轴朝上
+  upAxis: "auto"
+};
+
+const UP_AXES = ["auto", "y", "z"];
+// Z 方向比 X/Y 都长这么多倍才认为是 Z 朝上
+const Z_UP_RATIO = 1.5;
+
+/**
+ * 规整归一化设置，并叠加清单条目的覆盖（true 打开，false 关闭，对象打开并覆盖字段）。
+ * @param {Partial<typeof DEFAULT_NORMALIZE_SETTINGS>} raw 全局设置
+ * @param {boolean|Partial<typeof DEFAULT_NORMALIZE_SETTINGS>} [entry] 清单里的 normalize 字段
+ * @returns {typeof DEFAULT_NORMALIZE_SETTINGS}
+ */
+export function resolveNormalizeSettings(raw, entry) {
+  const src = { ...(raw ?? {}) };
+  if (entry === true || entry === false) src.enabled = entry;
+  else if (entry && typeof entry === "object") Object.assign(src, entry, { enabled: true });
+  const height = Number(src.targetHeight);
+  return {
+    enabled: src.enabled === undefined ? DEFAULT_NORMALIZE_SETTINGS.enabled : Boolean(src.enabled),
+    targetHeight: Number.isFinite(height) && height >= 0 ? height : DEFAULT_NORMALIZE_SETTINGS.targetHeight,
+    upAxis: UP_AXES.includes(src.upAxis) ? src.upAxis : DEFAULT_NORMALIZE_SETTINGS.upAxis
+  };
+}
+
+/**
+ * 对模型根节点做归一化（直接改 root 的 quaternion/scale/position）。
+ * @param {import('three').Object3D} root 已应用清单 transform 的根节点（父节点是 scene）
+ * @param {typeof DEFAULT_NORMALIZE_SETTINGS} settings
+ * @returns {string[]} 改了什么（给状态栏用，没改动时为空）
+ */
+export function normalizeModel(root, settings) {
+  const changes = [];
+  if (!settings.enabled) return changes;
+  const box = new THREE.Box3();
+  const size = new THREE.Vector3();
+  const measure = () => {
+    root.updateMatrixWorld(true);
+    box.setFromObject(root);
+    return !box.isEmpty() && Number.isFinite(box.min.x);
+  };
+  if (!measure()) return changes;
+
+  box.getSize(size);
+  const zUp =
+    settings.upAxis === "z" ||
+    (settings.upAxis === "auto" && size.z > size.x * Z_UP_RATIO && size.z > size.y * Z_UP_RATIO);
+  if (zUp) {
+    // 绕世界 X 轴 -90°：+Z → +Y（原来朝 -Y 的正面转到 +Z，对着默认相机）
+    root.quaternion.premultiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI / 2));
+    changes.push("Z 轴朝上改为 Y 轴朝上");
+    measure();
+    box.getSize(size);
+  }
+
+  if (settings.targetHeight > 0 && size.y > 0) {
+    const factor = settings.targetHeight / size.y;
+    if (Math.abs(factor - 1) > 0.01) {
+      root.scale.multiplyScalar(factor);
+      changes.push(`缩放 ×${formatFactor(factor)}（高 ${settings.targetHeight}）`);
+      measure();
+      box.getSize(size);
+    }
+  }
+
+  // 居中/落地：偏移小于高度的千分之一就不算改动
+  const center = box.getCenter(new THREE.Vector3());
+  const epsilon = Math.max(size.y, size.x, size.z) * 1e-3;
+  const shift = new THREE.Vector3(-center.x, -box.min.y, -center.z);
+  if (Math.abs(shift.x) > epsilon || Math.abs(shift.z) > epsilon) changes.push("水平居中");
+  if (Math.abs(shift.y) > epsilon) changes.push("落到地面");
+  root.position.add(shift);
+  root.updateMatrixWorld(true);
+  return changes;
+}
+
+function formatFactor(factor) {
+  return factor >= 10 || factor < 0.1 ? factor.toPrecision(2) : factor.toFixed(2);
+}
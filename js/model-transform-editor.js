@@ -0,0 +1,116 @@
+import { TransformControls } from "three/addons/controls/TransformControls.js";
+import { applyModelTransform, readModelTransform } from "./model-utils.js";
+
+export const TRANSFORM_MODES = [
+  { id: "translate", label: "移动" },
+  { id: "rotate", label: "旋转" },
+  { id: "scale", label: "缩放" }
+];
+
+/**
+ * 模型摆放编辑：用 TransformControls 把手直接拖当前模型的根节点（就是清单 transform 作用的那个节点）。
+ *
+ * - 拖动期间禁用 OrbitControls（否则拖把手时相机也跟着转），松手后恢复原来的状态
+ *   （off-axis 模式下 OrbitControls 本来就是禁用的，恢复后仍是禁用）
+ * - 拖动中回调 onChange（面板数字跟着变）；松手或 setTransform 时回调 onCommit
+ *   （由调用方重新取景/更新环境，并把变换写回清单条目）
+ *
+ * @param {object} args
+ * @param {import('three').Scene} args.scene
+ * @param {import('three').Camera} args.camera
+ * @param {HTMLCanvasElement} args.canvas
+ * @param {import('three/addons/controls/OrbitControls.js').OrbitControls} args.controls
+ * @param {(transform: ReturnType<typeof readModelTransform>) => void} [args.onChange]
+ * @param {(transform: ReturnType<typeof readModelTransform>) => void} [args.onCommit]
+ */
+export function createTransformEditor({ scene, camera, canvas, controls, onChange, onCommit }) {
+  const gizmo = new TransformControls(camera, canvas);
+  let target = null;
+  let enabled = false;
+  let orbitWasEnabled = controls.enabled;
+
+  gizmo.addEventListener("dragging-changed", (e) => {
+    if (e.value) {
+      orbitWasEnabled = controls.enabled;
+      controls.enabled = false;
+    } else {
+      controls.enabled = orbitWasEnabled;
+      onCommit?.(readModelTransform(target));
+    }
+  });
+  gizmo.addEventListener("objectChange", () => {
+    if (target) onChange?.(readModelTransform(target));
+  });
+  scene.add(gizmo);
+  syncAttachment();
+
+  function syncAttachment() {
+    if (enabled && target) gizmo.attach(target);
+    else gizmo.detach();
+  }
+
+  /**
+   * 显示/隐藏把手（编辑面板打开时显示）。
+   * @param {boolean} next
+   */
+  function setEnabled(next) {
+    enabled = Boolean(next);
+    syncAttachment();
+  }
+
+  /**
+   * 换模型后挂到新的根节点上（null 表示没有模型）。
+   * @param {import('three').Object3D|null} root
+   */
+  function setTarget(root) {
+    target = root;
+    syncAttachment();
+  }
+
+  /**
+   * @param {"translate"|"rotate"|"scale"} mode
+   */
+  function setMode(mode) {
+    if (TRANSFORM_MODES.some((m) => m.id === mode)) gizmo.setMode(mode);
+  }
+
+  /**
+   * 把手沿模型自身坐标轴（true）还是世界坐标轴（false）。
+   * @param {boolean} local
+   */
+  function setLocal(local) {
+    gizmo.setSpace(local ? "local" : "world");
+  }
+
+  /**
+   * 当前变换（清单 transform 的格式），没有模型时为 null。
+   */
+  function getTransform() {
+    return target ? readModelTransform(target) : null;
+  }
+
+  /**
+   * 直接设置数值（面板输入框），和拖把手松手一样回调 onCommit。
+   * @param {{position?: number[], rotation?: number[], scale?: number|number[]}} transform
+   */
+  function setTransform(transform) {
+    if (!target) return;
+    applyModelTransform(target, transform);
+    onCommit?.(readModelTransform(target));
+  }
+
+  return {
+    get enabled() {
+      return enabled;
+    },
+    get mode() {
+      return gizmo.mode;
+    },
+    setEnabled,
+    setTarget,
+    setMode,
+    setLocal,
+    getTransform,
+    setTransform
+  };
+}
@@ -1,6 +1,7 @@
 /**
  * 模型相关的小工具：
  * - applyModelTransform：把配置里的初始 position/rotation/scale 应用到 gltf.scene
+ * - readModelTransform / formatTransformSnippet：反过来读出当前变换，生成可以贴回清单的片段
  * - disposeObject3D：切换模型时释放 GPU 资源（geometry/material/texture）避免内存泄漏
  */
 export function applyModelTransform(root, transform) {
@@ -21,6 +22,36 @@ export function applyModelTransform(root, transform) {
   root.updateMatrixWorld(true);
 }
 
+/**
+ * applyModelTransform 的反向：读出根节点当前的变换（清单 transform 的格式，rotation 是弧度）。
+ * 数值保留 6 位有效数字，去掉浮点误差的尾巴；三个轴缩放相同时写成一个数字。
+ * @param {import('three').Object3D} root
+ * @returns {{position: number[], rotation: number[], scale: number|number[]}}
+ */
+export function readModelTransform(root) {
+  const position = root.position.toArray().map(roundValue);
+  const rotation = [root.rotation.x, root.rotation.y, root.rotation.z].map(roundValue);
+  const scale = root.scale.toArray().map(roundValue);
+  return { position, rotation, scale: scale[0] === scale[1] && scale[1] === scale[2] ? scale[0] : scale };
+}
+
+/**
+ * 生成可以直接贴进 models.json 条目的 transform 片段（和清单里的写法一致）。
+ * @param {{position: number[], rotation: number[], scale: number|number[]}} transform
+ * @returns {string}
+ */
+export function formatTransformSnippet({ position, rotation, scale }) {
+  const vec = (v) => `[${v.join(", ")}]`;
+  const scaleText = Array.isArray(scale) ? vec(scale) : String(scale);
+  return `"transform": { "position": ${vec(position)}, "rotation": ${vec(rotation)}, "scale": ${scaleText} }`;
+}
+
+function roundValue(v) {
+  const rounded = Number(v.toPrecision(6));
+  // 避免输出 -0
+  return rounded === 0 ? 0 : rounded;
+}
+
 /**
  * 释放 Object3D（及其子树）占用的 GPU 资源。
  *
@@ -1,27 +1,251 @@
+import { MODEL_FORMATS } from "./model-formats.js";
+
 /**
- * 模型列表（UI 下拉菜单的数据源）。
+ * 模型清单（UI 下拉菜单的数据源）。
  *
- * 注意：这里的 transform 是“加载后施加在 gltf.scene 上”的额外变换，用于快速调初始：
+ * 模型不再写死在代码里，而是从 JSON 清单加载（默认 ./models.json，可用 URL 参数 ?catalog= 覆盖），
+ * 内容同学加模型只需要改清单。格式：
+ *
+ *   {
+ *     "version": 1,
+ *     "models": [
+ *       {
+ *         "name": "示例角色",                       // 必填：下拉菜单显示的名字
+ *         "url": "./model.glb",                    // 必填：模型地址（相对路径按清单所在位置解析）
+ *         "format": "vrm",                         // 可选：gltf/vrm/fbx/obj/ply，默认按扩展名识别
+ *         "transform": { "position": [0, 0, 0], "rotation": [0, 0, 0], "scale": 1 },
+ *         "thumbnail": "./thumbs/model.jpg",       // 可选：缩略图
+ *         "environment": { "anime": true, "room": false },   // 可选：切到该模型时的默认环境开关
+ *         "offAxis": { "screenHeight": 2, "baseDistance": 3, "screenOffset": [0, 0.1, 0.3] },  // 可选
+ *         "lookAt": { "maxYawDeg": 45 },            // 可选：注视观察者；false 关闭，对象覆盖上限/阻尼
+ *         "normalize": { "targetHeight": 1.7 },     // 可选：归一化大小/朝上轴/落地；true/false 覆盖全局开关
+ *         "tags": ["角色", "演示"]                   // 可选
+ *       }
+ *     ]
+ *   }
+ *
+ * format 只在地址看不出格式时需要（比如没有扩展名的 CDN 地址）。
+ *
+ * transform 是“加载后施加在模型根节点上”的额外变换，用于快速调初始：
  * - position: [x,y,z]，单位与模型一致（通常米，但很多模型不严格）
- * - rotation: [rx,ry,rz]，弧度（常用：Math.PI/2）
+ * - rotation: [rx,ry,rz]，弧度（常用：Math.PI/2 ≈ 1.5708）
  * - scale: 数字（等比）或 [sx,sy,sz]（非等比）
+ * 不用手算：页面上点“摆放”拖把手/填数值，再用“复制 transform”把片段贴回清单（见 transform-panel.js）。
+ *
+ * offAxis 覆盖“按模型尺寸自动估算”的裸眼3D 屏幕参数（世界单位，见 offaxis-controller.js）：
+ * - screenHeight：屏幕矩形高度
+ * - baseDistance：默认观察距离
+ * - screenOffset：屏幕中心相对模型包围盒中心的偏移 [x,y,z]
+ *
+ * lookAt 控制角色的头/眼睛是否转向观察者（见 model-lookat.js），默认对找得到头部骨骼的模型开启：
+ * - false：这个模型不注视（比如本来就侧身的姿势）
+ * - 对象：maxYawDeg / maxPitchDeg（度）、dampingSec（秒）、neckShare（0~1）覆盖全局设置
+ *
+ * normalize 控制加载时的归一化（见 model-normalize.js），在 transform 之后执行：
+ * - true / false：不管全局开关，这个模型一定做 / 不做
+ * - 对象：打开并覆盖 targetHeight（高度，0 表示不缩放）、upAxis（"auto"/"y"/"z"，自动识别误判时指定）
+ *
+ * 建议：尽量用 scale 把不同模型“看起来大小接近”，再用 position/rotation 微调姿态；
+ * 来源杂、尺寸差很多的一批模型可以直接打开归一化。
+ */
+export const DEFAULT_CATALOG_URL = "./models.json";
+
+/**
+ * @typedef {object} ModelEntry
+ * @property {string} name
+ * @property {string} url 已解析成绝对地址
+ * @property {string} [format] MODEL_FORMATS 里的 id（见 model-formats.js）
+ * @property {{position?: number[], rotation?: number[], scale?: number|number[]}} [transform]
+ * @property {string} [thumbnail] 已解析成绝对地址
+ * @property {{anime?: boolean, room?: boolean}} [environment]
+ * @property {{screenHeight?: number, baseDistance?: number, screenOffset?: number[]}} [offAxis]
+ * @property {false|{maxYawDeg?: number, maxPitchDeg?: number, dampingSec?: number, neckShare?: number}} [lookAt]
+ * @property {boolean|{targetHeight?: number, upAxis?: "auto"|"y"|"z"}} [normalize]
+ * @property {string[]} tags
+ */
+
+/**
+ * 加载并校验模型清单。
+ * @param {string} url 清单地址
+ * @returns {Promise<ModelEntry[]>}
+ */
+export async function loadCatalog(url) {
+  const manifestUrl = new URL(url, window.location.href).href;
+  let json;
+  try {
+    const res = await fetch(manifestUrl);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    json = await res.json();
+  } catch (err) {
+    console.error(err);
+    throw new Error(`模型清单加载失败：${url}（${err?.message || err}）`);
+  }
+  return validateCatalog(json, manifestUrl);
+}
+
+/**
+ * 校验清单并规整成 ModelEntry 列表。一次性列出所有问题，方便对着改。
  *
- * 建议：尽量用 scale 把不同模型“看起来大小接近”，再用 position/rotation 微调姿态。
+ * @param {any} json 清单内容（{models: [...]}，也接受直接是数组）
+ * @param {string} baseUrl 相对地址的解析基准（清单自身的地址）
+ * @returns {ModelEntry[]}
  */
-export const MODELS = [
-  {
-    name: "model.glb",
-    url: "./model.glb",
-    transform: { position: [0, 0, 0], rotation: [0, 0, 0], scale: 1 }
-  },
-  {
-    name: "model2.glb",
-    url: "./model2.glb",
-    transform: { position: [0, 0, 0], rotation: [0, 0, 0], scale: 1 }
-  },
-  {
-    name: "model3.glb",
-    url: "./model3.glb",
-    transform: { position: [0, 0, 0], rotation: [0, 0, 0], scale: 1 }
-  }
-];
+export function validateCatalog(json, baseUrl) {
+  const list = Array.isArray(json) ? json : json?.models;
+  if (!Array.isArray(list)) throw new Error("模型清单格式错误：缺少 models 数组");
+  if (list.length === 0) throw new Error("模型清单格式错误：models 为空");
+
+  const errors = [];
+  const entries = list.map((raw, i) => {
+    const issues = [];
+    const entry = validateEntry(raw, baseUrl, issues);
+    const label = typeof raw?.name === "string" && raw.name ? `第 ${i + 1} 项「${raw.name}」` : `第 ${i + 1} 项`;
+    for (const issue of issues) errors.push(`${label}${issue}`);
+    return entry;
+  });
+  if (errors.length) throw new Error(`模型清单格式错误：${errors.join("；")}`);
+  return entries;
+}
+
+function validateEntry(raw, baseUrl, issues) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    issues.push("不是对象");
+    return null;
+  }
+  const entry = { name: "", url: "", tags: [] };
+
+  if (typeof raw.name === "string" && raw.name.trim()) entry.name = raw.name.trim();
+  else issues.push("缺少 name");
+
+  if (typeof raw.url === "string" && raw.url.trim()) entry.url = resolveUrl(raw.url.trim(), baseUrl);
+  else issues.push("缺少 url");
+
+  if (raw.format !== undefined) {
+    if (MODEL_FORMATS.some((f) => f.id === raw.format)) entry.format = raw.format;
+    else issues.push(`的 format 必须是 ${MODEL_FORMATS.map((f) => f.id).join("/")} 之一`);
+  }
+
+  if (raw.transform !== undefined) {
+    const t = raw.transform;
+    if (!isPlainObject(t)) {
+      issues.push("的 transform 必须是对象");
+    } else {
+      entry.transform = {};
+      if (t.position !== undefined) {
+        if (isVec3(t.position)) entry.transform.position = t.position.slice();
+        else issues.push("的 transform.position 必须是 3 个数字");
+      }
+      if (t.rotation !== undefined) {
+        if (isVec3(t.rotation)) entry.transform.rotation = t.rotation.slice();
+        else issues.push("的 transform.rotation 必须是 3 个数字（弧度）");
+      }
+      if (t.scale !== undefined) {
+        const ok = isVec3(t.scale) ? t.scale.every((v) => v !== 0) : isPositive(t.scale);
+        if (ok) entry.transform.scale = Array.isArray(t.scale) ? t.scale.slice() : t.scale;
+        else issues.push("的 transform.scale 必须是正数或 3 个非零数字");
+      }
+    }
+  }
+
+  if (raw.thumbnail !== undefined) {
+    if (typeof raw.thumbnail === "string" && raw.thumbnail) entry.thumbnail = resolveUrl(raw.thumbnail, baseUrl);
+    else issues.push("的 thumbnail 必须是字符串");
+  }
+
+  if (raw.environment !== undefined) {
+    const env = raw.environment;
+    if (!isPlainObject(env)) {
+      issues.push("的 environment 必须是对象");
+    } else {
+      entry.environment = {};
+      for (const key of ["anime", "room"]) {
+        if (env[key] === undefined) continue;
+        if (typeof env[key] === "boolean") entry.environment[key] = env[key];
+        else issues.push(`的 environment.${key} 必须是 true/false`);
+      }
+    }
+  }
+
+  if (raw.offAxis !== undefined) {
+    const o = raw.offAxis;
+    if (!isPlainObject(o)) {
+      issues.push("的 offAxis 必须是对象");
+    } else {
+      entry.offAxis = {};
+      for (const key of ["screenHeight", "baseDistance"]) {
+        if (o[key] === undefined) continue;
+        if (isPositive(o[key])) entry.offAxis[key] = o[key];
+        else issues.push(`的 offAxis.${key} 必须是正数`);
+      }
+      if (o.screenOffset !== undefined) {
+        if (isVec3(o.screenOffset)) entry.offAxis.screenOffset = o.screenOffset.slice();
+        else issues.push("的 offAxis.screenOffset 必须是 3 个数字");
+      }
+    }
+  }
+
+  if (raw.lookAt !== undefined) {
+    const l = raw.lookAt;
+    if (l === false || l === true) {
+      if (l === false) entry.lookAt = false;
+    } else if (!isPlainObject(l)) {
+      issues.push("的 lookAt 必须是 true/false 或对象");
+    } else {
+      entry.lookAt = {};
+      for (const key of ["maxYawDeg", "maxPitchDeg", "dampingSec", "neckShare"]) {
+        if (l[key] === undefined) continue;
+        if (typeof l[key] === "number" && Number.isFinite(l[key]) && l[key] >= 0) entry.lookAt[key] = l[key];
+        else issues.push(`的 lookAt.${key} 必须是非负数`);
+      }
+    }
+  }
+
+  if (raw.normalize !== undefined) {
+    const n = raw.normalize;
+    if (n === true || n === false) {
+      entry.normalize = n;
+    } else if (!isPlainObject(n)) {
+      issues.push("的 normalize 必须是 true/false 或对象");
+    } else {
+      entry.normalize = {};
+      if (n.targetHeight !== undefined) {
+        if (typeof n.targetHeight === "number" && Number.isFinite(n.targetHeight) && n.targetHeight >= 0) {
+          entry.normalize.targetHeight = n.targetHeight;
+        } else {
+          issues.push("的 normalize.targetHeight 必须是非负数");
+        }
+      }
+      if (n.upAxis !== undefined) {
+        if (["auto", "y", "z"].includes(n.upAxis)) entry.normalize.upAxis = n.upAxis;
+        else issues.push("的 normalize.upAxis 必须是 auto/y/z 之一");
+      }
+    }
+  }
+
+  if (raw.tags !== undefined) {
+    if (Array.isArray(raw.tags) && raw.tags.every((t) => typeof t === "string")) entry.tags = raw.tags.slice();
+    else issues.push("的 tags 必须是字符串数组");
+  }
+
+  return entry;
+}
+
+function resolveUrl(url, baseUrl) {
+  try {
+    return new URL(url, baseUrl).href;
+  } catch {
+    return url;
+  }
+}
+
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === "object" && !Array.isArray(v);
+}
+
+function isVec3(v) {
+  return Array.isArray(v) && v.length === 3 && v.every((n) => typeof n === "number" && Number.isFinite(n));
+}
+
+function isPositive(v) {
+  return typeof v === "number" && Number.isFinite(v) && v > 0;
+}
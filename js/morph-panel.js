@@ -0,0 +1,148 @@
+/**
+ * 表情面板：当前模型的 morph target / VRM 表情滑块、表情预设、跟随观察者表情开关。
+ *
+ * 滑块按模型动态生成（目标名字就是 morphTargetDictionary 的 key / VRM 表情名）。
+ * 预设按模型分开保存（不同模型的目标名字不通用），读写交给调用方（getPresets / onPresetsChange）；
+ * 设置类字段（mirrorFace）变化时回调 onChange。
+ * 面板打开时由渲染循环调用 sync() 刷新滑块（跟随表情时能看到实时值），换模型后调用 refresh()。
+ *
+ * @param {object} args
+ * @param {HTMLElement} args.panelEl 面板根节点
+ * @param {ReturnType<typeof import('./model-morphs.js').createMorphController>} args.morphs
+ * @param {typeof import('./model-morphs.js').DEFAULT_MORPH_SETTINGS} args.initial
+ * @param {(settings: typeof import('./model-morphs.js').DEFAULT_MORPH_SETTINGS) => void} args.onChange
+ * @param {(modelKey: string) => Record<string, Record<string, number>>} args.getPresets
+ * @param {(modelKey: string, presets: Record<string, Record<string, number>>) => void} args.onPresetsChange
+ */
+export function createMorphPanel({ panelEl, morphs, initial, onChange, getPresets, onPresetsChange }) {
+  const field = (name) => panelEl.querySelector(`[name="${name}"]`);
+  const listEl = panelEl.querySelector("[data-targets]");
+  const emptyEl = panelEl.querySelector("[data-empty]");
+  const faceHintEl = panelEl.querySelector("[data-face-hint]");
+  const presetEl = field("preset");
+  const presetNameEl = field("presetName");
+  const filterEl = field("filter");
+  let modelKey = "";
+  // sliders：目标名 → range input
+  let sliders = new Map();
+
+  field("mirrorFace").checked = Boolean(initial?.mirrorFace);
+
+  panelEl.addEventListener("input", (e) => {
+    const target = e.target?.dataset?.target;
+    if (target !== undefined) {
+      morphs.setValue(target, Number(e.target.value));
+    } else if (e.target === filterEl) {
+      applyFilter();
+    } else if (e.target === field("mirrorFace")) {
+      onChange({ mirrorFace: field("mirrorFace").checked });
+    }
+  });
+
+  panelEl.addEventListener("change", (e) => {
+    // 选中预设时把名字填进输入框，方便覆盖保存
+    if (e.target === presetEl) presetNameEl.value = presetEl.value;
+  });
+
+  panelEl.addEventListener("click", (e) => {
+    const action = e.target?.dataset?.action;
+    if (action === "apply") {
+      const values = getPresets(modelKey)[presetEl.value];
+      if (values) morphs.applyValues(values);
+    } else if (action === "save") {
+      const name = presetNameEl.value.trim();
+      if (!name) return;
+      onPresetsChange(modelKey, { ...getPresets(modelKey), [name]: morphs.getValues() });
+      populatePresets(name);
+    } else if (action === "delete") {
+      const presets = { ...getPresets(modelKey) };
+      if (!(presetEl.value in presets)) return;
+      delete presets[presetEl.value];
+      onPresetsChange(modelKey, presets);
+      populatePresets("");
+    } else if (action === "reset") {
+      morphs.reset();
+    } else if (action === "close") {
+      setOpen(false);
+    }
+    sync();
+  });
+
+  /**
+   * 按当前模型重建滑块和预设列表（换模型后调用）。
+   * @param {string} key 预设的归属（模型名）
+   */
+  function refresh(key) {
+    modelKey = key ?? "";
+    sliders = new Map();
+    listEl.replaceChildren();
+    for (const { name } of morphs.getTargets()) {
+      const row = document.createElement("label");
+      row.className = "row morph-row";
+      row.title = name;
+      const label = document.createElement("span");
+      label.textContent = name;
+      const slider = document.createElement("input");
+      slider.type = "range";
+      slider.min = "0";
+      slider.max = "1";
+      slider.step = "0.01";
+      slider.dataset.target = name;
+      row.append(label, slider);
+      listEl.appendChild(row);
+      sliders.set(name, slider);
+    }
+    emptyEl.hidden = sliders.size > 0;
+    faceHintEl.textContent = morphs.hasFaceDrivers ? "" : "（该模型没有可跟随的眨眼/嘴型）";
+    populatePresets("");
+    applyFilter();
+    sync();
+  }
+
+  function populatePresets(selected) {
+    presetEl.replaceChildren();
+    for (const name of Object.keys(getPresets(modelKey))) {
+      const opt = document.createElement("option");
+      opt.value = name;
+      opt.textContent = name;
+      presetEl.appendChild(opt);
+    }
+    if (selected) presetEl.value = selected;
+    presetNameEl.value = presetEl.value;
+  }
+
+  // 目标很多（VRoid 模型有上百个）时按名字筛选
+  function applyFilter() {
+    const keyword = filterEl.value.trim().toLowerCase();
+    for (const [name, slider] of sliders) {
+      slider.parentElement.hidden = Boolean(keyword) && !name.toLowerCase().includes(keyword);
+    }
+  }
+
+  /**
+   * 刷新滑块数值（面板打开时每帧调用）；正在拖的滑块不动，被观察者表情驱动的滑块禁用。
+   */
+  function sync() {
+    for (const { name, value, driven } of morphs.getTargets()) {
+      const slider = sliders.get(name);
+      if (!slider || slider === document.activeElement) continue;
+      const text = String(Math.round(value * 100) / 100);
+      if (slider.value !== text) slider.value = text;
+      if (slider.disabled !== driven) slider.disabled = driven;
+    }
+  }
+
+  function setOpen(open) {
+    panelEl.hidden = !open;
+    if (open) sync();
+  }
+
+  return {
+    get open() {
+      return !panelEl.hidden;
+    },
+    setOpen,
+    refresh,
+    sync
+  };
+}
@@ -1,11 +1,18 @@
 import * as THREE from "three";
+import { normalizeCalibration } from "./calibration.js";
+import { TRACKING_PROVIDERS } from "./tracking/providers.js";
+import { createHeadRecorder } from "./tracking/head-recorder.js";
+import { createHeadFilter } from "./tracking/head-filter.js";
+import { createTrackingMonitor } from "./tracking/tracking-monitor.js";
 
 /**
  * 裸眼 3D（off-axis 透视投影）控制器。
  *
- * 这不是“真正的眼动追踪硬件”，而是一个可运行的最小实现：
- * - 摄像头模式：用 MediaPipe FaceLandmarker 得到双眼 2D 位置 + 眼距（像素/归一化），粗略估计头部平移 + 深度变化
- * - 无摄像头模式：用鼠标在画布上移动模拟头部平移
+ * 这不是“真正的眼动追踪硬件”，而是一个可运行的最小实现。头部位置来自可切换的追踪 provider
+ * （见 tracking/providers.js）：
+ * - 鼠标 / 键盘手柄：模拟头部平移
+ * - 摄像头：用 MediaPipe FaceLandmarker 得到双眼 2D 位置 + 虹膜/眼距，估计头部平移 + 深度（多人时按策略选观察者）
+ * - 回放：播放录制好的轨迹（CI 上无摄像头也能确定性地跑通）
  *
  * off-axis 原理简述：
  * - 传统透视相机的视锥体是左右对称的（中心在屏幕中央）
@@ -15,7 +22,8 @@ import * as THREE from "three";
  *
  * 重要约定：
  * - 我们把“屏幕平面”放在模型前方一点点（setDefaultsFromModel 里），只是为了让效果明显
- * - 更真实的效果需要做显示器物理标定（屏幕尺寸/距离/相机内参等），这里不做
+ * - 启用物理标定（calibration.js）后，屏幕宽高/观看距离/摄像头偏移按真实厘米换算成世界单位，
+ *   这样 frustum 与真实显示器几何一致；未标定时仍按模型尺寸近似
  */
 export function createOffAxisController({
   camera,
@@ -23,18 +31,20 @@ export function createOffAxisController({
   canvas,
   webcamPane,
   webcamVideo,
+  webcamOverlay,
   setStatus,
-  getParallaxGain
+  getParallaxGain,
+  calibration: initialCalibration,
+  filterSettings: initialFilterSettings,
+  faceSelection: initialFaceSelection,
+  mediapipeAssets
 }) {
-  // 右下角预览 video 做了 CSS scaleX(-1) 镜像；MediaPipe 输出坐标基于“未镜像”的原始视频帧。
-  // 为了让“头往左 -> 视角往右（看到人物左侧）”符合直觉，这里需要把 tracking 的 X 方向翻转。
-  const mirroredWebcamPreview = true;
+  // 显示器物理标定（见 calibration.js）；未传时按“未启用”处理
+  let calibration = normalizeCalibration(initialCalibration);
 
   const state = {
     // enabled：off-axis 模式开关。开启后会禁用 OrbitControls，并直接写 camera.matrixWorld/projectionMatrix
     enabled: false,
-    // tracking：是否启用摄像头追踪（不追踪时用鼠标模拟）
-    tracking: false,
     // screenOrigin：屏幕矩形的中心点（世界坐标）
     screenOrigin: new THREE.Vector3(0, 0, 0),
     // screenHeight：屏幕矩形高度（世界单位），宽度由 screenHeight * aspect 得到
@@ -42,18 +52,54 @@ export function createOffAxisController({
     // baseDistance：默认观察距离（世界单位），会被“眼距变化”映射为 z 深度
     baseDistance: 2,
     // head / headTarget：观察点相对 screenOrigin 的偏移（x,y）与距离（z）
+    // headTarget 是采样换算后的原始值，head 是滤波（+ 预测）后的值
     head: new THREE.Vector3(0, 0, 2),
     headTarget: new THREE.Vector3(0, 0, 2),
-    // refEyeDist：参考眼距（第一次检测到的眼距），用来把 eyeDist 变化映射为 depthRatio
-    refEyeDist: null,
-    // stream：getUserMedia 返回的视频流
-    stream: null,
-    // faceLandmarker：MediaPipe 实例（懒加载）
-    faceLandmarker: null,
-    // lastVideoTime：避免对同一帧视频重复推理
-    lastVideoTime: -1
+    // provider：当前头动数据来源（鼠标/摄像头/键盘手柄/回放）
+    provider: null,
+    // frustum：最近一次写入主相机的非对称视锥参数（录制/调试用）
+    frustum: { l: 0, r: 0, t: 0, b: 0, near: 0, far: 0 },
+    hasFrustum: false,
+    // filterScale：滤波在“屏幕高度”归一化空间里进行，这里记下当前的换算比例
+    filterScale: 1,
+    // lastCapturedAt：最近一次摄像头采样的采集时刻（performance.now 时基），用于延迟预测
+    lastCapturedAt: null,
+    // latencyMs：实测“采集 → 渲染”延迟（指数平均，供 UI 显示）
+    latencyMs: 0,
+    // lossPhase：持续来源的丢失阶段（tracking / holding / returning），变化时刷新状态栏
+    lossPhase: "tracking",
+    // faceBlendshapes：最近一次摄像头采样里观察者的表情系数（角色表情跟随用）
+    faceBlendshapes: null
   };
 
+  // 头部滤波（One Euro / 卡尔曼 / 直通）+ 延迟预测
+  const headFilter = createHeadFilter(initialFilterSettings);
+  // 追踪质量统计 + 丢失处理（保持 → 回中 → 重新检测时混合）
+  const monitor = createTrackingMonitor();
+
+  // 录制器：逐帧记录采样 → headTarget → head → frustum，可导出 JSON/CSV
+  const recorder = createHeadRecorder();
+
+  // provider 实例按需创建并缓存（摄像头模型加载较慢，切走再切回不重复加载）
+  // 多人脸选择策略（摄像头 provider 用；保存在这里，provider 创建时带上）
+  let faceSelection = initialFaceSelection;
+  const providerDeps = {
+    canvas,
+    webcamPane,
+    webcamVideo,
+    webcamOverlay,
+    setStatus,
+    getCalibration: () => calibration,
+    mediapipeAssets,
+    get faceSelection() {
+      return faceSelection;
+    }
+  };
+  const providers = new Map();
+  // 切换来源按顺序执行（上一次的 start() 结束才开始下一次）；switchToken 标记最新的那次切换
+  let switchChain = Promise.resolve(true);
+  let switchToken = 0;
+
   // 用于关闭 off-axis 时恢复普通相机/controls 状态
   const normalCameraState = {
     position: new THREE.Vector3(),
@@ -73,6 +119,9 @@ export function createOffAxisController({
     vb: new THREE.Vector3(),
     vc: new THREE.Vector3(),
     eye: new THREE.Vector3(),
+    stereoEye: new THREE.Vector3(),
+    filtered: new THREE.Vector3(),
+    neutral: new THREE.Vector3(),
     basis: new THREE.Matrix4()
   };
 
@@ -90,7 +139,8 @@ export function createOffAxisController({
       normalCameraState.quaternion.copy(camera.quaternion);
       normalCameraState.target.copy(controls.target);
       camera.matrixAutoUpdate = false;
-      if (!state.tracking) setStatus("提示：移动鼠标可模拟头动");
+      resetFilter();
+      setStatus(state.provider?.hint ?? "");
       return;
     }
 
@@ -106,102 +156,327 @@ export function createOffAxisController({
    * 根据模型尺寸做一套“默认屏幕/视距”参数。
    * 这相当于一个“自动标定”的近似：让效果对不同模型大小都比较明显。
    *
+   * 模型清单里的 offAxis 字段可以逐项覆盖这些估算值（见 models.js）。
+   *
    * @param {import('three').Vector3} center 模型中心点（世界坐标）
    * @param {number} maxDim 模型最大边长（世界单位）
+   * @param {{screenHeight?: number, baseDistance?: number, screenOffset?: number[]}} [overrides]
    */
-  function setDefaultsFromModel(center, maxDim) {
+  function setDefaultsFromModel(center, maxDim, overrides) {
     // 屏幕中心放在模型中心略上方、略前方
-    state.screenOrigin.copy(center).add(new THREE.Vector3(0, maxDim * 0.05, maxDim * 0.18));
+    const offset = overrides?.screenOffset ?? [0, maxDim * 0.05, maxDim * 0.18];
+    state.screenOrigin.copy(center).add(new THREE.Vector3(offset[0], offset[1], offset[2]));
     // 屏幕高度按模型尺寸缩放；宽度会按 canvas 宽高比自动计算
-    state.screenHeight = Math.max(maxDim * 0.95, 1);
+    state.screenHeight = overrides?.screenHeight ?? Math.max(maxDim * 0.95, 1);
     // 默认观察距离：离模型稍远一点，避免近裁剪
-    state.baseDistance = Math.max(maxDim * 1.35, 1.2);
-    if (!state.tracking) state.headTarget.set(0, 0, state.baseDistance);
-    if (!state.tracking) state.head.copy(state.headTarget);
-    state.refEyeDist = null;
+    state.baseDistance = overrides?.baseDistance ?? Math.max(maxDim * 1.35, 1.2);
+    if (!isContinuous()) {
+      state.headTarget.set(0, 0, getBaseDistance(getScreenMetrics()));
+      state.head.copy(state.headTarget);
+      resetFilter();
+    }
+    state.provider?.resetReference?.();
   }
 
   /**
-   * 鼠标模拟：把鼠标位置映射到“观察点相对屏幕中心的偏移”。
-   * 仅在 off-axis 开启且未启用摄像头追踪时有效。
+   * 更新显示器物理标定（标定面板修改时实时调用）。
+   * @param {import('./calibration.js').DEFAULT_CALIBRATION} profile
    */
-  function handlePointerMove(e) {
-    if (!state.enabled) return;
-    if (state.tracking) return;
+  function setCalibration(profile) {
+    calibration = normalizeCalibration(profile);
+    if (!isContinuous()) {
+      state.headTarget.set(0, 0, getBaseDistance(getScreenMetrics()));
+      state.head.copy(state.headTarget);
+      resetFilter();
+    }
+  }
+
+  /**
+   * 当前屏幕矩形的尺寸（世界单位）。
+   * - 未标定：高度按模型估算，宽度 = 高度 * 画布宽高比
+   * - 已标定：按“画布占物理屏幕的比例”换算出画布的真实厘米数，再乘以 worldPerCm
+   *   （假设画布在物理屏幕上居中，即全屏展台场景）
+   *
+   * @returns {{width: number, height: number, worldPerCm: number|null} | null}
+   */
+  function getScreenMetrics() {
     const width = canvas.clientWidth;
     const height = canvas.clientHeight;
-    if (width === 0 || height === 0) return;
-    const aspect = width / height;
-    const screenWidth = state.screenHeight * aspect;
-    const gain = getParallaxGain();
-    const x = (e.clientX / width - 0.5) * screenWidth * gain;
-    const y = -(e.clientY / height - 0.5) * state.screenHeight * gain;
-    state.headTarget.set(x, y, state.baseDistance);
+    if (width === 0 || height === 0) return null;
+    if (!calibration.enabled) {
+      return { width: state.screenHeight * (width / height), height: state.screenHeight, worldPerCm: null };
+    }
+
+    const screenPxWidth = window.screen?.width || width;
+    const screenPxHeight = window.screen?.height || height;
+    const canvasWidthCm = calibration.screenWidthCm * Math.min(width / screenPxWidth, 1);
+    const canvasHeightCm = calibration.screenHeightCm * Math.min(height / screenPxHeight, 1);
+    // 自动比例：让模型估算出的屏幕高度对应画布的真实高度
+    const worldPerCm = calibration.worldUnitsPerCm || state.screenHeight / canvasHeightCm;
+    return { width: canvasWidthCm * worldPerCm, height: canvasHeightCm * worldPerCm, worldPerCm };
+  }
+
+  /**
+   * 默认观察距离（世界单位）：标定时取真实观看距离，否则按模型尺寸估算。
+   */
+  function getBaseDistance(metrics) {
+    if (metrics?.worldPerCm) return calibration.viewDistanceCm * metrics.worldPerCm;
+    return state.baseDistance;
+  }
+
+  /**
+   * 获取（必要时创建）某个追踪 provider 实例。
+   * @param {string} id TRACKING_PROVIDERS 里的 id
+   */
+  function getProvider(id) {
+    if (!providers.has(id)) {
+      const entry = TRACKING_PROVIDERS.find((p) => p.id === id);
+      if (!entry) return null;
+      providers.set(id, entry.create(providerDeps));
+    }
+    return providers.get(id);
+  }
+
+  /**
+   * 切换头动数据来源。启动失败时回退到鼠标，并把错误显示在状态栏。
+   * 持续输出的来源（摄像头/回放）启动后会自动打开 off-axis（否则相机不跟随）。
+   * 连续切换时按顺序执行，只有最后一次生效：排队中被取代的直接跳过，启动期间被取代的启动完就停掉。
+   *
+   * @param {string} id
+   * @returns {Promise<boolean>} 是否切换成功（被后来的切换取代也算 false）
+   */
+  async function setProvider(id) {
+    const next = getProvider(id);
+    if (!next) throw new Error(`未知的追踪来源：${id}`);
+    const token = ++switchToken;
+    const run = switchChain.then(() => switchProvider(next, token));
+    switchChain = run.catch(() => false);
+    return run;
+  }
+
+  async function switchProvider(next, token) {
+    if (token !== switchToken) return false;
+    if (next === state.provider) return true;
+
+    state.provider?.stop();
+    state.provider = null;
+    try {
+      await next.start();
+    } catch (err) {
+      console.error(err);
+      next.stop();
+      if (token !== switchToken) return false;
+      if (next.id !== "mouse") await switchProvider(getProvider("mouse"), token);
+      if (token === switchToken) setStatus(err?.message || `开启${next.label}失败`);
+      return false;
+    }
+    if (token !== switchToken) {
+      next.stop();
+      return false;
+    }
+
+    state.provider = next;
+    state.lastCapturedAt = null;
+    state.lossPhase = "tracking";
+    resetFilter();
+    if (next.continuous && !state.enabled) setEnabled(true);
+    setStatus(state.enabled ? next.hint : "");
+    return true;
+  }
+
+  /**
+   * 当前来源是否持续输出（摄像头/回放）：这类来源不需要在模型切换时把头部位置重置回中心。
+   */
+  function isContinuous() {
+    return Boolean(state.provider?.continuous);
   }
 
   /**
    * 每帧更新：
-   * 1) 若 tracking 开启，则从摄像头帧更新 headTarget（x,y,z）
-   * 2) 平滑插值到 head（避免抖动）
+   * 1) 从当前 provider 取新的头部采样，换算成 headTarget（x,y,z）
+   * 2) 滤波 + 延迟预测得到 head（避免抖动/拖影）
    * 3) 由 head 计算 off-axis 投影矩阵 + 相机位姿
+   * 4) 录制中则记录本帧
    */
   function update() {
-    updateHeadTracking();
+    const nowMs = performance.now();
+    const sample = state.provider?.poll(nowMs) ?? null;
+    if (sample) {
+      applySample(sample);
+      state.faceBlendshapes = sample.confidence > 0 ? sample.raw?.blendshapes ?? null : null;
+    }
     if (state.enabled) {
-      state.head.lerp(state.headTarget, state.tracking ? 0.22 : 0.18);
+      updateFilteredHead(sample, nowMs);
       updateOffAxisCamera();
     }
+    recorder.record({
+      nowMs,
+      sample,
+      headTarget: state.headTarget,
+      head: state.head,
+      // off-axis 关着时 frustum 是上次开着时留下的，不代表当前画面
+      frustum: state.enabled && state.hasFrustum ? state.frustum : null
+    });
   }
 
   /**
-   * 摄像头追踪：从 MediaPipe 得到双眼关键点，粗略估计头部位置。
+   * headTarget → 滤波器 → head。
    *
-   * 说明：FaceLandmarker 的 landmarks 是归一化坐标（0~1）。
-   * - 我们用两眼中心点 (centerX, centerY) 映射到屏幕平面上的 x/y 偏移
-   * - 用两眼距离 eyeDist 的变化估计 z 深度（离得近眼距变大 => z 变小）
+   * - 持续来源（摄像头/回放）：只在有新采样时喂给滤波器（用采样自己的时间戳，速度估计才准），
+   *   并从采集时刻外推到“现在”，补偿推理 + 等待渲染的延迟
+   * - 输入驱动来源（鼠标/键盘）：每帧把当前 headTarget 当作测量喂进去（相当于采样保持）
+   * - 持续来源丢失时不再用滤波结果，改由 tracking-monitor 决定保持/回中/混合，
+   *   headTarget 也跟着缓动（录制里能看到）
    *
-   * 这是非常粗糙的近似，但足够演示“视差 + 离轴投影”的感觉。
+   * @param {import('./tracking/providers.js').HeadSample|null} sample 本帧新采样
+   * @param {number} nowMs
    */
-  function updateHeadTracking() {
-    if (!state.tracking) return;
-    if (!state.faceLandmarker) return;
-    if (webcamVideo.readyState < 2) return;
+  function updateFilteredHead(sample, nowMs) {
+    const metrics = getScreenMetrics();
+    const scale = metrics?.height || 1;
+    if (scale !== state.filterScale) {
+      state.filterScale = scale;
+      resetFilter();
+    }
 
-    const nowMs = performance.now();
-    if (webcamVideo.currentTime === state.lastVideoTime) return;
-    state.lastVideoTime = webcamVideo.currentTime;
+    let aheadMs = headFilter.settings.extraLatencyMs;
+    tmp.filtered.copy(state.headTarget).divideScalar(scale);
+    if (isContinuous()) {
+      const reacquired = monitor.observe(sample, tmp.filtered, nowMs);
+      if (sample && sample.confidence > 0) {
+        // 丢失期间滤波器状态已经过时：从新位置重新开始，平滑过渡交给 monitor 的混合
+        if (reacquired) headFilter.reset(tmp.filtered);
+        headFilter.update(tmp.filtered, sample.timestamp);
+        if (Number.isFinite(sample.capturedAt)) {
+          state.lastCapturedAt = sample.capturedAt;
+          state.latencyMs += (nowMs - sample.capturedAt - state.latencyMs) * 0.1;
+        }
+      }
+      if (state.lastCapturedAt !== null) aheadMs += nowMs - state.lastCapturedAt;
+    } else {
+      headFilter.update(tmp.filtered, nowMs);
+    }
 
-    const result = state.faceLandmarker.detectForVideo(webcamVideo, nowMs);
-    const landmarks = result?.faceLandmarks?.[0];
-    if (!landmarks) return;
+    headFilter.read(tmp.filtered, aheadMs);
+    if (isContinuous()) {
+      tmp.neutral.set(0, 0, getBaseDistance(metrics) / scale);
+      const phase = monitor.resolve(tmp.filtered, tmp.neutral, nowMs, headFilter.settings, tmp.filtered);
+      if (phase !== "tracking") state.headTarget.copy(tmp.filtered).multiplyScalar(scale);
+      setLossPhase(phase);
+    }
+    state.head.copy(tmp.filtered).multiplyScalar(scale);
+  }
 
-    // 这里选用左右眼外侧附近的点位（MediaPipe 的固定索引）
-    const leftEye = landmarks[33];
-    const rightEye = landmarks[263];
-    if (!leftEye || !rightEye) return;
+  /**
+   * 丢失阶段变化时更新状态栏（“人脸丢失”提示 / 恢复时回到来源的提示语）。
+   */
+  function setLossPhase(phase) {
+    if (phase === state.lossPhase) return;
+    state.lossPhase = phase;
+    if (phase === "holding") setStatus("人脸丢失（保持视角）");
+    else if (phase === "returning") setStatus("人脸丢失（回到中心视角）");
+    else setStatus(state.provider?.hint ?? "");
+  }
 
-    const centerX = (leftEye.x + rightEye.x) * 0.5;
-    const centerY = (leftEye.y + rightEye.y) * 0.5;
-    const eyeDist = Math.hypot(leftEye.x - rightEye.x, leftEye.y - rightEye.y);
-    if (!Number.isFinite(eyeDist) || eyeDist <= 0) return;
-    if (!state.refEyeDist) state.refEyeDist = eyeDist;
+  /**
+   * 追踪质量（HUD 用）；非持续来源返回 null。
+   * jitterCm 需要物理标定才有，jitterRatio 是相对屏幕高度的比例。
+   *
+   * @returns {{detectionRate: number, sampleRate: number, jitterRatio: number|null, jitterCm: number|null, lost: boolean, latencyMs: number} | null}
+   */
+  function getTrackingQuality() {
+    if (!isContinuous()) return null;
+    const stats = monitor.getStats(performance.now());
+    const worldPerCm = getScreenMetrics()?.worldPerCm;
+    return {
+      detectionRate: stats.detectionRate,
+      sampleRate: stats.sampleRate,
+      jitterRatio: stats.jitter,
+      jitterCm: stats.jitter !== null && worldPerCm ? (stats.jitter * state.filterScale) / worldPerCm : null,
+      lost: stats.lost,
+      latencyMs: state.latencyMs
+    };
+  }
 
-    const width = canvas.clientWidth;
-    const height = canvas.clientHeight;
-    if (width === 0 || height === 0) return;
-    const aspect = width / height;
-    const screenWidth = state.screenHeight * aspect;
-    const gain = getParallaxGain();
+  /**
+   * 观察者的位置（世界坐标）：裸眼3D 时是 screenOrigin + head，否则就是相机位置。
+   * @param {import('three').Vector3} out
+   * @returns {import('three').Vector3}
+   */
+  function getViewerPosition(out) {
+    if (state.enabled) return out.copy(state.screenOrigin).add(state.head);
+    return camera.getWorldPosition(out);
+  }
+
+  /**
+   * 观察者当前的表情系数（ARKit blendshape 名字 → 0~1）；不是摄像头追踪或人脸丢失时为 null。
+   * @returns {Record<string, number>|null}
+   */
+  function getFaceBlendshapes() {
+    if (state.provider?.id !== "mediapipe") return null;
+    if (state.enabled && monitor.lost) return null;
+    return state.faceBlendshapes;
+  }
+
+  /**
+   * 让滤波器从当前 head 重新开始（切换来源/模型/标定时调用，避免“滑过去”）。
+   */
+  function resetFilter() {
+    headFilter.reset(tmp.filtered.copy(state.head).divideScalar(state.filterScale));
+    monitor.reset(tmp.filtered);
+  }
+
+  /**
+   * 更新滤波参数（UI 实时调节）。
+   * @param {import('./tracking/head-filter.js').DEFAULT_FILTER_SETTINGS} settings
+   */
+  function setFilterSettings(settings) {
+    headFilter.setSettings(settings);
+  }
+
+  /**
+   * 更新多人脸选择策略（UI 实时调节）。
+   * @param {import('./tracking/face-selector.js').DEFAULT_FACE_SELECTION} settings
+   */
+  function setFaceSelection(settings) {
+    faceSelection = settings;
+    providers.get("mediapipe")?.setFaceSelection(settings);
+    // 点选模式的提示语不同，当前正在用摄像头时刷新一下
+    if (state.enabled && state.provider?.id === "mediapipe") setStatus(state.provider.hint);
+  }
 
-    // x/y：以画面中心为 0，向右/向上为正（y 取反让屏幕坐标更直观）
-    const dx = centerX - 0.5;
-    const x = (mirroredWebcamPreview ? -dx : dx) * screenWidth * gain;
-    const y = -(centerY - 0.5) * state.screenHeight * gain;
+  /**
+   * 把 provider 的采样（见 HeadSample）换算成 headTarget（相对屏幕中心的世界坐标）。
+   *
+   * - screen 空间：x/y 按屏幕宽高缩放，z 按默认视距缩放
+   * - camera 空间 + 已标定：按摄像头视场角把画面坐标换算成厘米（相对摄像头），
+   *   再平移到屏幕中心坐标系；有绝对距离 distanceCm 时直接用，否则按“观看距离 × z”估算；
+   *   未标定时按 screen 空间处理（粗略近似）
+   *
+   * @param {import('./tracking/providers.js').HeadSample} sample
+   */
+  function applySample(sample) {
+    if (!(sample.confidence > 0)) return;
+    const metrics = getScreenMetrics();
+    if (!metrics) return;
+    const gain = getParallaxGain();
 
-    // z：用“参考眼距 / 当前眼距”估计深度比例（范围做 clamp 防止爆炸）
-    const depthRatio = THREE.MathUtils.clamp(state.refEyeDist / eyeDist, 0.7, 1.8);
-    const z = state.baseDistance * depthRatio;
+    if (sample.space === "camera" && metrics.worldPerCm) {
+      const distanceCm = sample.distanceCm ?? calibration.viewDistanceCm * sample.z;
+      const spanX = 2 * distanceCm * Math.tan(THREE.MathUtils.degToRad(calibration.cameraFovDeg) / 2);
+      const spanY = spanX / (sample.aspect || 4 / 3);
+      const [ox, oy, oz] = calibration.cameraOffsetCm;
+      // 视差增益只放大头部位移，摄像头安装偏移是标定出来的实际距离，不跟着缩放
+      const xCm = ox + sample.x * spanX * gain;
+      const yCm = oy + sample.y * spanY * gain;
+      const zCm = oz + distanceCm;
+      state.headTarget.set(xCm, yCm, zCm).multiplyScalar(metrics.worldPerCm);
+      return;
+    }
 
+    const x = sample.x * metrics.width * gain;
+    const y = sample.y * metrics.height * gain;
+    const z = getBaseDistance(metrics) * sample.z;
     state.headTarget.set(x, y, z);
   }
 
@@ -215,36 +490,85 @@ export function createOffAxisController({
    * - 写入 camera.projectionMatrix，并构造相机 world matrix（basis + eye）
    */
   function updateOffAxisCamera() {
-    const width = canvas.clientWidth;
-    const height = canvas.clientHeight;
-    if (width === 0 || height === 0) return;
+    if (!updateScreenBasis()) return;
+
+    // 观察点 eye：屏幕中心 + head 偏移
+    tmp.eye.copy(state.screenOrigin).add(state.head);
+    applyOffAxisFrustum(camera, tmp.eye, state.frustum);
+    state.hasFrustum = true;
+  }
 
-    const aspect = width / height;
-    const screenWidth = state.screenHeight * aspect;
+  /**
+   * 立体模式：由同一个 head 推出左右眼位置（沿屏幕“右”方向各偏移半个瞳距），
+   * 分别写入两台相机的 off-axis frustum。主相机仍按双眼中点更新（天空/粒子等跟随它）。
+   *
+   * @param {import('three').PerspectiveCamera} leftCamera
+   * @param {import('three').PerspectiveCamera} rightCamera
+   * @param {{ipdCm: number, swapEyes?: boolean}} options 瞳距（cm）；swapEyes 用于纠正隔行/红青眼镜方向相反
+   */
+  function updateStereoCameras(leftCamera, rightCamera, { ipdCm, swapEyes = false }) {
+    if (!updateScreenBasis()) return;
+
+    const halfIpd = (ipdCm * getWorldPerCm()) / 2;
+    const sign = swapEyes ? -1 : 1;
+    leftCamera.near = rightCamera.near = camera.near;
+    leftCamera.far = rightCamera.far = camera.far;
+
+    tmp.eye.copy(state.screenOrigin).add(state.head);
+    tmp.stereoEye.copy(tmp.eye).addScaledVector(tmp.vr, -halfIpd * sign);
+    applyOffAxisFrustum(leftCamera, tmp.stereoEye);
+    tmp.stereoEye.copy(tmp.eye).addScaledVector(tmp.vr, halfIpd * sign);
+    applyOffAxisFrustum(rightCamera, tmp.stereoEye);
+  }
+
+  /**
+   * 世界单位 / 厘米：标定时取标定值；未标定时假设画布高度等于标定档案里的屏幕高度（粗略估算）。
+   */
+  function getWorldPerCm() {
+    const metrics = getScreenMetrics();
+    if (!metrics) return 0;
+    return metrics.worldPerCm ?? metrics.height / calibration.screenHeightCm;
+  }
+
+  /**
+   * 计算屏幕矩形的三个角点 pa/pb/pc 与基向量 vr/vu/vn（写入 tmp）。
+   * @returns {boolean} 画布尺寸为 0 时返回 false
+   */
+  function updateScreenBasis() {
+    const metrics = getScreenMetrics();
+    if (!metrics) return false;
+
+    const screenWidth = metrics.width;
+    const screenHeight = metrics.height;
     const origin = state.screenOrigin;
 
     // 屏幕矩形三个点（世界坐标）
-    tmp.pa.set(origin.x - screenWidth / 2, origin.y - state.screenHeight / 2, origin.z);
-    tmp.pb.set(origin.x + screenWidth / 2, origin.y - state.screenHeight / 2, origin.z);
-    tmp.pc.set(origin.x - screenWidth / 2, origin.y + state.screenHeight / 2, origin.z);
+    tmp.pa.set(origin.x - screenWidth / 2, origin.y - screenHeight / 2, origin.z);
+    tmp.pb.set(origin.x + screenWidth / 2, origin.y - screenHeight / 2, origin.z);
+    tmp.pc.set(origin.x - screenWidth / 2, origin.y + screenHeight / 2, origin.z);
 
     // 屏幕坐标系的三个轴：右 vr / 上 vu / 法线 vn
     tmp.vr.subVectors(tmp.pb, tmp.pa).normalize();
     tmp.vu.subVectors(tmp.pc, tmp.pa).normalize();
     tmp.vn.crossVectors(tmp.vr, tmp.vu).normalize();
+    return true;
+  }
 
-    // 观察点 eye：屏幕中心 + head 偏移
-    tmp.eye.copy(origin).add(state.head);
-
+  /**
+   * 以 eye（世界坐标）为观察点，把 off-axis frustum 与位姿写入 targetCamera。
+   * 依赖 updateScreenBasis() 已经算好的 tmp.pa/pb/pc/vr/vu/vn。
+   * 传入 outFrustum 时会把 l/r/t/b/near/far 写进去（复用对象，避免每帧分配）。
+   */
+  function applyOffAxisFrustum(targetCamera, eye, outFrustum = null) {
     // 观察点到屏幕三个点的向量
-    tmp.va.subVectors(tmp.pa, tmp.eye);
-    tmp.vb.subVectors(tmp.pb, tmp.eye);
-    tmp.vc.subVectors(tmp.pc, tmp.eye);
+    tmp.va.subVectors(tmp.pa, eye);
+    tmp.vb.subVectors(tmp.pb, eye);
+    tmp.vc.subVectors(tmp.pc, eye);
 
     // d：观察点到屏幕平面的“有符号距离”（投影到法线）
     const d = Math.max(0.01, -tmp.va.dot(tmp.vn));
-    const near = camera.near;
-    const far = camera.far;
+    const near = targetCamera.near;
+    const far = targetCamera.far;
 
     // 计算 near 平面上的左右上下边界（非对称）
     const l = (tmp.vr.dot(tmp.va) * near) / d;
@@ -253,96 +577,66 @@ export function createOffAxisController({
     const t = (tmp.vu.dot(tmp.vc) * near) / d;
 
     // 写入投影矩阵（off-axis frustum）
-    camera.projectionMatrix.makePerspective(l, r, t, b, near, far);
-    camera.projectionMatrixInverse.copy(camera.projectionMatrix).invert();
+    targetCamera.projectionMatrix.makePerspective(l, r, t, b, near, far);
+    targetCamera.projectionMatrixInverse.copy(targetCamera.projectionMatrix).invert();
+    if (outFrustum) Object.assign(outFrustum, { l, r, t, b, near, far });
 
     // 写入相机位姿：相机的 x/y/z 轴分别为 vr/vu/vn，位置为 eye
     tmp.basis.makeBasis(tmp.vr, tmp.vu, tmp.vn);
-    tmp.basis.setPosition(tmp.eye);
-    camera.matrixWorld.copy(tmp.basis);
-    camera.matrixWorldInverse.copy(tmp.basis).invert();
-    camera.position.copy(tmp.eye);
+    tmp.basis.setPosition(eye);
+    targetCamera.matrixWorld.copy(tmp.basis);
+    targetCamera.matrixWorldInverse.copy(tmp.basis).invert();
+    targetCamera.position.copy(eye);
   }
 
   /**
-   * 开启摄像头追踪：
-   * - 懒加载 MediaPipe tasks-vision（纯 ESM，CDN）
-   * - getUserMedia 获取摄像头视频流
-   * - FaceLandmarker 每帧推理
-   *
-   * 注意：摄像头只能在 https 或 http://localhost 下工作。
+   * 开启摄像头追踪（切换到 MediaPipe provider）。
+   * @returns {Promise<boolean>} 是否开启成功
    */
   async function startTracking() {
-    try {
-      setStatus("请求摄像头权限…");
-      webcamPane.style.display = "block";
-
-      if (!state.faceLandmarker) {
-        setStatus("加载追踪模型…");
-        const vision = await import(
-          "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/vision_bundle.mjs"
-        );
-        const fileset = await vision.FilesetResolver.forVisionTasks(
-          "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/wasm"
-        );
-        state.faceLandmarker = await vision.FaceLandmarker.createFromOptions(fileset, {
-          baseOptions: {
-            modelAssetPath:
-              "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task",
-            delegate: "GPU"
-          },
-          runningMode: "VIDEO",
-          numFaces: 1
-        });
-      }
-
-      state.stream = await navigator.mediaDevices.getUserMedia({
-        video: { facingMode: "user" },
-        audio: false
-      });
-      webcamVideo.srcObject = state.stream;
-      await webcamVideo.play();
-
-      state.tracking = true;
-      state.lastVideoTime = -1;
-      state.refEyeDist = null;
-      // 开启追踪时如果 off-axis 还没开，自动打开（否则相机不跟随）
-      if (!state.enabled) setEnabled(true);
-      setStatus("追踪中（单人）");
-    } catch (err) {
-      console.error(err);
-      stopTracking();
-      setStatus("开启追踪失败（检查权限/摄像头）");
-    }
+    return setProvider("mediapipe");
   }
 
   /**
-   * 关闭追踪并释放摄像头资源（stop tracks）。
+   * 关闭摄像头追踪，回到鼠标模拟。
    */
-  function stopTracking() {
-    state.tracking = false;
-    state.refEyeDist = null;
-    state.lastVideoTime = -1;
-    webcamPane.style.display = "none";
-    if (state.stream) {
-      for (const t of state.stream.getTracks()) t.stop();
-      state.stream = null;
-    }
-    webcamVideo.srcObject = null;
-    setStatus(state.enabled ? "提示：移动鼠标可模拟头动" : "");
+  async function stopTracking() {
+    await setProvider("mouse");
   }
 
+  // 默认用鼠标模拟头动
+  setProvider("mouse");
+
   return {
     get enabled() {
       return state.enabled;
     },
     get tracking() {
-      return state.tracking;
+      return state.provider?.id === "mediapipe";
+    },
+    get providerId() {
+      return state.provider?.id ?? null;
+    },
+    recorder,
+    get filterSettings() {
+      return headFilter.settings;
+    },
+    get latencyMs() {
+      return state.latencyMs;
     },
     setEnabled,
     setDefaultsFromModel,
-    handlePointerMove,
+    setCalibration,
+    getProvider,
+    setProvider,
+    setFilterSettings,
+    setFaceSelection,
+    getTrackingQuality,
+    getFaceBlendshapes,
+    getViewerPosition,
     update,
+    updateStereoCameras,
+    getWorldPerCm,
     startTracking,
     stopTracking
   };
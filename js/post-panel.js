@@ -0,0 +1,81 @@
+import { LUT_PRESETS, POST_PASSES, normalizePostSettings } from "./post-processing.js";
+
+/**
+ * 后处理面板：总开关、各 pass 开关和参数。
+ *
+ * 表单字段通过 name 属性对应 settings 字段；带 data-pass 的行只在对应 pass 打开时显示。
+ * 任何输入变化都会立即回调 onChange，持久化交给调用方。各 pass 的耗时显示在左下角 HUD。
+ *
+ * @param {object} args
+ * @param {HTMLElement} args.panelEl 面板根节点
+ * @param {import('./post-processing.js').DEFAULT_POST_SETTINGS} args.initial
+ * @param {(settings: import('./post-processing.js').DEFAULT_POST_SETTINGS) => void} args.onChange
+ */
+export function createPostPanel({ panelEl, initial, onChange }) {
+  const field = (name) => panelEl.querySelector(`[name="${name}"]`);
+  const checkboxFields = ["enabled", ...POST_PASSES.map((p) => p.id)];
+  const valueFields = [
+    "bloomStrength",
+    "bloomRadius",
+    "bloomThreshold",
+    "ssaoRadius",
+    "edgeStrength",
+    "edgeColor",
+    "lutPreset",
+    "lutIntensity"
+  ];
+
+  for (const p of LUT_PRESETS) {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = p.label;
+    field("lutPreset").appendChild(opt);
+  }
+
+  writeForm(normalizePostSettings(initial));
+
+  panelEl.addEventListener("input", () => {
+    syncVisibility();
+    onChange(readForm());
+  });
+
+  panelEl.addEventListener("click", (e) => {
+    const action = e.target?.dataset?.action;
+    if (action === "reset") {
+      writeForm(normalizePostSettings({ enabled: field("enabled").checked }));
+      onChange(readForm());
+    } else if (action === "close") {
+      setOpen(false);
+    }
+  });
+
+  function readForm() {
+    const raw = {};
+    for (const name of checkboxFields) raw[name] = field(name).checked;
+    for (const name of valueFields) raw[name] = field(name).value;
+    return normalizePostSettings(raw);
+  }
+
+  function writeForm(settings) {
+    for (const name of checkboxFields) field(name).checked = settings[name];
+    for (const name of valueFields) field(name).value = String(settings[name]);
+    syncVisibility();
+  }
+
+  function syncVisibility() {
+    for (const el of panelEl.querySelectorAll("[data-pass]")) {
+      el.hidden = !field(el.dataset.pass).checked;
+    }
+  }
+
+  function setOpen(open) {
+    panelEl.hidden = !open;
+  }
+
+  return {
+    get open() {
+      return !panelEl.hidden;
+    },
+    setOpen
+  };
+}
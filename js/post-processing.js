@@ -0,0 +1,487 @@
+import * as THREE from "three";
+import { EffectComposer } from "three/addons/postprocessing/EffectComposer.js";
+import { RenderPass } from "three/addons/postprocessing/RenderPass.js";
+import { SSAOPass } from "three/addons/postprocessing/SSAOPass.js";
+import { UnrealBloomPass } from "three/addons/postprocessing/UnrealBloomPass.js";
+import { OutputPass } from "three/addons/postprocessing/OutputPass.js";
+import { LUTPass } from "three/addons/postprocessing/LUTPass.js";
+import { SMAAPass } from "three/addons/postprocessing/SMAAPass.js";
+import { FullScreenQuad, Pass } from "three/addons/postprocessing/Pass.js";
+
+/**
+ * 可选的后处理管线（EffectComposer），顺序：
+ *   渲染 → SSAO → 边缘描线 → 泛光 → 输出（色调映射/sRGB）→ LUT 调色 → SMAA
+ *
+ * - LUT/SMAA 放在输出之后：LUT 按显示空间（sRGB）的颜色做，SMAA 也要求 sRGB 输入
+ * - SSAO 自己会渲染一遍场景（beauty），开着时跳过普通的渲染 pass，避免画两遍
+ * - 边缘描线用法线 + 深度找轮廓；SSAO 开着时直接复用它画好的法线/深度
+ *
+ * 离轴相机：off-axis 控制器直接写 camera.projectionMatrix（左右/上下不对称），
+ * three 自带的 SSAOPass 只在构造时拷贝一次投影矩阵/near/far，这里每帧同步；
+ * 边缘描线只用 near/far 把深度还原成视空间 z（非对称视锥的 z 映射和对称的一样）。
+ * 其它 pass 都是纯屏幕空间，不受投影影响。
+ *
+ * 立体模式（左右眼各渲染一次）不走后处理。
+ */
+export const POST_PASSES = [
+  { id: "ssao", label: "SSAO" },
+  { id: "edges", label: "描线" },
+  { id: "bloom", label: "泛光" },
+  { id: "lut", label: "LUT" },
+  { id: "smaa", label: "SMAA" }
+];
+
+export const LUT_PRESETS = [
+  { id: "warm", label: "暖色" },
+  { id: "cool", label: "冷色" },
+  { id: "film", label: "胶片" },
+  { id: "faded", label: "褪色" }
+];
+
+export const DEFAULT_POST_SETTINGS = {
+  enabled: false,
+  ssao: false,
+  edges: false,
+  bloom: true,
+  lut: false,
+  smaa: true,
+  // 泛光：强度/半径/亮度阈值（线性颜色，粒子和窗光通常超过它）
+  bloomStrength: 0.6,
+  bloomRadius: 0.4,
+  bloomThreshold: 0.9,
+  // SSAO 采样半径（相对模型尺寸）
+  ssaoRadius: 0.05,
+  // 描线：不透明度 + 颜色
+  edgeStrength: 0.8,
+  edgeColor: "#111827",
+  lutPreset: "warm",
+  lutIntensity: 1
+};
+
+/**
+ * 规整后处理设置：缺字段补默认值，非法数值回退默认值。
+ * @param {Partial<typeof DEFAULT_POST_SETTINGS>} raw
+ * @returns {typeof DEFAULT_POST_SETTINGS}
+ */
+export function normalizePostSettings(raw) {
+  const src = raw ?? {};
+  const bool = (key) => (src[key] === undefined ? DEFAULT_POST_SETTINGS[key] : Boolean(src[key]));
+  const num = (key, min, max) => {
+    const n = Number(src[key]);
+    return Number.isFinite(n) && n >= min && n <= max ? n : DEFAULT_POST_SETTINGS[key];
+  };
+  return {
+    enabled: bool("enabled"),
+    ssao: bool("ssao"),
+    edges: bool("edges"),
+    bloom: bool("bloom"),
+    lut: bool("lut"),
+    smaa: bool("smaa"),
+    bloomStrength: num("bloomStrength", 0, 3),
+    bloomRadius: num("bloomRadius", 0, 1),
+    bloomThreshold: num("bloomThreshold", 0, 10),
+    ssaoRadius: num("ssaoRadius", 0.001, 1),
+    edgeStrength: num("edgeStrength", 0, 1),
+    edgeColor: typeof src.edgeColor === "string" && src.edgeColor ? src.edgeColor : DEFAULT_POST_SETTINGS.edgeColor,
+    lutPreset: LUT_PRESETS.some((p) => p.id === src.lutPreset) ? src.lutPreset : DEFAULT_POST_SETTINGS.lutPreset,
+    lutIntensity: num("lutIntensity", 0, 1)
+  };
+}
+
+/**
+ * @param {object} args
+ * @param {import('three').WebGLRenderer} args.renderer
+ * @param {import('three').Scene} args.scene
+ * @param {import('three').PerspectiveCamera} args.camera 主相机（普通模式或 off-axis 写过矩阵的）
+ * @param {Partial<typeof DEFAULT_POST_SETTINGS>} [args.settings]
+ */
+export function createPostProcessing({ renderer, scene, camera, settings: initialSettings }) {
+  let settings = normalizePostSettings(initialSettings);
+  // sceneScale：当前模型尺寸（SSAO 半径/距离按它缩放）
+  let sceneScale = 1;
+  // 管线按需创建（没开过后处理就不占显存、不编译着色器）
+  let pipeline = null;
+  const timer = createPassTimer(renderer);
+  const size = new THREE.Vector2();
+
+  function ensurePipeline() {
+    if (pipeline) return pipeline;
+    renderer.getSize(size);
+    const composer = new EffectComposer(renderer);
+    composer.setPixelRatio(renderer.getPixelRatio());
+    composer.setSize(size.x, size.y);
+
+    const passes = {
+      render: new RenderPass(scene, camera),
+      ssao: new SSAOPass(scene, camera, size.x, size.y),
+      edges: createEdgePass({ scene, camera }),
+      bloom: new UnrealBloomPass(new THREE.Vector2(size.x, size.y), 0, 0, 0),
+      output: new OutputPass(),
+      lut: new LUTPass({}),
+      smaa: new SMAAPass(size.x * renderer.getPixelRatio(), size.y * renderer.getPixelRatio())
+    };
+    for (const [id, pass] of Object.entries(passes)) {
+      composer.addPass(pass);
+      timer.wrap(id, pass);
+    }
+    pipeline = { composer, passes, luts: new Map(), sizeKey: { width: size.x, height: size.y, pixelRatio: renderer.getPixelRatio() } };
+    applySettings();
+    return pipeline;
+  }
+
+  function applySettings() {
+    if (!pipeline) return;
+    const { passes } = pipeline;
+    passes.ssao.enabled = settings.ssao;
+    passes.render.enabled = !settings.ssao;
+    passes.edges.enabled = settings.edges;
+    passes.bloom.enabled = settings.bloom;
+    passes.lut.enabled = settings.lut;
+    passes.smaa.enabled = settings.smaa;
+
+    passes.bloom.strength = settings.bloomStrength;
+    passes.bloom.radius = settings.bloomRadius;
+    passes.bloom.threshold = settings.bloomThreshold;
+    passes.edges.uniforms.edgeStrength.value = settings.edgeStrength;
+    passes.edges.uniforms.edgeColor.value.set(settings.edgeColor);
+    passes.lut.lut = getLut(settings.lutPreset);
+    passes.lut.intensity = settings.lutIntensity;
+  }
+
+  function getLut(id) {
+    let lut = pipeline.luts.get(id);
+    if (!lut) {
+      lut = createLutTexture(id);
+      pipeline.luts.set(id, lut);
+    }
+    return lut;
+  }
+
+  /**
+   * 更新设置（面板调参时调用，开关 pass 即时生效）。
+   * @param {Partial<typeof DEFAULT_POST_SETTINGS>} next
+   */
+  function setSettings(next) {
+    settings = normalizePostSettings({ ...settings, ...next });
+    if (settings.enabled) ensurePipeline();
+    applySettings();
+  }
+
+  /**
+   * 模型切换/取景变化时调用：SSAO 的采样半径和遮挡距离按模型尺寸换算。
+   * @param {{maxDim: number}} bounds
+   */
+  function updateForModel({ maxDim }) {
+    if (Number.isFinite(maxDim) && maxDim > 0) sceneScale = maxDim;
+  }
+
+  /**
+   * 画布尺寸变化时调用（CSS 像素，和 renderer.setSize 一致）。
+   */
+  function setSize(width, height) {
+    if (!pipeline) return;
+    // resize() 每帧都会调，尺寸没变就不动（各 pass 的 setSize 会重设 uniform/目标）
+    const pixelRatio = renderer.getPixelRatio();
+    const { sizeKey } = pipeline;
+    if (sizeKey.width === width && sizeKey.height === height && sizeKey.pixelRatio === pixelRatio) return;
+    Object.assign(sizeKey, { width, height, pixelRatio });
+    pipeline.composer.setPixelRatio(pixelRatio);
+    pipeline.composer.setSize(width, height);
+  }
+
+  /**
+   * 渲染一帧（代替 renderer.render(scene, camera)）。
+   * @param {number} deltaSec
+   */
+  function render(deltaSec) {
+    const { composer, passes } = ensurePipeline();
+    timer.poll();
+    if (passes.ssao.enabled) syncSsaoCamera(passes.ssao);
+    // SSAO 开着时描线直接用它的法线/深度，不再单独画一遍
+    passes.edges.source = passes.ssao.enabled ? passes.ssao.normalRenderTarget : null;
+    composer.render(deltaSec);
+  }
+
+  // off-axis 每帧都在改投影矩阵，SSAOPass 自己不会跟着更新
+  function syncSsaoCamera(pass) {
+    const uniforms = pass.ssaoMaterial.uniforms;
+    uniforms.cameraNear.value = camera.near;
+    uniforms.cameraFar.value = camera.far;
+    uniforms.cameraProjectionMatrix.value.copy(camera.projectionMatrix);
+    uniforms.cameraInverseProjectionMatrix.value.copy(camera.projectionMatrixInverse);
+    // min/maxDistance 是归一化到 [near, far] 的深度差，要换算成“模型尺寸的几分之一”
+    const range = camera.far - camera.near;
+    pass.kernelRadius = sceneScale * settings.ssaoRadius;
+    pass.minDistance = (sceneScale * 0.0005) / range;
+    pass.maxDistance = (sceneScale * 0.1) / range;
+  }
+
+  /**
+   * 当前启用的各 pass 耗时（ms，平滑过）。gpu 为 false 时是 CPU 提交耗时（浏览器不支持 GPU 计时）。
+   * @returns {{gpu: boolean, passes: {id: string, label: string, ms: number|null}[]}}
+   */
+  function getPassTimings() {
+    if (!pipeline) return { gpu: timer.gpu, passes: [] };
+    const labels = { render: "渲染", output: "输出" };
+    for (const p of POST_PASSES) labels[p.id] = p.label;
+    const passes = Object.entries(pipeline.passes)
+      .filter(([, pass]) => pass.enabled)
+      .map(([id]) => ({ id, label: labels[id], ms: timer.get(id) }));
+    return { gpu: timer.gpu, passes };
+  }
+
+  return {
+    get settings() {
+      return settings;
+    },
+    // active：是否走后处理渲染
+    get active() {
+      return settings.enabled;
+    },
+    setSettings,
+    setSize,
+    updateForModel,
+    render,
+    getPassTimings
+  };
+}
+
+/**
+ * 边缘描线 pass：法线夹角大或深度（按距离归一化）跳变大的地方画线。
+ * 法线/深度默认自己画一遍（只画网格，粒子/线框不参与）；source 指向外部的法线+深度目标时直接用。
+ */
+function createEdgePass({ scene, camera }) {
+  const pass = new Pass();
+  const normalTarget = new THREE.WebGLRenderTarget(1, 1, {
+    minFilter: THREE.NearestFilter,
+    magFilter: THREE.NearestFilter,
+    type: THREE.HalfFloatType
+  });
+  normalTarget.depthTexture = new THREE.DepthTexture();
+  const normalMaterial = new THREE.MeshNormalMaterial();
+  const uniforms = {
+    tDiffuse: { value: null },
+    tNormal: { value: null },
+    tDepth: { value: null },
+    resolution: { value: new THREE.Vector2(1, 1) },
+    cameraNear: { value: 0.1 },
+    cameraFar: { value: 1000 },
+    edgeColor: { value: new THREE.Color() },
+    edgeStrength: { value: 1 }
+  };
+  const quad = new FullScreenQuad(
+    new THREE.ShaderMaterial({
+      uniforms,
+      vertexShader: `
+        varying vec2 vUv;
+        void main() {
+          vUv = uv;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: `
+        #include <packing>
+        uniform sampler2D tDiffuse;
+        uniform sampler2D tNormal;
+        uniform sampler2D tDepth;
+        uniform vec2 resolution;
+        uniform float cameraNear;
+        uniform float cameraFar;
+        uniform vec3 edgeColor;
+        uniform float edgeStrength;
+        varying vec2 vUv;
+
+        float viewZAt(vec2 uv) {
+          return perspectiveDepthToViewZ(texture2D(tDepth, uv).x, cameraNear, cameraFar);
+        }
+
+        // 和中心像素比：深度差（除以距离，远近一致）/ 法线夹角
+        float edgeAt(vec2 uv, vec3 normal, float viewZ) {
+          float depthEdge = abs(viewZAt(uv) - viewZ) / max(-viewZ, 1e-4);
+          float normalEdge = 1.0 - dot(normal, unpackRGBToNormal(texture2D(tNormal, uv).rgb));
+          return max(smoothstep(0.02, 0.06, depthEdge), smoothstep(0.3, 0.6, normalEdge));
+        }
+
+        void main() {
+          vec4 base = texture2D(tDiffuse, vUv);
+          vec2 px = 1.0 / resolution;
+          vec3 normal = unpackRGBToNormal(texture2D(tNormal, vUv).rgb);
+          float viewZ = viewZAt(vUv);
+          float edge = max(
+            max(edgeAt(vUv + vec2(px.x, 0.0), normal, viewZ), edgeAt(vUv - vec2(px.x, 0.0), normal, viewZ)),
+            max(edgeAt(vUv + vec2(0.0, px.y), normal, viewZ), edgeAt(vUv - vec2(0.0, px.y), normal, viewZ))
+          );
+          gl_FragColor = vec4(mix(base.rgb, edgeColor, edge * edgeStrength), base.a);
+        }
+      `
+    })
+  );
+  const clearColor = new THREE.Color();
+  const hidden = [];
+
+  pass.uniforms = uniforms;
+  pass.source = null;
+
+  pass.setSize = (width, height) => {
+    normalTarget.setSize(width, height);
+    uniforms.resolution.value.set(width, height);
+  };
+
+  pass.render = (renderer, writeBuffer, readBuffer) => {
+    const source = pass.source ?? renderNormals(renderer);
+    uniforms.tDiffuse.value = readBuffer.texture;
+    uniforms.tNormal.value = source.texture;
+    uniforms.tDepth.value = source.depthTexture;
+    uniforms.cameraNear.value = camera.near;
+    uniforms.cameraFar.value = camera.far;
+    renderer.setRenderTarget(pass.renderToScreen ? null : writeBuffer);
+    quad.render(renderer);
+  };
+
+  pass.dispose = () => {
+    normalTarget.dispose();
+    normalMaterial.dispose();
+    quad.material.dispose();
+    quad.dispose();
+  };
+
+  // 和 SSAOPass 一样：清成“朝向相机”的法线，粒子/线框先藏起来
+  function renderNormals(renderer) {
+    scene.traverseVisible((obj) => {
+      if (obj.isPoints || obj.isLine) hidden.push(obj);
+    });
+    for (const obj of hidden) obj.visible = false;
+    const previousOverride = scene.overrideMaterial;
+    const previousAlpha = renderer.getClearAlpha();
+    renderer.getClearColor(clearColor);
+    scene.overrideMaterial = normalMaterial;
+    renderer.setRenderTarget(normalTarget);
+    renderer.setClearColor(0x7777ff, 1);
+    renderer.clear();
+    renderer.render(scene, camera);
+    scene.overrideMaterial = previousOverride;
+    renderer.setClearColor(clearColor, previousAlpha);
+    for (const obj of hidden) obj.visible = true;
+    hidden.length = 0;
+    return normalTarget;
+  }
+
+  return pass;
+}
+
+/**
+ * 内置 LUT（16³ 的 3D 纹理，按 sRGB 颜色定义，接在输出 pass 后面用）。
+ */
+function createLutTexture(id) {
+  const lutSize = 16;
+  const data = new Uint8Array(lutSize * lutSize * lutSize * 4);
+  const c = new THREE.Vector3();
+  let i = 0;
+  for (let b = 0; b < lutSize; b++) {
+    for (let g = 0; g < lutSize; g++) {
+      for (let r = 0; r < lutSize; r++) {
+        c.set(r, g, b).divideScalar(lutSize - 1);
+        gradeColor(id, c);
+        data[i++] = Math.round(THREE.MathUtils.clamp(c.x, 0, 1) * 255);
+        data[i++] = Math.round(THREE.MathUtils.clamp(c.y, 0, 1) * 255);
+        data[i++] = Math.round(THREE.MathUtils.clamp(c.z, 0, 1) * 255);
+        data[i++] = 255;
+      }
+    }
+  }
+  const tex = new THREE.Data3DTexture(data, lutSize, lutSize, lutSize);
+  tex.minFilter = THREE.LinearFilter;
+  tex.magFilter = THREE.LinearFilter;
+  tex.wrapS = tex.wrapT = tex.wrapR = THREE.ClampToEdgeWrapping;
+  tex.unpackAlignment = 1;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+// 各预设的调色（输入输出都是 0~1 的 sRGB，x/y/z = r/g/b）
+function gradeColor(id, c) {
+  const lum = c.x * 0.2126 + c.y * 0.7152 + c.z * 0.0722;
+  if (id === "warm") {
+    c.set(c.x * 1.06 + 0.02, c.y * 1.01, c.z * 0.9);
+  } else if (id === "cool") {
+    c.set(c.x * 0.92, c.y * 0.99 + 0.01, c.z * 1.06 + 0.03);
+  } else if (id === "film") {
+    // S 曲线加对比，暗部偏青、亮部偏橙
+    const curve = (v) => THREE.MathUtils.lerp(v, THREE.MathUtils.smoothstep(v, 0, 1), 0.5);
+    c.set(curve(c.x), curve(c.y), curve(c.z));
+    c.add(new THREE.Vector3(-0.02, 0.01, 0.03).multiplyScalar(1 - lum));
+    c.add(new THREE.Vector3(0.04, 0.01, -0.03).multiplyScalar(lum));
+  } else if (id === "faded") {
+    // 抬黑位 + 降饱和
+    c.lerp(new THREE.Vector3(lum, lum, lum), 0.25);
+    c.multiplyScalar(0.85).addScalar(0.08);
+  }
+  return c;
+}
+
+/**
+ * 各 pass 耗时统计：支持 EXT_disjoint_timer_query_webgl2 时用 GPU 计时（结果晚几帧才拿到），
+ * 否则退回 CPU 提交耗时（只能看个大概）。数值做指数平滑，HUD 上不跳。
+ */
+function createPassTimer(renderer) {
+  const gl = renderer.getContext();
+  const ext = renderer.capabilities.isWebGL2 ? gl.getExtension("EXT_disjoint_timer_query_webgl2") : null;
+  // id → { ms, pending: WebGLQuery[] }
+  const entries = new Map();
+
+  function record(entry, ms) {
+    entry.ms = entry.ms === null ? ms : entry.ms * 0.9 + ms * 0.1;
+  }
+
+  /**
+   * 包一层 pass.render，计时后再调原来的。
+   */
+  function wrap(id, pass) {
+    const entry = { ms: null, pending: [] };
+    entries.set(id, entry);
+    const render = pass.render.bind(pass);
+    pass.render = (...args) => {
+      if (!ext) {
+        const start = performance.now();
+        render(...args);
+        record(entry, performance.now() - start);
+        return;
+      }
+      // 结果还没回来的查询太多时先不测（标签页切后台等情况）
+      if (entry.pending.length > 4) {
+        render(...args);
+        return;
+      }
+      const query = gl.createQuery();
+      gl.beginQuery(ext.TIME_ELAPSED_EXT, query);
+      render(...args);
+      gl.endQuery(ext.TIME_ELAPSED_EXT);
+      entry.pending.push(query);
+    };
+  }
+
+  /**
+   * 收取已经完成的 GPU 查询（每帧调用一次）。
+   */
+  function poll() {
+    if (!ext) return;
+    // disjoint：期间 GPU 计时不可信（比如降频），这批结果丢掉
+    const disjoint = gl.getParameter(ext.GPU_DISJOINT_EXT);
+    for (const entry of entries.values()) {
+      while (entry.pending.length) {
+        const query = entry.pending[0];
+        if (!gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)) break;
+        if (!disjoint) record(entry, gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6);
+        gl.deleteQuery(query);
+        entry.pending.shift();
+      }
+    }
+  }
+
+  return {
+    gpu: Boolean(ext),
+    wrap,
+    poll,
+    get: (id) => entries.get(id)?.ms ?? null
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * 本地设置存取（localStorage）。
+ *
+ * - 所有 key 统一加前缀，避免和同域下其他页面冲突
+ * - 读写失败（隐私模式/配额满/JSON 损坏）时静默回退到默认值，不影响主流程
+ */
+const STORAGE_PREFIX = "offaxis:";
+
+/**
+ * 读取一组设置，并与默认值做浅合并（新增字段时旧存档也能用）。
+ * @template T
+ * @param {string} key
+ * @param {T} defaults
+ * @returns {T}
+ */
+export function loadSettings(key, defaults) {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    if (!raw) return { ...defaults };
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") return { ...defaults };
+    return { ...defaults, ...parsed };
+  } catch (err) {
+    console.warn(`读取设置失败：${key}`, err);
+    return { ...defaults };
+  }
+}
+
+/**
+ * 保存一组设置（JSON 序列化）。
+ * @param {string} key
+ * @param {any} value
+ */
+export function saveSettings(key, value) {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`保存设置失败：${key}`, err);
+  }
+}
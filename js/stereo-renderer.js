@@ -0,0 +1,153 @@
+import * as THREE from "three";
+
+/**
+ * 立体输出模式（工具栏下拉菜单的数据源）。
+ * - anaglyph：红青眼镜（左眼红、右眼青）
+ * - side-by-side / top-bottom：3D 电视常用的半宽/半高格式（电视会把每一半拉伸回全屏）
+ * - interlaced：行交错，给偏振式（被动）3D 显示器用（偶数行左眼、奇数行右眼）
+ */
+export const STEREO_MODES = [
+  { id: "off", label: "单目" },
+  { id: "anaglyph", label: "红青" },
+  { id: "side-by-side", label: "左右" },
+  { id: "top-bottom", label: "上下" },
+  { id: "interlaced", label: "隔行" }
+];
+
+/**
+ * 立体渲染器：左右两台相机各渲染一次，再按模式输出到画布。
+ *
+ * 相机的投影/位姿由 off-axis 控制器写入（updateStereoCameras），这里只负责“怎么画到屏幕上”：
+ * - 左右/上下：直接用 viewport + scissor 把两眼画到画布的两半，不需要离屏
+ * - 红青/隔行：两眼先画到离屏 RenderTarget，再用全屏 shader 合成
+ *
+ * @param {object} args
+ * @param {import('three').WebGLRenderer} args.renderer
+ */
+export function createStereoRenderer({ renderer }) {
+  // 两眼相机：matrixAutoUpdate 关闭，矩阵完全由 off-axis 控制器写入
+  const leftCamera = new THREE.PerspectiveCamera();
+  const rightCamera = new THREE.PerspectiveCamera();
+  leftCamera.matrixAutoUpdate = false;
+  rightCamera.matrixAutoUpdate = false;
+
+  // 离屏目标按需创建（只有红青/隔行用得到）
+  let leftTarget = null;
+  let rightTarget = null;
+
+  // 全屏合成：一个覆盖 NDC 的三角面片 + 正交相机
+  const compositeMaterial = new THREE.ShaderMaterial({
+    depthTest: false,
+    depthWrite: false,
+    uniforms: {
+      leftMap: { value: null },
+      rightMap: { value: null },
+      mode: { value: 0 }
+    },
+    vertexShader: `
+      varying vec2 vUv;
+      void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform sampler2D leftMap;
+      uniform sampler2D rightMap;
+      uniform int mode;
+      varying vec2 vUv;
+      void main() {
+        vec4 l = texture2D(leftMap, vUv);
+        vec4 r = texture2D(rightMap, vUv);
+        if (mode == 0) {
+          // 红青：左眼取亮度进红通道（减轻“双色闪烁”），右眼保留绿/蓝
+          float lum = dot(l.rgb, vec3(0.299, 0.587, 0.114));
+          gl_FragColor = vec4(lum, r.g, r.b, 1.0);
+        } else {
+          // 隔行：按画布像素行的奇偶选择左右眼
+          bool evenRow = mod(floor(gl_FragCoord.y), 2.0) < 1.0;
+          gl_FragColor = evenRow ? l : r;
+        }
+        #include <colorspace_fragment>
+      }
+    `
+  });
+  const compositeScene = new THREE.Scene();
+  const compositeQuad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), compositeMaterial);
+  compositeQuad.frustumCulled = false;
+  compositeScene.add(compositeQuad);
+  const compositeCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+  const size = new THREE.Vector2();
+  const drawingSize = new THREE.Vector2();
+
+  /**
+   * 按当前模式渲染一帧。调用前需先让 off-axis 控制器更新 leftCamera/rightCamera。
+   * @param {import('three').Scene} scene
+   * @param {string} mode STEREO_MODES 里的 id（"off" 不应走到这里）
+   */
+  function render(scene, mode) {
+    renderer.getSize(size);
+    const width = size.x;
+    const height = size.y;
+
+    if (mode === "side-by-side" || mode === "top-bottom") {
+      const sideBySide = mode === "side-by-side";
+      const halfW = sideBySide ? width / 2 : width;
+      const halfH = sideBySide ? height : height / 2;
+      renderer.setScissorTest(true);
+      // 左眼：左半 / 上半（viewport 原点在左下角）
+      renderer.setViewport(0, sideBySide ? 0 : halfH, halfW, halfH);
+      renderer.setScissor(0, sideBySide ? 0 : halfH, halfW, halfH);
+      renderer.render(scene, leftCamera);
+      // 右眼：右半 / 下半
+      renderer.setViewport(sideBySide ? halfW : 0, 0, halfW, halfH);
+      renderer.setScissor(sideBySide ? halfW : 0, 0, halfW, halfH);
+      renderer.render(scene, rightCamera);
+      renderer.setScissorTest(false);
+      renderer.setViewport(0, 0, width, height);
+      return;
+    }
+
+    ensureTargets();
+    renderer.setRenderTarget(leftTarget);
+    renderer.render(scene, leftCamera);
+    renderer.setRenderTarget(rightTarget);
+    renderer.render(scene, rightCamera);
+    renderer.setRenderTarget(null);
+
+    compositeMaterial.uniforms.leftMap.value = leftTarget.texture;
+    compositeMaterial.uniforms.rightMap.value = rightTarget.texture;
+    compositeMaterial.uniforms.mode.value = mode === "anaglyph" ? 0 : 1;
+    renderer.render(compositeScene, compositeCamera);
+  }
+
+  /**
+   * 离屏目标与画布 drawing buffer 同尺寸（隔行模式需要逐像素对齐）。
+   */
+  function ensureTargets() {
+    renderer.getDrawingBufferSize(drawingSize);
+    if (!leftTarget) {
+      const options = { type: THREE.HalfFloatType, samples: 4 };
+      leftTarget = new THREE.WebGLRenderTarget(drawingSize.x, drawingSize.y, options);
+      rightTarget = new THREE.WebGLRenderTarget(drawingSize.x, drawingSize.y, options);
+      return;
+    }
+    if (leftTarget.width !== drawingSize.x || leftTarget.height !== drawingSize.y) {
+      leftTarget.setSize(drawingSize.x, drawingSize.y);
+      rightTarget.setSize(drawingSize.x, drawingSize.y);
+    }
+  }
+
+  /**
+   * 释放离屏目标（切回单目时调用，省显存）。
+   */
+  function releaseTargets() {
+    leftTarget?.dispose();
+    rightTarget?.dispose();
+    leftTarget = null;
+    rightTarget = null;
+  }
+
+  return { leftCamera, rightCamera, render, releaseTargets };
+}
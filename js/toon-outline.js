@@ -0,0 +1,208 @@
+import * as THREE from "three";
+
+/**
+ * 卡通描边：背面外扩（inverted hull），外扩在顶点着色器里沿法线方向、按屏幕像素算。
+ *
+ * - 粗细以像素为单位：把法线投到屏幕上，在裁剪空间里推 widthPx 个像素，远近/模型大小都一样粗
+ *   （off-axis 的非对称投影也适用，用的就是当前 projectionMatrix）
+ * - 蒙皮/morph：用 three 自带的 skinning/morphtarget 着色器片段，描边是同一副骨骼上的 SkinnedMesh，
+ *   morph 权重数组和原网格共用，动画/表情都跟着动
+ * - 多材质：每个子材质一个描边材质（按 geometry.groups 对应）。颜色/粗细可以按材质覆盖，
+ *   写在材质的 userData 上（glTF 的 material.extras 会被 GLTFLoader 放进 userData）：
+ *   - outlineColor："#rrggbb" 或 [r, g, b]（0~1）
+ *   - outlineWidth：粗细倍数（0 表示这个材质不描边）
+ *   - outlineWidthMap：Texture（脚本设置），R 通道 0~1 乘到粗细上
+ * - 顶点色：widthFromVertexColor 打开时，顶点色的 R 通道乘到粗细上（美术在 DCC 里刷描边粗细）
+ * - 透明裁切（alphaTest）的材质按原贴图的 alpha 裁掉描边，头发片等不会描出一圈方框
+ */
+export const DEFAULT_OUTLINE_SETTINGS = {
+  enabled: true,
+  // widthPx：描边粗细（CSS 像素）
+  widthPx: 2,
+  color: "#111827",
+  widthFromVertexColor: false
+};
+
+/**
+ * @param {Partial<typeof DEFAULT_OUTLINE_SETTINGS>} raw
+ * @returns {typeof DEFAULT_OUTLINE_SETTINGS}
+ */
+export function normalizeOutlineSettings(raw) {
+  const src = raw ?? {};
+  const widthPx = Number(src.widthPx);
+  return {
+    enabled: src.enabled === undefined ? DEFAULT_OUTLINE_SETTINGS.enabled : Boolean(src.enabled),
+    widthPx: Number.isFinite(widthPx) ? Math.min(Math.max(widthPx, 0), 20) : DEFAULT_OUTLINE_SETTINGS.widthPx,
+    color: typeof src.color === "string" && src.color ? src.color : DEFAULT_OUTLINE_SETTINGS.color,
+    widthFromVertexColor: Boolean(src.widthFromVertexColor)
+  };
+}
+
+const vertexShader = /* glsl */ `
+#include <common>
+#include <morphtarget_pars_vertex>
+#include <skinning_pars_vertex>
+#include <clipping_planes_pars_vertex>
+
+uniform float outlineWidth;
+uniform vec2 resolution;
+uniform mat3 mapTransform;
+#ifdef USE_OUTLINE_WIDTH_MAP
+  uniform sampler2D outlineWidthMap;
+#endif
+varying vec2 vMapUv;
+
+void main() {
+  vMapUv = (mapTransform * vec3(uv, 1.0)).xy;
+
+  #include <beginnormal_vertex>
+  #include <morphnormal_vertex>
+  #include <skinbase_vertex>
+  #include <skinnormal_vertex>
+  // 不用 defaultnormal_vertex：描边是 BackSide，它会按 FLIP_SIDED 把法线翻过来（变成往里缩）
+  vec3 viewNormal = normalize(normalMatrix * objectNormal);
+  #include <begin_vertex>
+  #include <morphtarget_vertex>
+  #include <skinning_vertex>
+  #include <project_vertex>
+  #include <clipping_planes_vertex>
+
+  float width = outlineWidth;
+  #ifdef USE_OUTLINE_VERTEX_COLOR
+    width *= color.r;
+  #endif
+  #ifdef USE_OUTLINE_WIDTH_MAP
+    width *= texture2D(outlineWidthMap, uv).r;
+  #endif
+
+  // 法线投到屏幕上，沿它推 width 个像素（乘 w 抵消透视除法，远近一样粗）
+  vec2 screenNormal = (projectionMatrix * vec4(viewNormal, 0.0)).xy * resolution;
+  if (dot(screenNormal, screenNormal) > 1e-12) {
+    gl_Position.xy += normalize(screenNormal) * width * 2.0 / resolution * gl_Position.w;
+  }
+}
+`;
+
+const fragmentShader = /* glsl */ `
+#include <clipping_planes_pars_fragment>
+
+uniform vec3 outlineColor;
+uniform float opacity;
+#ifdef USE_OUTLINE_ALPHA_TEST
+  uniform sampler2D alphaSource;
+  uniform float alphaCutoff;
+#endif
+varying vec2 vMapUv;
+
+void main() {
+  #include <clipping_planes_fragment>
+  #ifdef USE_OUTLINE_ALPHA_TEST
+    if (texture2D(alphaSource, vMapUv).a < alphaCutoff) discard;
+  #endif
+  gl_FragColor = vec4(outlineColor, opacity);
+  #include <colorspace_fragment>
+}
+`;
+
+/**
+ * 给网格建描边（不挂到场景上，由调用方 mesh.add）。
+ * @param {import('three').Mesh} mesh 原网格（普通网格或 SkinnedMesh）
+ * @param {{settings: typeof DEFAULT_OUTLINE_SETTINGS, resolution: {value: import('three').Vector2}, sourceMaterial: import('three').Material|import('three').Material[]}} options
+ *   resolution：画布尺寸（CSS 像素），所有描边共用同一个 uniform 对象；sourceMaterial：决定每段颜色/粗细的原材质
+ * @returns {import('three').Mesh}
+ */
+export function createToonOutline(mesh, { settings, resolution, sourceMaterial }) {
+  const materials = [].concat(sourceMaterial).map((source) => createOutlineMaterial(source, resolution));
+  const material = Array.isArray(sourceMaterial) ? materials : materials[0];
+
+  let outline;
+  if (mesh.isSkinnedMesh) {
+    outline = new THREE.SkinnedMesh(mesh.geometry, material);
+    outline.bindMode = mesh.bindMode;
+    outline.bind(mesh.skeleton, mesh.bindMatrix);
+  } else {
+    outline = new THREE.Mesh(mesh.geometry, material);
+  }
+  // 和原网格共用 morph 权重（同一个数组，表情/动画写原网格就够了）
+  if (mesh.morphTargetInfluences) {
+    outline.morphTargetInfluences = mesh.morphTargetInfluences;
+    outline.morphTargetDictionary = mesh.morphTargetDictionary;
+  }
+  // 名字和原网格区分开，免得动画轨道按名字绑到描边上
+  outline.name = `${mesh.name}__outline`;
+  outline.frustumCulled = false;
+  outline.castShadow = false;
+  outline.receiveShadow = false;
+  outline.userData._isOutline = true;
+  updateToonOutline(outline, settings);
+  return outline;
+}
+
+/**
+ * 更新描边的粗细/颜色（设置面板/风格预设切换时调用）。
+ * @param {import('three').Mesh} outline createToonOutline 的返回值
+ * @param {typeof DEFAULT_OUTLINE_SETTINGS} settings
+ */
+export function updateToonOutline(outline, settings) {
+  // 没有顶点色的网格忽略 widthFromVertexColor（否则读到的是 0，描边直接消失）
+  const useVertexColor = settings.widthFromVertexColor && Boolean(outline.geometry.attributes.color);
+  for (const material of [].concat(outline.material)) {
+    const source = material.userData.source;
+    material.uniforms.outlineWidth.value = settings.widthPx * widthFactor(source);
+    material.uniforms.outlineColor.value.copy(outlineColorOf(source, settings));
+    if (material.vertexColors !== useVertexColor) {
+      material.vertexColors = useVertexColor;
+      if (useVertexColor) material.defines.USE_OUTLINE_VERTEX_COLOR = "";
+      else delete material.defines.USE_OUTLINE_VERTEX_COLOR;
+      material.needsUpdate = true;
+    }
+    material.visible = widthFactor(source) > 0;
+  }
+}
+
+/**
+ * 释放描边材质（几何体是原网格的，不释放）。
+ * @param {import('three').Mesh} outline
+ */
+export function disposeToonOutline(outline) {
+  for (const material of [].concat(outline.material)) material.dispose();
+}
+
+// 描边材质的骨架；粗细/颜色/顶点色开关由 updateToonOutline 按设置填
+function createOutlineMaterial(source, resolution) {
+  const alphaSource = source?.alphaTest > 0 ? source.map ?? source.alphaMap ?? null : null;
+  if (alphaSource) alphaSource.updateMatrix();
+  const widthMap = source?.userData?.outlineWidthMap?.isTexture ? source.userData.outlineWidthMap : null;
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      outlineWidth: { value: 0 },
+      outlineColor: { value: new THREE.Color() },
+      opacity: { value: 1 },
+      resolution,
+      mapTransform: { value: alphaSource ? alphaSource.matrix.clone() : new THREE.Matrix3() },
+      alphaSource: { value: alphaSource },
+      alphaCutoff: { value: source?.alphaTest ?? 0 },
+      outlineWidthMap: { value: widthMap }
+    },
+    vertexShader,
+    fragmentShader,
+    side: THREE.BackSide,
+    clipping: true
+  });
+  if (alphaSource) material.defines.USE_OUTLINE_ALPHA_TEST = "";
+  if (widthMap) material.defines.USE_OUTLINE_WIDTH_MAP = "";
+  material.userData.source = source;
+  return material;
+}
+
+function widthFactor(source) {
+  const factor = Number(source?.userData?.outlineWidth);
+  return Number.isFinite(factor) && factor >= 0 ? factor : 1;
+}
+
+function outlineColorOf(source, settings) {
+  const custom = source?.userData?.outlineColor;
+  if (Array.isArray(custom) && custom.length >= 3) return new THREE.Color().setRGB(custom[0], custom[1], custom[2]);
+  if (typeof custom === "string") return new THREE.Color(custom);
+  return new THREE.Color(settings.color);
+}
@@ -0,0 +1,194 @@
+/**
+ * 多人脸时“谁是观察者”的选择策略。
+ *
+ * 展台前常有好几个人，只检测一张脸时追踪会在人与人之间乱跳。这里对每帧检测到的所有人脸
+ * 做跨帧关联（按上一帧位置就近匹配），再按策略决定由哪张脸驱动投影：
+ * - nearest：离摄像头最近（画面里眼距最大）的脸
+ * - centered：最靠近画面中心的脸
+ * - sticky：锁定第一个出现的人（取最近的那张），直到他离开超过 lostTimeoutSec 才换人
+ * - manual：在摄像头预览上点选；没点选/点选的人离开超时后，临时按 nearest 选
+ *
+ * nearest / centered 带一点迟滞：新候选要明显更好才切换，避免两个人距离相近时来回跳。
+ *
+ * 坐标约定：人脸位置 x/y 以“画面宽度”为单位（y 也除以宽度，保持横纵比例一致），
+ * 基于未镜像的原始视频帧。
+ */
+export const FACE_POLICIES = [
+  { id: "nearest", label: "最近的人" },
+  { id: "centered", label: "最居中的人" },
+  { id: "sticky", label: "锁定首个" },
+  { id: "manual", label: "点选" }
+];
+
+export const DEFAULT_FACE_SELECTION = {
+  policy: "nearest",
+  // sticky / manual：锁定的人消失多久（秒）后放弃锁定
+  lostTimeoutSec: 2
+};
+
+// 跨帧关联的最大移动距离（倍数 × 眼距）
+const MATCH_GATE = 2;
+// nearest：新候选眼距至少大这么多（比例）才切换
+const NEAREST_HYSTERESIS = 1.15;
+// centered：新候选离中心至少近这么多（画面宽度）才切换
+const CENTERED_HYSTERESIS = 0.05;
+
+/**
+ * @typedef {object} FaceCandidate
+ * @property {number} x 两眼中心（画面宽度为单位）
+ * @property {number} y
+ * @property {number} size 正对时的眼距（画面宽度为单位，越大越近）
+ * @property {number} offCenter 到画面中心的距离（画面宽度为单位）
+ * @property {{minX: number, minY: number, maxX: number, maxY: number}} box 人脸包围盒（同单位）
+ */
+
+/**
+ * 规整选择设置：缺字段补默认值，非法值回退默认值。
+ * @param {Partial<typeof DEFAULT_FACE_SELECTION>} raw
+ * @returns {typeof DEFAULT_FACE_SELECTION}
+ */
+export function normalizeFaceSelection(raw) {
+  const src = raw ?? {};
+  const timeout = Number(src.lostTimeoutSec);
+  return {
+    policy: FACE_POLICIES.some((p) => p.id === src.policy) ? src.policy : DEFAULT_FACE_SELECTION.policy,
+    lostTimeoutSec: Number.isFinite(timeout) && timeout >= 0 ? timeout : DEFAULT_FACE_SELECTION.lostTimeoutSec
+  };
+}
+
+/**
+ * @param {typeof DEFAULT_FACE_SELECTION} initialSettings
+ */
+export function createFaceSelector(initialSettings) {
+  let settings = normalizeFaceSelection(initialSettings);
+  // locked：当前驱动投影的人（上一次看到时的位置/大小）；null 表示还没选定
+  // manual 为 true 表示是点选出来的（manual 策略下只有点选的锁定才会“等人回来”）
+  let locked = null;
+  // pendingPick：还没处理的点选位置（下一帧检测结果出来时再匹配）
+  let pendingPick = null;
+
+  /**
+   * 从本帧检测到的人脸里选出观察者。
+   * @param {FaceCandidate[]} faces
+   * @param {number} nowMs
+   * @returns {{index: number, switched: boolean}} index 为 -1 表示本帧没有观察者（锁定的人暂时不见了）
+   */
+  function select(faces, nowMs) {
+    if (pendingPick) {
+      const picked = pickAt(faces, pendingPick);
+      pendingPick = null;
+      if (picked >= 0) return lockTo(faces[picked], picked, nowMs, true, !locked || matchLocked(faces) !== picked);
+    }
+
+    const matched = locked ? matchLocked(faces) : -1;
+    if (matched >= 0) {
+      if (settings.policy === "nearest" || settings.policy === "centered") {
+        const best = rank(faces);
+        if (best !== matched && clearlyBetter(faces[best], faces[matched])) {
+          return lockTo(faces[best], best, nowMs, false, true);
+        }
+      }
+      return lockTo(faces[matched], matched, nowMs, locked.manual, false);
+    }
+
+    // 锁定的人本帧没检测到：sticky / 点选的人在超时前一直等他回来
+    const waits = settings.policy === "sticky" || (settings.policy === "manual" && locked?.manual);
+    if (locked && waits && nowMs - locked.lastSeenMs < settings.lostTimeoutSec * 1000) {
+      return { index: -1, switched: false };
+    }
+
+    locked = null;
+    if (faces.length === 0) return { index: -1, switched: false };
+    const index = rank(faces);
+    return lockTo(faces[index], index, nowMs, false, true);
+  }
+
+  /**
+   * 点选观察者（manual 策略用）。坐标同 FaceCandidate（未镜像，画面宽度为单位）。
+   */
+  function pick(point) {
+    pendingPick = { x: point.x, y: point.y };
+  }
+
+  /**
+   * 清空锁定（开始/停止追踪时调用）。
+   */
+  function reset() {
+    locked = null;
+    pendingPick = null;
+  }
+
+  function setSettings(next) {
+    const prevPolicy = settings.policy;
+    settings = normalizeFaceSelection(next);
+    // 换策略后点选的锁定不再有意义
+    if (settings.policy !== prevPolicy && locked) locked.manual = false;
+  }
+
+  function lockTo(face, index, nowMs, manual, switched) {
+    locked = { x: face.x, y: face.y, size: face.size, lastSeenMs: nowMs, manual };
+    return { index, switched };
+  }
+
+  function matchLocked(faces) {
+    let best = -1;
+    let bestDist = Infinity;
+    faces.forEach((face, i) => {
+      const dist = Math.hypot(face.x - locked.x, face.y - locked.y);
+      if (dist <= MATCH_GATE * locked.size && dist < bestDist) {
+        best = i;
+        bestDist = dist;
+      }
+    });
+    return best;
+  }
+
+  function rank(faces) {
+    let best = 0;
+    for (let i = 1; i < faces.length; i++) {
+      const better =
+        settings.policy === "centered" ? faces[i].offCenter < faces[best].offCenter : faces[i].size > faces[best].size;
+      if (better) best = i;
+    }
+    return best;
+  }
+
+  function clearlyBetter(candidate, current) {
+    if (settings.policy === "centered") return candidate.offCenter + CENTERED_HYSTERESIS < current.offCenter;
+    return candidate.size > current.size * NEAREST_HYSTERESIS;
+  }
+
+  return {
+    get settings() {
+      return settings;
+    },
+    /** 当前锁定的人（上一次看到时的位置），供预览叠加层画“等待中”的标记 */
+    get locked() {
+      return locked;
+    },
+    select,
+    pick,
+    reset,
+    setSettings
+  };
+}
+
+/**
+ * 点选命中：优先取包含点选位置的人脸框，否则取中心最近且在关联距离内的那张。
+ */
+function pickAt(faces, point) {
+  const inside = faces.findIndex(
+    (f) => point.x >= f.box.minX && point.x <= f.box.maxX && point.y >= f.box.minY && point.y <= f.box.maxY
+  );
+  if (inside >= 0) return inside;
+  let best = -1;
+  let bestDist = Infinity;
+  faces.forEach((face, i) => {
+    const dist = Math.hypot(face.x - point.x, face.y - point.y);
+    if (dist <= MATCH_GATE * 1.5 * face.size && dist < bestDist) {
+      best = i;
+      bestDist = dist;
+    }
+  });
+  return best;
+}
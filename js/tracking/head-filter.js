@@ -0,0 +1,256 @@
+/**
+ * 头部位置滤波 + 延迟预测。
+ *
+ * 原来用固定 lerp 系数平滑：慢动作时抖、快动作时拖。这里换成可选的滤波器：
+ * - one-euro：One Euro Filter（速度越快截止频率越高 => 静止时稳、快速移动时跟手）
+ * - kalman：匀速模型卡尔曼滤波（每轴独立的 [位置, 速度] 状态）
+ * - none：直通（不平滑，只用差分估计速度供预测用）
+ *
+ * 预测：摄像头帧从采集到上屏有几十毫秒延迟，用滤波器估出的速度把位置外推 aheadMs，
+ * 视差就能跟上快速的头部运动。
+ *
+ * 丢失处理（保持 → 回中 → 重新检测时混合）的时长参数也放在这里，由 tracking-monitor.js 使用，
+ * 这样滤波面板可以一起调。
+ *
+ * 单位约定：输入/输出都是“归一化”的头部位置（控制器会除以屏幕高度再传进来），
+ * 这样参数与模型尺寸/标定比例无关。
+ */
+export const HEAD_FILTERS = [
+  { id: "one-euro", label: "One Euro" },
+  { id: "kalman", label: "卡尔曼" },
+  { id: "none", label: "直通" }
+];
+
+export const DEFAULT_FILTER_SETTINGS = {
+  type: "one-euro",
+  // One Euro：静止时的截止频率（Hz，越小越稳越拖）
+  minCutoff: 1.2,
+  // One Euro：速度系数（越大快速移动时越跟手）
+  beta: 3,
+  // One Euro：速度估计的截止频率（Hz）
+  dCutoff: 1,
+  // 卡尔曼：过程噪声（加速度方差，越大越相信“头会突然动”）
+  processNoise: 4,
+  // 卡尔曼：测量噪声（标准差，单位：屏幕高度）
+  measurementNoise: 0.02,
+  // 是否按延迟做前向预测
+  predict: true,
+  // 额外预测量（ms），叠加在实测延迟上（显示器/渲染管线延迟测不到，需要手调）
+  extraLatencyMs: 0,
+  // 预测上限（ms），防止丢帧时外推过头
+  maxPredictMs: 120,
+  // 追踪丢失后保持最后视角的时长（ms）
+  lostHoldMs: 800,
+  // 保持超时后缓动回中立视角的时长（ms）
+  lostReturnMs: 1500,
+  // 重新检测到后从当前视角混合到追踪结果的时长（ms）
+  reacquireMs: 400
+};
+
+/**
+ * 规整滤波设置：缺字段补默认值，非法数值回退默认值。
+ * @param {Partial<typeof DEFAULT_FILTER_SETTINGS>} raw
+ * @returns {typeof DEFAULT_FILTER_SETTINGS}
+ */
+export function normalizeFilterSettings(raw) {
+  const src = raw ?? {};
+  const num = (key, min) => {
+    const n = Number(src[key]);
+    return Number.isFinite(n) && n >= min ? n : DEFAULT_FILTER_SETTINGS[key];
+  };
+  return {
+    type: HEAD_FILTERS.some((f) => f.id === src.type) ? src.type : DEFAULT_FILTER_SETTINGS.type,
+    minCutoff: num("minCutoff", 0.001),
+    beta: num("beta", 0),
+    dCutoff: num("dCutoff", 0.001),
+    processNoise: num("processNoise", 0),
+    measurementNoise: num("measurementNoise", 0.0001),
+    predict: src.predict === undefined ? DEFAULT_FILTER_SETTINGS.predict : Boolean(src.predict),
+    extraLatencyMs: num("extraLatencyMs", 0),
+    maxPredictMs: num("maxPredictMs", 0),
+    lostHoldMs: num("lostHoldMs", 0),
+    lostReturnMs: num("lostReturnMs", 0),
+    reacquireMs: num("reacquireMs", 0)
+  };
+}
+
+/**
+ * 三轴头部滤波器。
+ * @param {typeof DEFAULT_FILTER_SETTINGS} initialSettings
+ */
+export function createHeadFilter(initialSettings) {
+  let settings = normalizeFilterSettings(initialSettings);
+  let axes = createAxes(settings.type);
+  let lastTimeSec = null;
+
+  /**
+   * 输入一次测量。
+   * @param {{x: number, y: number, z: number}} measurement 归一化位置
+   * @param {number} timestampMs 测量时间（同一来源内单调递增即可）
+   */
+  function update(measurement, timestampMs) {
+    const t = timestampMs / 1000;
+    const dt = lastTimeSec === null ? 0 : t - lastTimeSec;
+    // 时间没前进（重复帧）或倒退（回放循环）时只重置时间基准
+    if (lastTimeSec !== null && dt <= 0) {
+      if (dt < 0) reset(measurement);
+      return;
+    }
+    lastTimeSec = t;
+    axes[0].update(measurement.x, dt, settings);
+    axes[1].update(measurement.y, dt, settings);
+    axes[2].update(measurement.z, dt, settings);
+  }
+
+  /**
+   * 读取滤波结果，并按 aheadMs 外推。
+   * @param {{x: number, y: number, z: number}} out 写入目标（如 THREE.Vector3）
+   * @param {number} aheadMs 预测时长（settings.predict 为 false 时忽略）
+   */
+  function read(out, aheadMs = 0) {
+    const ahead = settings.predict ? Math.min(Math.max(aheadMs, 0), settings.maxPredictMs) / 1000 : 0;
+    out.x = axes[0].value + axes[0].velocity * ahead;
+    out.y = axes[1].value + axes[1].velocity * ahead;
+    out.z = axes[2].value + axes[2].velocity * ahead;
+    return out;
+  }
+
+  /**
+   * 把滤波器状态直接设为某个位置（速度清零），用于切换来源/模型时避免“滑过去”。
+   */
+  function reset(position) {
+    lastTimeSec = null;
+    axes[0].reset(position.x);
+    axes[1].reset(position.y);
+    axes[2].reset(position.z);
+  }
+
+  /**
+   * 更新参数（UI 实时调节）。切换滤波类型时保留当前位置。
+   */
+  function setSettings(next) {
+    const prevType = settings.type;
+    settings = normalizeFilterSettings(next);
+    if (settings.type !== prevType) {
+      const position = { x: axes[0].value, y: axes[1].value, z: axes[2].value };
+      axes = createAxes(settings.type);
+      reset(position);
+    }
+  }
+
+  return {
+    get settings() {
+      return settings;
+    },
+    update,
+    read,
+    reset,
+    setSettings
+  };
+}
+
+function createAxes(type) {
+  const factory = type === "kalman" ? createKalmanAxis : type === "none" ? createPassthroughAxis : createOneEuroAxis;
+  return [factory(), factory(), factory()];
+}
+
+/**
+ * One Euro Filter（Casiez et al. 2012）单轴实现。
+ */
+function createOneEuroAxis() {
+  const axis = {
+    value: 0,
+    velocity: 0,
+    initialized: false,
+    update(x, dt, settings) {
+      if (!axis.initialized || dt <= 0) {
+        axis.reset(x);
+        return;
+      }
+      const dx = (x - axis.value) / dt;
+      axis.velocity += smoothingAlpha(settings.dCutoff, dt) * (dx - axis.velocity);
+      const cutoff = settings.minCutoff + settings.beta * Math.abs(axis.velocity);
+      axis.value += smoothingAlpha(cutoff, dt) * (x - axis.value);
+    },
+    reset(x) {
+      axis.value = x;
+      axis.velocity = 0;
+      axis.initialized = true;
+    }
+  };
+  return axis;
+}
+
+function smoothingAlpha(cutoffHz, dt) {
+  const tau = 1 / (2 * Math.PI * cutoffHz);
+  return 1 / (1 + tau / dt);
+}
+
+/**
+ * 匀速模型卡尔曼滤波单轴实现：状态 [p, v]，测量只有 p。
+ * 过程噪声按“白噪声加速度”离散化：Q = q * [dt³/3, dt²/2; dt²/2, dt]。
+ */
+function createKalmanAxis() {
+  // 协方差矩阵 P = [p00, p01; p01, p11]
+  let p00 = 1;
+  let p01 = 0;
+  let p11 = 1;
+  const axis = {
+    value: 0,
+    velocity: 0,
+    initialized: false,
+    update(z, dt, settings) {
+      if (!axis.initialized || dt <= 0) {
+        axis.reset(z);
+        return;
+      }
+      const q = settings.processNoise;
+      const r = settings.measurementNoise * settings.measurementNoise;
+
+      // 预测：x = F x，P = F P Fᵀ + Q
+      axis.value += axis.velocity * dt;
+      const n00 = p00 + 2 * dt * p01 + dt * dt * p11 + (q * dt * dt * dt) / 3;
+      const n01 = p01 + dt * p11 + (q * dt * dt) / 2;
+      const n11 = p11 + q * dt;
+
+      // 更新：K = P Hᵀ / (H P Hᵀ + R)
+      const s = n00 + r;
+      const k0 = n00 / s;
+      const k1 = n01 / s;
+      const innovation = z - axis.value;
+      axis.value += k0 * innovation;
+      axis.velocity += k1 * innovation;
+      p00 = (1 - k0) * n00;
+      p01 = (1 - k0) * n01;
+      p11 = n11 - k1 * n01;
+    },
+    reset(z) {
+      axis.value = z;
+      axis.velocity = 0;
+      axis.initialized = true;
+      p00 = 1;
+      p01 = 0;
+      p11 = 1;
+    }
+  };
+  return axis;
+}
+
+/**
+ * 直通：输出即测量值；速度用相邻两次测量的差分估计（仅供预测）。
+ */
+function createPassthroughAxis() {
+  const axis = {
+    value: 0,
+    velocity: 0,
+    update(x, dt) {
+      axis.velocity = dt > 0 ? (x - axis.value) / dt : 0;
+      axis.value = x;
+    },
+    reset(x) {
+      axis.value = x;
+      axis.velocity = 0;
+    }
+  };
+  return axis;
+}
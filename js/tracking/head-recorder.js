@@ -0,0 +1,171 @@
+// 录制上限（帧）：按 60fps 约 5 分钟；带完整 landmarks 时内存占用约 100MB，超过自动停止
+const MAX_FRAMES = 18000;
+
+/**
+ * 头动录制器：逐帧记录追踪管线的各个阶段，用于调平滑参数、给 updateOffAxisCamera 做回归样本。
+ *
+ * 每帧记录：
+ * - sample：provider 本帧的原始采样（没有新数据时为 null）
+ * - landmarks：MediaPipe 原始关键点（扁平 Float32Array：x0,y0,z0,x1,...；仅摄像头来源且本帧有新数据时）
+ * - headTarget：采样换算后的目标头部位置（世界坐标，相对屏幕中心）
+ * - head：平滑后的头部位置
+ * - frustum：本帧写入投影矩阵的 l/r/t/b/near/far
+ *
+ * 导出的 JSON 可以直接作为回放轨迹（replay-provider 读取每帧的 sample）。
+ */
+export function createHeadRecorder() {
+  let frames = [];
+  let recording = false;
+  let startMs = 0;
+
+  function start() {
+    frames = [];
+    recording = true;
+    startMs = performance.now();
+  }
+
+  function stop() {
+    recording = false;
+  }
+
+  /**
+   * 记录一帧（由 off-axis 控制器在 update() 末尾调用）。
+   * @param {object} frame
+   * @param {number} frame.nowMs
+   * @param {import('./providers.js').HeadSample|null} frame.sample
+   * @param {import('three').Vector3} frame.headTarget
+   * @param {import('three').Vector3} frame.head
+   * @param {{l: number, r: number, t: number, b: number, near: number, far: number}|null} frame.frustum
+   */
+  function record({ nowMs, sample, headTarget, head, frustum }) {
+    if (!recording) return;
+    if (frames.length >= MAX_FRAMES) {
+      recording = false;
+      return;
+    }
+
+    const landmarks = sample?.raw?.landmarks;
+    frames.push({
+      t: nowMs - startMs,
+      sample: sample ? stripRaw(sample) : null,
+      landmarks: landmarks ? flattenLandmarks(landmarks) : null,
+      headTarget: headTarget.toArray(),
+      head: head.toArray(),
+      frustum: frustum ? { ...frustum } : null
+    });
+  }
+
+  /**
+   * 导出 JSON（回放兼容）。landmarks 转成普通数组并保留 5 位小数，控制文件体积。
+   */
+  function exportJSON() {
+    const out = {
+      version: 1,
+      recordedAt: new Date().toISOString(),
+      frames: frames.map((f) => ({
+        t: round(f.t, 2),
+        sample: f.sample,
+        headTarget: f.headTarget.map((v) => round(v, 5)),
+        head: f.head.map((v) => round(v, 5)),
+        frustum: f.frustum && mapValues(f.frustum, (v) => round(v, 6)),
+        ...(f.landmarks ? { landmarks: Array.from(f.landmarks, (v) => round(v, 5)) } : {})
+      }))
+    };
+    return JSON.stringify(out);
+  }
+
+  /**
+   * 导出 CSV（一帧一行，方便直接丢进表格/pandas）。
+   * landmarks 太宽不全放，只放两眼（33/263）的原始坐标。
+   */
+  function exportCSV() {
+    const header = [
+      "t",
+      "sample_space",
+      "sample_x",
+      "sample_y",
+      "sample_z",
+      "confidence",
+      "distance_cm",
+      "target_x",
+      "target_y",
+      "target_z",
+      "head_x",
+      "head_y",
+      "head_z",
+      "frustum_l",
+      "frustum_r",
+      "frustum_t",
+      "frustum_b",
+      "near",
+      "far",
+      "left_eye_x",
+      "left_eye_y",
+      "right_eye_x",
+      "right_eye_y"
+    ];
+    const rows = frames.map((f) => {
+      const s = f.sample;
+      const fr = f.frustum;
+      const lm = f.landmarks;
+      const eye = (index, axis) => (lm && lm.length > index * 3 + axis ? round(lm[index * 3 + axis], 5) : "");
+      return [
+        round(f.t, 2),
+        s?.space ?? "",
+        s ? round(s.x, 5) : "",
+        s ? round(s.y, 5) : "",
+        s ? round(s.z, 5) : "",
+        s ? s.confidence : "",
+        Number.isFinite(s?.distanceCm) ? round(s.distanceCm, 2) : "",
+        ...f.headTarget.map((v) => round(v, 5)),
+        ...f.head.map((v) => round(v, 5)),
+        ...(fr ? [fr.l, fr.r, fr.t, fr.b, fr.near, fr.far].map((v) => round(v, 6)) : ["", "", "", "", "", ""]),
+        eye(33, 0),
+        eye(33, 1),
+        eye(263, 0),
+        eye(263, 1)
+      ].join(",");
+    });
+    return [header.join(","), ...rows].join("\n") + "\n";
+  }
+
+  return {
+    get recording() {
+      return recording;
+    },
+    get frameCount() {
+      return frames.length;
+    },
+    start,
+    stop,
+    record,
+    exportJSON,
+    exportCSV
+  };
+}
+
+function stripRaw(sample) {
+  const { raw, ...rest } = sample;
+  return rest;
+}
+
+function flattenLandmarks(landmarks) {
+  const out = new Float32Array(landmarks.length * 3);
+  for (let i = 0; i < landmarks.length; i++) {
+    out[i * 3 + 0] = landmarks[i].x;
+    out[i * 3 + 1] = landmarks[i].y;
+    out[i * 3 + 2] = landmarks[i].z ?? 0;
+  }
+  return out;
+}
+
+function mapValues(obj, fn) {
+  const out = {};
+  for (const key of Object.keys(obj)) out[key] = fn(obj[key]);
+  return out;
+}
+
+function round(value, digits) {
+  const k = 10 ** digits;
+  return Math.round(value * k) / k;
+}
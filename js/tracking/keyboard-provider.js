@@ -0,0 +1,124 @@
+// 移动速度：每秒移动多少“屏幕宽/高”，深度每秒变化多少倍视距
+const MOVE_SPEED = 0.6;
+const DEPTH_SPEED = 0.6;
+// 头部可移动范围（屏幕空间），避免飞出屏幕太远
+const RANGE_XY = 0.75;
+const RANGE_Z = [0.5, 2];
+// 手柄摇杆死区
+const STICK_DEADZONE = 0.12;
+
+/**
+ * 键盘/手柄模拟头动：
+ * - 键盘：方向键 / WASD 平移，Q/E（或 PageUp/PageDown）前后，R 回到中心
+ * - 手柄（标准布局）：左摇杆平移，右摇杆上下控制前后，A 键回到中心
+ *
+ * 按住时按速度积分，松开保持当前位置（方便“定格”某个视角检查）。
+ *
+ * @returns {import('./providers.js').HeadTrackingProvider}
+ */
+export function createKeyboardProvider() {
+  const pressed = new Set();
+  const pose = { x: 0, y: 0, z: 1 };
+  let lastPollMs = null;
+  // 回中等“跳变”需要在下一次 poll 时输出一次
+  let dirty = true;
+
+  function handleKeyDown(e) {
+    // 输入框里打字时不抢键
+    if (e.target?.closest?.("input, select, textarea")) return;
+    if (e.code === "KeyR") {
+      recenter();
+      return;
+    }
+    pressed.add(e.code);
+  }
+
+  function handleKeyUp(e) {
+    pressed.delete(e.code);
+  }
+
+  function handleBlur() {
+    pressed.clear();
+  }
+
+  function recenter() {
+    pose.x = 0;
+    pose.y = 0;
+    pose.z = 1;
+    dirty = true;
+  }
+
+  async function start() {
+    pressed.clear();
+    lastPollMs = null;
+    recenter();
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("blur", handleBlur);
+  }
+
+  function stop() {
+    window.removeEventListener("keydown", handleKeyDown);
+    window.removeEventListener("keyup", handleKeyUp);
+    window.removeEventListener("blur", handleBlur);
+    pressed.clear();
+  }
+
+  function poll(nowMs) {
+    const dt = lastPollMs === null ? 0 : Math.min((nowMs - lastPollMs) / 1000, 0.1);
+    lastPollMs = nowMs;
+
+    const axis = (neg, pos) => (pos.some((c) => pressed.has(c)) ? 1 : 0) - (neg.some((c) => pressed.has(c)) ? 1 : 0);
+    let vx = axis(["ArrowLeft", "KeyA"], ["ArrowRight", "KeyD"]);
+    let vy = axis(["ArrowDown", "KeyS"], ["ArrowUp", "KeyW"]);
+    let vz = axis(["KeyQ", "PageUp"], ["KeyE", "PageDown"]);
+
+    const pad = readGamepad();
+    if (pad) {
+      if (pad.recenter) recenter();
+      vx += pad.x;
+      vy += pad.y;
+      vz += pad.z;
+    }
+
+    if (vx === 0 && vy === 0 && vz === 0 && !dirty) return null;
+    dirty = false;
+
+    pose.x = clamp(pose.x + vx * MOVE_SPEED * dt, -RANGE_XY, RANGE_XY);
+    pose.y = clamp(pose.y + vy * MOVE_SPEED * dt, -RANGE_XY, RANGE_XY);
+    pose.z = clamp(pose.z + vz * DEPTH_SPEED * dt, RANGE_Z[0], RANGE_Z[1]);
+
+    return { space: "screen", x: pose.x, y: pose.y, z: pose.z, confidence: 1, timestamp: nowMs };
+  }
+
+  /**
+   * 读取第一个已连接手柄（标准布局）：左摇杆 axes[0/1]，右摇杆 axes[3]，A 键 buttons[0]。
+   */
+  function readGamepad() {
+    const pads = navigator.getGamepads?.() ?? [];
+    const pad = Array.from(pads).find((p) => p?.connected);
+    if (!pad) return null;
+    const dead = (v) => (Math.abs(v ?? 0) < STICK_DEADZONE ? 0 : v);
+    return {
+      x: dead(pad.axes[0]),
+      // 摇杆向上是负值
+      y: -dead(pad.axes[1]),
+      z: dead(pad.axes[3]),
+      recenter: Boolean(pad.buttons[0]?.pressed)
+    };
+  }
+
+  return {
+    id: "keyboard",
+    label: "键盘/手柄",
+    continuous: false,
+    hint: "提示：方向键/WASD 平移，Q/E 前后，R 回中（也支持手柄摇杆）",
+    start,
+    stop,
+    poll
+  };
+}
+
+function clamp(v, min, max) {
+  return Math.min(max, Math.max(min, v));
+}
@@ -0,0 +1,96 @@
+/**
+ * MediaPipe 资源位置（tasks-vision 脚本 + WASM + 人脸模型）与推理后端配置。
+ *
+ * 默认从 CDN 加载（jsDelivr + storage.googleapis.com）。展厅机器常常没有外网，
+ * 这时把资源放到站点自己的目录里，用 baseUrl 指过去即可。目录结构（版本需与 VISION_VERSION 一致）：
+ *
+ *   <baseUrl>/vision_bundle.mjs                    ← npm 包 @mediapipe/tasks-vision 的同名文件
+ *   <baseUrl>/wasm/vision_wasm_internal.js         ← npm 包 wasm/ 目录（整个拷过来，含 nosimd 版本）
+ *   <baseUrl>/wasm/vision_wasm_internal.wasm
+ *   <baseUrl>/face_landmarker.task                 ← 人脸模型（float16）
+ *
+ * 配置方式：URL 参数 ?mediapipe=./vendor/mediapipe/（?mediapipe=cdn 恢复默认），
+ * ?delegate=auto|gpu|cpu。URL 参数会被保存下来，之后不带参数打开也沿用。
+ */
+export const VISION_VERSION = "0.10.14";
+
+const CDN_BASE = `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${VISION_VERSION}/`;
+const CDN_MODEL =
+  "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task";
+
+/**
+ * 推理后端：
+ * - auto：先试 GPU（WebGL），初始化失败自动退回 CPU
+ * - gpu / cpu：只用指定后端
+ */
+export const MEDIAPIPE_DELEGATES = ["auto", "gpu", "cpu"];
+
+export const DEFAULT_MEDIAPIPE_ASSETS = {
+  // 资源目录；空字符串表示用 CDN
+  baseUrl: "",
+  delegate: "auto"
+};
+
+/**
+ * 规整资源配置：缺字段补默认值，非法值回退默认值。
+ * @param {Partial<typeof DEFAULT_MEDIAPIPE_ASSETS>} raw
+ * @returns {typeof DEFAULT_MEDIAPIPE_ASSETS}
+ */
+export function normalizeMediaPipeAssets(raw) {
+  const src = raw ?? {};
+  const baseUrl = typeof src.baseUrl === "string" ? src.baseUrl.trim() : "";
+  return {
+    baseUrl: baseUrl === "cdn" ? "" : baseUrl,
+    delegate: MEDIAPIPE_DELEGATES.includes(src.delegate) ? src.delegate : DEFAULT_MEDIAPIPE_ASSETS.delegate
+  };
+}
+
+/**
+ * 算出各资源的绝对地址（相对路径按当前页面解析，动态 import 需要绝对地址）。
+ * @param {typeof DEFAULT_MEDIAPIPE_ASSETS} assets
+ * @returns {{local: boolean, bundleUrl: string, wasmUrl: string, modelUrl: string}}
+ */
+export function resolveMediaPipeAssets(assets) {
+  if (!assets.baseUrl) {
+    return { local: false, bundleUrl: `${CDN_BASE}vision_bundle.mjs`, wasmUrl: `${CDN_BASE}wasm`, modelUrl: CDN_MODEL };
+  }
+  const base = new URL(assets.baseUrl.endsWith("/") ? assets.baseUrl : `${assets.baseUrl}/`, window.location.href);
+  return {
+    local: true,
+    bundleUrl: new URL("vision_bundle.mjs", base).href,
+    wasmUrl: new URL("wasm", base).href,
+    modelUrl: new URL("face_landmarker.task", base).href
+  };
+}
+
+/**
+ * 预检资源是否都能取到；缺文件时抛出列出具体文件的错误（比 import/WASM 的报错好懂得多）。
+ * @param {ReturnType<typeof resolveMediaPipeAssets>} urls
+ */
+export async function checkMediaPipeAssets(urls) {
+  const files = [
+    urls.bundleUrl,
+    `${urls.wasmUrl}/vision_wasm_internal.js`,
+    `${urls.wasmUrl}/vision_wasm_internal.wasm`,
+    urls.modelUrl
+  ];
+  const missing = [];
+  for (const url of files) {
+    try {
+      const res = await fetch(url, { method: "HEAD", cache: "no-store" });
+      if (!res.ok) missing.push(`${fileName(url)}（HTTP ${res.status}）`);
+    } catch {
+      missing.push(`${fileName(url)}（无法访问）`);
+    }
+  }
+  if (missing.length === 0) return;
+  throw new Error(
+    urls.local
+      ? `缺少 MediaPipe 本地资源：${missing.join("、")}，请检查 ?mediapipe= 指向的目录`
+      : `无法从 CDN 加载 MediaPipe：${missing.join("、")}；离线环境请用 ?mediapipe= 指向本地资源目录`
+  );
+}
+
+function fileName(url) {
+  return url.slice(url.lastIndexOf("/") + 1);
+}
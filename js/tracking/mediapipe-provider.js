@@ -0,0 +1,465 @@
+import { createFaceSelector } from "./face-selector.js";
+import {
+  VISION_VERSION,
+  checkMediaPipeAssets,
+  normalizeMediaPipeAssets,
+  resolveMediaPipeAssets
+} from "./mediapipe-assets.js";
+
+// 同时检测的最多人脸数（多人时由 face-selector 选出观察者）
+const MAX_FACES = 4;
+// 成人虹膜直径（cm），个体差异约 ±0.5mm
+const IRIS_DIAMETER_CM = 1.17;
+// 外眼角间距 / 瞳距：成人外眼角间距约 9cm、瞳距约 6.3cm。没有虹膜点时眼距量的是外眼角，
+// 按这个比例把观察者瞳距换算成外眼角间距再测距
+const OUTER_EYE_SPAN_PER_IPD = 1.43;
+// 绝对距离的合理范围（cm），超出视为误检
+const DISTANCE_RANGE_CM = [20, 300];
+
+// FaceLandmarker（478 点模型）关键点索引
+const LANDMARK = {
+  // 左右眼外眼角（没有虹膜点时用）
+  leftEyeOuter: 33,
+  rightEyeOuter: 263,
+  // 虹膜中心 + 四个边缘点（顺序：右/上/左/下）
+  leftIrisCenter: 468,
+  leftIrisRing: [469, 470, 471, 472],
+  rightIrisCenter: 473,
+  rightIrisRing: [474, 475, 476, 477]
+};
+
+/**
+ * 摄像头追踪：用 MediaPipe FaceLandmarker 得到眼部关键点，估计头部位置。
+ *
+ * 说明：FaceLandmarker 的 landmarks 是归一化坐标（0~1）。
+ * - 用两眼中心点映射到画面中心的 x/y 偏移（camera 空间，换算到屏幕由控制器负责）
+ * - 深度按标定里的 depthMethod 估计（见 calibration.js DEPTH_METHODS）：
+ *   - iris / ipd：已知真实尺寸（虹膜直径 / 瞳距）+ 摄像头视场角 => 针孔模型求绝对距离（cm）
+ *   - relative：以第一次检测到的眼距为参考的相对深度（旧算法）
+ * - 头部偏转（yaw）会让画面里的眼距变短、被误读成“后退”：这里用面部姿态矩阵
+ *   （没有时退回 landmark 的 z）求出双眼连线的透视缩短系数，把眼距还原回正对时的长度
+ *
+ * - 同时检测多张脸，按 face-selector 的策略选出驱动投影的观察者，并在预览叠加层上标出来
+ * - 观察者的表情系数（blendshapes）放在 sample.raw.blendshapes 里，供角色表情跟随使用
+ *
+ * 注意：摄像头只能在 https 或 http://localhost 下工作。
+ *
+ * @param {object} deps
+ * @param {HTMLElement} deps.webcamPane
+ * @param {HTMLVideoElement} deps.webcamVideo
+ * @param {HTMLCanvasElement} [deps.webcamOverlay] 预览上的人脸标记叠加层（也接收点选）
+ * @param {(text: string) => void} deps.setStatus
+ * @param {() => import('../calibration.js').DEFAULT_CALIBRATION} deps.getCalibration
+ * @param {import('./face-selector.js').DEFAULT_FACE_SELECTION} [deps.faceSelection]
+ * @param {import('./mediapipe-assets.js').DEFAULT_MEDIAPIPE_ASSETS} [deps.mediapipeAssets] 资源目录 + 推理后端
+ * @returns {import('./providers.js').HeadTrackingProvider & {resetReference: () => void, setFaceSelection: (settings: object) => void}}
+ */
+export function createMediaPipeProvider({
+  webcamPane,
+  webcamVideo,
+  webcamOverlay,
+  setStatus,
+  getCalibration,
+  faceSelection,
+  mediapipeAssets
+}) {
+  // 右下角预览 video 做了 CSS scaleX(-1) 镜像；MediaPipe 输出坐标基于“未镜像”的原始视频帧。
+  // 为了让“头往左 -> 视角往右（看到人物左侧）”符合直觉，这里需要把 tracking 的 X 方向翻转。
+  const mirroredWebcamPreview = true;
+
+  const state = {
+    // stream：getUserMedia 返回的视频流
+    stream: null,
+    // faceLandmarker：MediaPipe 实例（懒加载，stop 后保留以便下次快速启动）
+    faceLandmarker: null,
+    // delegate：实际使用的推理后端（"GPU" / "CPU"）
+    delegate: null,
+    // lastVideoTime：避免对同一帧视频重复推理
+    lastVideoTime: -1,
+    // refEyeDist：参考眼距（第一次检测到的眼距），用来把 eyeDist 变化映射为深度比例
+    refEyeDist: null,
+    // frameCapturedAt：当前视频帧的采集时刻（requestVideoFrameCallback 提供；不支持时为 null）
+    frameCapturedAt: null,
+    frameCallbackId: null
+  };
+
+  // 多人脸时选观察者（最近/最居中/锁定/点选）
+  const selector = createFaceSelector(faceSelection);
+  webcamOverlay?.addEventListener("click", onOverlayClick);
+  setFaceSelection(selector.settings);
+
+  /**
+   * 开启摄像头追踪：
+   * - 懒加载 MediaPipe tasks-vision（纯 ESM，CDN 或本地目录，见 mediapipe-assets.js）
+   * - getUserMedia 获取摄像头视频流
+   *
+   * 资源缺失和摄像头失败分别给出不同的错误信息（由控制器显示在状态栏）。
+   */
+  async function start() {
+    if (!state.faceLandmarker) state.faceLandmarker = await loadFaceLandmarker();
+
+    try {
+      setStatus("请求摄像头权限…");
+      webcamPane.style.display = "block";
+      state.stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: "user" },
+        audio: false
+      });
+      webcamVideo.srcObject = state.stream;
+      await webcamVideo.play();
+
+      state.lastVideoTime = -1;
+      state.refEyeDist = null;
+      selector.reset();
+      watchFrameTimes();
+    } catch (err) {
+      console.error(err);
+      stop();
+      throw new Error("开启追踪失败（检查权限/摄像头）");
+    }
+  }
+
+  /**
+   * 加载 tasks-vision + 人脸模型。先预检资源（缺文件时报出具体文件名），
+   * 再按配置创建 FaceLandmarker：auto 模式下 GPU 初始化失败自动退回 CPU。
+   * 抛出的错误信息都可以直接显示给用户（原始错误打印在控制台）。
+   */
+  async function loadFaceLandmarker() {
+    const assets = normalizeMediaPipeAssets(mediapipeAssets);
+    const urls = resolveMediaPipeAssets(assets);
+
+    setStatus("检查追踪模型资源…");
+    await checkMediaPipeAssets(urls);
+
+    setStatus("加载追踪模型…");
+    let vision;
+    let fileset;
+    try {
+      vision = await import(urls.bundleUrl);
+      fileset = await vision.FilesetResolver.forVisionTasks(urls.wasmUrl);
+    } catch (err) {
+      console.error(err);
+      throw new Error(`MediaPipe 脚本加载失败（版本需为 ${VISION_VERSION}，详见控制台）`);
+    }
+    const create = (delegate) =>
+      vision.FaceLandmarker.createFromOptions(fileset, {
+        baseOptions: { modelAssetPath: urls.modelUrl, delegate },
+        runningMode: "VIDEO",
+        numFaces: MAX_FACES,
+        // 姿态矩阵用来做偏转（yaw）补偿
+        outputFacialTransformationMatrixes: true,
+        // 表情系数（ARKit 的 52 个 blendshape），用于让角色跟着观察者眨眼/张嘴
+        outputFaceBlendshapes: true
+      });
+
+    const delegates = assets.delegate === "cpu" ? ["CPU"] : assets.delegate === "gpu" ? ["GPU"] : ["GPU", "CPU"];
+    for (const delegate of delegates) {
+      try {
+        const landmarker = await create(delegate);
+        state.delegate = delegate;
+        return landmarker;
+      } catch (err) {
+        console.warn(`FaceLandmarker ${delegate} 初始化失败`, err);
+        if (delegate === "GPU" && delegates.includes("CPU")) setStatus("GPU 初始化失败，改用 CPU…");
+      }
+    }
+    throw new Error(`追踪模型初始化失败（${delegates.join("/")}，详见控制台）`);
+  }
+
+  /**
+   * 关闭追踪并释放摄像头资源（stop tracks）。
+   */
+  function stop() {
+    state.refEyeDist = null;
+    state.lastVideoTime = -1;
+    state.frameCapturedAt = null;
+    if (state.frameCallbackId !== null) webcamVideo.cancelVideoFrameCallback?.(state.frameCallbackId);
+    state.frameCallbackId = null;
+    selector.reset();
+    clearOverlay();
+    webcamPane.style.display = "none";
+    if (state.stream) {
+      for (const t of state.stream.getTracks()) t.stop();
+      state.stream = null;
+    }
+    webcamVideo.srcObject = null;
+  }
+
+  /**
+   * 用 requestVideoFrameCallback 记录每个视频帧的采集时刻（captureTime，没有则退回 presentationTime），
+   * 这样“采集 → 渲染”的延迟才能量到，而不只是推理开始的时间。
+   */
+  function watchFrameTimes() {
+    if (!webcamVideo.requestVideoFrameCallback) return;
+    const onFrame = (now, meta) => {
+      state.frameCapturedAt = meta?.captureTime ?? meta?.presentationTime ?? now;
+      if (state.stream) state.frameCallbackId = webcamVideo.requestVideoFrameCallback(onFrame);
+    };
+    state.frameCallbackId = webcamVideo.requestVideoFrameCallback(onFrame);
+  }
+
+  /**
+   * 对新视频帧做一次推理；同一帧不重复推理（返回 null）。
+   */
+  function poll(nowMs) {
+    if (!state.stream || !state.faceLandmarker) return null;
+    if (webcamVideo.readyState < 2) return null;
+    if (webcamVideo.currentTime === state.lastVideoTime) return null;
+    state.lastVideoTime = webcamVideo.currentTime;
+
+    // 采集时刻不能晚于现在（rVFC 回调可能落后一帧，这时退回 nowMs）
+    const capturedAt = Math.min(state.frameCapturedAt ?? nowMs, nowMs);
+    const result = state.faceLandmarker.detectForVideo(webcamVideo, nowMs);
+    const videoWidth = webcamVideo.videoWidth || 640;
+    const videoHeight = webcamVideo.videoHeight || 480;
+    const faces = (result?.faceLandmarks ?? [])
+      .map((landmarks, i) => {
+        const face = measureFace(landmarks, result.facialTransformationMatrixes?.[i]?.data, videoWidth, videoHeight);
+        if (face) face.resultIndex = i;
+        return face;
+      })
+      .filter(Boolean);
+
+    // 多人时按策略选出观察者；换人后相对深度的参考眼距要重新取
+    const { index, switched } = selector.select(faces, capturedAt);
+    if (switched) state.refEyeDist = null;
+    drawOverlay(faces, index, videoWidth, videoHeight);
+
+    const face = faces[index];
+    if (!face) return { space: "camera", x: 0, y: 0, z: 1, confidence: 0, timestamp: capturedAt, capturedAt };
+
+    const calibration = getCalibration();
+    const distanceCm = estimateDistanceCm(calibration, face, videoWidth, videoHeight);
+
+    // x/y：以画面中心为 0，向右/向上为正（y 取反让屏幕坐标更直观）
+    const dx = face.centerX - 0.5;
+    const sample = {
+      space: "camera",
+      x: mirroredWebcamPreview ? -dx : dx,
+      y: -(face.centerY - 0.5),
+      z: 1,
+      aspect: videoWidth / videoHeight,
+      confidence: 1,
+      timestamp: capturedAt,
+      capturedAt,
+      raw: {
+        landmarks: face.landmarks,
+        foreshortening: face.foreshortening,
+        faceCount: faces.length,
+        blendshapes: toBlendshapeMap(result.faceBlendshapes?.[face.resultIndex])
+      }
+    };
+
+    if (distanceCm !== null) {
+      // 绝对距离：z 换算成“默认观看距离”的倍数，供未标定的屏幕空间使用
+      sample.distanceCm = distanceCm;
+      sample.z = distanceCm / calibration.viewDistanceCm;
+    } else {
+      // 相对深度：用“参考眼距 / 当前眼距”估计深度比例（范围做 clamp 防止爆炸）
+      if (!state.refEyeDist) state.refEyeDist = face.frontalEyeDistPx;
+      sample.z = Math.min(Math.max(state.refEyeDist / face.frontalEyeDistPx, 0.7), 1.8);
+    }
+    return sample;
+  }
+
+  /**
+   * 按标定里的 depthMethod 估计眼睛到摄像头的绝对距离（cm）。
+   * 针孔模型：距离 = 焦距(px) × 真实尺寸(cm) / 画面尺寸(px)，焦距由水平视场角求出。
+   *
+   * @returns {number|null} relative 模式或数据不足时返回 null
+   */
+  function estimateDistanceCm(calibration, face, videoWidth, videoHeight) {
+    if (calibration.depthMethod === "relative") return null;
+    const focalPx = videoWidth / 2 / Math.tan((calibration.cameraFovDeg * Math.PI) / 360);
+
+    let distanceCm = null;
+    if (calibration.depthMethod === "iris" && face.hasIris) {
+      // 虹膜是圆的：偏转时横向直径变短、纵向不变，俯仰时相反，所以取横/纵直径里较大的那个
+      const irisPx =
+        (irisDiameterPx(face.landmarks, LANDMARK.leftIrisRing, videoWidth, videoHeight) +
+          irisDiameterPx(face.landmarks, LANDMARK.rightIrisRing, videoWidth, videoHeight)) /
+        2;
+      if (irisPx > 0) distanceCm = (focalPx * IRIS_DIAMETER_CM) / irisPx;
+    } else if (calibration.depthMethod === "ipd" || !face.hasIris) {
+      const eyeSpanCm = face.hasIris ? calibration.viewerIpdCm : calibration.viewerIpdCm * OUTER_EYE_SPAN_PER_IPD;
+      distanceCm = (focalPx * eyeSpanCm) / face.frontalEyeDistPx;
+    }
+
+    if (!Number.isFinite(distanceCm)) return null;
+    return Math.min(Math.max(distanceCm, DISTANCE_RANGE_CM[0]), DISTANCE_RANGE_CM[1]);
+  }
+
+  /**
+   * 在预览画面上标出检测到的人脸：驱动投影的那张用粉色粗框，其它人用细白框；
+   * 锁定的人暂时不见时，在他最后出现的位置画虚线圈。
+   * 叠加层和 video 一样做了 CSS 镜像，所以这里直接按原始视频帧坐标画。
+   */
+  function drawOverlay(faces, activeIndex, videoWidth, videoHeight) {
+    if (!webcamOverlay) return;
+    if (webcamOverlay.width !== videoWidth) webcamOverlay.width = videoWidth;
+    if (webcamOverlay.height !== videoHeight) webcamOverlay.height = videoHeight;
+    const ctx = webcamOverlay.getContext("2d");
+    ctx.clearRect(0, 0, videoWidth, videoHeight);
+    // 预览只有 180px 宽，线宽按缩放比例放大，保证缩小后仍看得清
+    const px = videoWidth / 180;
+
+    faces.forEach((face, i) => {
+      const active = i === activeIndex;
+      ctx.strokeStyle = active ? "#f472b6" : "rgba(255, 255, 255, 0.7)";
+      ctx.lineWidth = (active ? 2.5 : 1) * px;
+      const { minX, minY, maxX, maxY } = face.box;
+      ctx.strokeRect(minX * videoWidth, minY * videoWidth, (maxX - minX) * videoWidth, (maxY - minY) * videoWidth);
+    });
+
+    const locked = selector.locked;
+    if (activeIndex < 0 && locked) {
+      ctx.strokeStyle = "#f472b6";
+      ctx.lineWidth = 1.5 * px;
+      ctx.setLineDash([4 * px, 3 * px]);
+      ctx.beginPath();
+      ctx.arc(locked.x * videoWidth, locked.y * videoWidth, locked.size * 1.5 * videoWidth, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  }
+
+  function clearOverlay() {
+    webcamOverlay?.getContext("2d").clearRect(0, 0, webcamOverlay.width, webcamOverlay.height);
+  }
+
+  /**
+   * 预览画面点选观察者（只在 manual 策略下生效）。
+   * 预览是镜像显示的：点在画面左侧，对应原始视频帧的右侧。
+   */
+  function onOverlayClick(e) {
+    if (selector.settings.policy !== "manual") return;
+    const rect = webcamOverlay.getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+    const u = (e.clientX - rect.left) / rect.width;
+    const v = (e.clientY - rect.top) / rect.height;
+    const aspect = (webcamVideo.videoWidth || 640) / (webcamVideo.videoHeight || 480);
+    selector.pick({ x: mirroredWebcamPreview ? 1 - u : u, y: v / aspect });
+  }
+
+  /**
+   * 更新多人脸选择策略（UI 实时调节）。
+   * @param {typeof DEFAULT_FACE_SELECTION} settings
+   */
+  function setFaceSelection(settings) {
+    selector.setSettings(settings);
+    if (webcamOverlay) webcamOverlay.style.cursor = selector.settings.policy === "manual" ? "crosshair" : "";
+  }
+
+  /**
+   * 重置参考眼距（模型切换/屏幕参数重标定时调用，下一帧重新取参考）。
+   */
+  function resetReference() {
+    state.refEyeDist = null;
+  }
+
+  return {
+    id: "mediapipe",
+    label: "摄像头",
+    continuous: true,
+    get hint() {
+      const notes = [];
+      if (selector.settings.policy === "manual") notes.push("点击右下角预览选择观察者");
+      // CPU 推理明显更慢，提示一下以免被误会成卡顿
+      if (state.delegate === "CPU") notes.push("CPU 推理");
+      return notes.length ? `追踪中（${notes.join("，")}）` : "追踪中";
+    },
+    start,
+    stop,
+    poll,
+    resetReference,
+    setFaceSelection
+  };
+}
+
+/**
+ * 把一张脸的关键点整理成选择/测距要用的量。
+ * @returns {(import('./face-selector.js').FaceCandidate & object)|null} 关键点不全时返回 null
+ */
+function measureFace(landmarks, matrix, videoWidth, videoHeight) {
+  // 眼睛位置：优先用虹膜中心（瞳孔），旧模型没有虹膜点时退回外眼角
+  const hasIris = landmarks.length > LANDMARK.rightIrisRing[3];
+  const leftEye = landmarks[hasIris ? LANDMARK.leftIrisCenter : LANDMARK.leftEyeOuter];
+  const rightEye = landmarks[hasIris ? LANDMARK.rightIrisCenter : LANDMARK.rightEyeOuter];
+  if (!leftEye || !rightEye) return null;
+
+  // 像素坐标下计算距离（归一化坐标横纵比例不同）
+  const eyeDistPx = Math.hypot((leftEye.x - rightEye.x) * videoWidth, (leftEye.y - rightEye.y) * videoHeight);
+  if (!Number.isFinite(eyeDistPx) || eyeDistPx <= 0) return null;
+
+  // 偏转补偿：把画面里的眼距还原成“正对摄像头”时的长度
+  const foreshortening = getEyeLineForeshortening(matrix, leftEye, rightEye, videoWidth, videoHeight);
+  const frontalEyeDistPx = eyeDistPx / foreshortening;
+
+  // 选择用的坐标统一以画面宽度为单位
+  const toWidth = videoHeight / videoWidth;
+  const centerX = (leftEye.x + rightEye.x) * 0.5;
+  const centerY = (leftEye.y + rightEye.y) * 0.5;
+  const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  for (const p of landmarks) {
+    box.minX = Math.min(box.minX, p.x);
+    box.maxX = Math.max(box.maxX, p.x);
+    box.minY = Math.min(box.minY, p.y * toWidth);
+    box.maxY = Math.max(box.maxY, p.y * toWidth);
+  }
+
+  return {
+    x: centerX,
+    y: centerY * toWidth,
+    size: frontalEyeDistPx / videoWidth,
+    offCenter: Math.hypot(centerX - 0.5, (centerY - 0.5) * toWidth),
+    box,
+    landmarks,
+    hasIris,
+    centerX,
+    centerY,
+    foreshortening,
+    frontalEyeDistPx
+  };
+}
+
+/**
+ * 双眼连线的透视缩短系数（0~1，正对摄像头时为 1）。
+ * - 有面部姿态矩阵时：取人脸局部 x 轴（双眼连线方向）在相机坐标系里投影到画面平面的长度
+ * - 否则退回 landmark 的 z（与 x 同尺度的相对深度）估计双眼连线的 3D 方向
+ * 下限 0.35，避免侧脸时把眼距放大过头。
+ */
+function getEyeLineForeshortening(matrix, leftEye, rightEye, videoWidth, videoHeight) {
+  let factor;
+  if (matrix && matrix.length >= 16) {
+    // 列主序 4x4：第一列是人脸局部 x 轴在相机坐标系里的方向
+    factor = Math.hypot(matrix[0], matrix[1]) / (Math.hypot(matrix[0], matrix[1], matrix[2]) || 1);
+  } else {
+    const dx = (leftEye.x - rightEye.x) * videoWidth;
+    const dy = (leftEye.y - rightEye.y) * videoHeight;
+    const dz = ((leftEye.z ?? 0) - (rightEye.z ?? 0)) * videoWidth;
+    factor = Math.hypot(dx, dy) / (Math.hypot(dx, dy, dz) || 1);
+  }
+  return Math.min(Math.max(factor, 0.35), 1);
+}
+
+/**
+ * 单眼虹膜直径（px）：横向（右-左）与纵向（上-下）直径取较大者。
+ */
+function irisDiameterPx(landmarks, ring, videoWidth, videoHeight) {
+  const [right, top, left, bottom] = ring.map((i) => landmarks[i]);
+  if (!right || !top || !left || !bottom) return 0;
+  const horizontal = Math.hypot((right.x - left.x) * videoWidth, (right.y - left.y) * videoHeight);
+  const vertical = Math.hypot((top.x - bottom.x) * videoWidth, (top.y - bottom.y) * videoHeight);
+  return Math.max(horizontal, vertical);
+}
+
+/**
+ * blendshapes 结果 → { categoryName: score }；没有结果时为 null。
+ */
+function toBlendshapeMap(classifications) {
+  const categories = classifications?.categories;
+  if (!categories?.length) return null;
+  const out = {};
+  for (const c of categories) out[c.categoryName] = c.score;
+  return out;
+}
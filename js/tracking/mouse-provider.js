@@ -0,0 +1,51 @@
+/**
+ * 鼠标模拟头动：把鼠标在画布上的位置映射为“观察点相对屏幕中心的偏移”。
+ * 只在鼠标移动时产生新数据（continuous = false），深度固定为默认视距。
+ *
+ * @param {{canvas: HTMLCanvasElement}} deps
+ * @returns {import('./providers.js').HeadTrackingProvider}
+ */
+export function createMouseProvider({ canvas }) {
+  // 最近一次未被 poll 取走的采样
+  let pending = null;
+
+  function handlePointerMove(e) {
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (width === 0 || height === 0) return;
+    pending = {
+      space: "screen",
+      x: e.clientX / width - 0.5,
+      y: -(e.clientY / height - 0.5),
+      z: 1,
+      confidence: 1,
+      timestamp: performance.now()
+    };
+  }
+
+  async function start() {
+    pending = null;
+    window.addEventListener("pointermove", handlePointerMove, { passive: true });
+  }
+
+  function stop() {
+    window.removeEventListener("pointermove", handlePointerMove);
+    pending = null;
+  }
+
+  function poll() {
+    const sample = pending;
+    pending = null;
+    return sample;
+  }
+
+  return {
+    id: "mouse",
+    label: "鼠标",
+    continuous: false,
+    hint: "提示：移动鼠标可模拟头动",
+    start,
+    stop,
+    poll
+  };
+}
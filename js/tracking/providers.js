@@ -0,0 +1,47 @@
+import { createMouseProvider } from "./mouse-provider.js";
+import { createMediaPipeProvider } from "./mediapipe-provider.js";
+import { createKeyboardProvider } from "./keyboard-provider.js";
+import { createReplayProvider } from "./replay-provider.js";
+
+/**
+ * 头动追踪 provider（数据来源）接口。
+ *
+ * off-axis 控制器只认这个接口，不关心数据来自鼠标、摄像头还是录制好的轨迹：
+ * - start()：申请资源（监听输入/打开摄像头/检查轨迹），失败时 throw（message 会直接显示在状态栏）
+ * - stop()：释放资源，可重复调用
+ * - poll(nowMs)：每帧调用一次，有新数据返回 HeadSample，没有返回 null
+ *
+ * @typedef {object} HeadSample
+ * @property {"screen"|"camera"} space 坐标空间
+ *   - "screen"：x/y 为相对屏幕中心的偏移（单位：屏幕宽/高，约 -0.5~0.5，右/上为正），z 为“默认视距”的倍数
+ *   - "camera"：x/y 为摄像头画面中心的偏移（单位：画面宽/高，已按观察者视角处理镜像），z 同上；
+ *     另带 aspect（画面宽高比），标定后控制器会按摄像头视场角换算成厘米
+ * @property {number} x
+ * @property {number} y
+ * @property {number} z
+ * @property {number} confidence 0~1；0 表示本帧没检测到（位置字段无意义）
+ * @property {number} timestamp 采样时间（ms，performance.now 或轨迹时间），滤波器按它计算速度
+ * @property {number} [capturedAt] 实时来源的采集时刻（performance.now 时基），用于测量/补偿延迟；回放没有
+ * @property {number} [aspect] 仅 camera 空间：画面宽高比
+ * @property {number} [distanceCm] 仅 camera 空间：估计出的眼睛到摄像头的绝对距离（cm），有它时优先于 z
+ * @property {object} [raw] provider 自带的原始数据（如 MediaPipe landmarks），用于调试/录制
+ *
+ * @typedef {object} HeadTrackingProvider
+ * @property {string} id
+ * @property {string} label UI 显示名
+ * @property {boolean} continuous 是否持续输出（摄像头/回放）；false 表示只在用户输入时更新（鼠标/键盘）
+ * @property {string} hint 启用后的状态栏提示
+ * @property {() => Promise<void>} start
+ * @property {() => void} stop
+ * @property {(nowMs: number) => HeadSample|null} poll
+ */
+
+/**
+ * 可选的追踪来源（UI 下拉菜单的数据源）。create(deps) 返回 HeadTrackingProvider。
+ */
+export const TRACKING_PROVIDERS = [
+  { id: "mouse", label: "鼠标", create: createMouseProvider },
+  { id: "mediapipe", label: "摄像头", create: createMediaPipeProvider },
+  { id: "keyboard", label: "键盘/手柄", create: createKeyboardProvider },
+  { id: "replay", label: "回放", create: createReplayProvider }
+];
@@ -0,0 +1,146 @@
+/**
+ * 回放追踪：播放一段录制好的头部姿态轨迹（JSON），用于在没有摄像头的机器（CI）上
+ * 确定性地驱动 off-axis 管线。
+ *
+ * 轨迹格式：
+ * {
+ *   "frames": [
+ *     { "t": 0,  "sample": { "space": "screen", "x": 0, "y": 0, "z": 1, "confidence": 1 } },
+ *     { "t": 33, "x": 0.05, "y": 0, "z": 1 }   // 也接受把 sample 字段直接平铺在帧上
+ *   ]
+ * }
+ * - t：毫秒时间戳（相对任意起点，会按第一帧对齐）
+ * - space 缺省为 "screen"，confidence 缺省为 1
+ * - "sample": null 的帧（录制时该帧没有新采样）会被跳过，所以录制器导出的 JSON 可以直接回放
+ *
+ * 播放方式：
+ * - "realtime"：按真实时间推进（t 间隔即播放间隔）
+ * - "frame"：每次 poll 前进一帧，与渲染帧率无关（CI 用这个，结果逐帧可复现）
+ *
+ * @param {{setStatus: (text: string) => void}} deps
+ */
+export function createReplayProvider({ setStatus }) {
+  const options = { mode: "realtime", loop: true };
+  let frames = [];
+  let index = -1;
+  let startMs = null;
+  let running = false;
+
+  /**
+   * 载入轨迹（会校验并规整）。可在播放中替换，替换后从头播放。
+   * @param {any} json
+   */
+  function setTrace(json) {
+    frames = normalizeTrace(json);
+    index = -1;
+    startMs = null;
+  }
+
+  /**
+   * @param {{mode?: "realtime"|"frame", loop?: boolean}} next
+   */
+  function setOptions(next) {
+    if (next?.mode === "realtime" || next?.mode === "frame") options.mode = next.mode;
+    if (typeof next?.loop === "boolean") options.loop = next.loop;
+  }
+
+  async function start() {
+    if (frames.length === 0) throw new Error("请先选择回放轨迹（JSON）");
+    index = -1;
+    startMs = null;
+    running = true;
+  }
+
+  function stop() {
+    running = false;
+  }
+
+  function poll(nowMs) {
+    if (!running || frames.length === 0) return null;
+
+    if (options.mode === "frame") {
+      index += 1;
+    } else {
+      if (startMs === null) startMs = nowMs;
+      const t = frames[0].t + (nowMs - startMs);
+      let next = index;
+      while (next + 1 < frames.length && frames[next + 1].t <= t) next += 1;
+      if (next === index) {
+        if (index < frames.length - 1) return null;
+        index = frames.length;
+      } else {
+        index = next;
+      }
+    }
+
+    if (index >= frames.length) {
+      if (!options.loop) {
+        running = false;
+        setStatus("回放结束");
+        return null;
+      }
+      index = 0;
+      startMs = nowMs;
+    }
+
+    return { ...frames[index].sample, timestamp: frames[index].t };
+  }
+
+  return {
+    id: "replay",
+    label: "回放",
+    continuous: true,
+    get hint() {
+      return `回放中（${frames.length} 帧）`;
+    },
+    get frameCount() {
+      return frames.length;
+    },
+    get frameIndex() {
+      return index;
+    },
+    start,
+    stop,
+    poll,
+    setTrace,
+    setOptions
+  };
+}
+
+/**
+ * 校验并规整轨迹：返回按 t 升序的 [{t, sample}]。格式不对时 throw（message 面向用户）。
+ * @param {any} json
+ * @returns {{t: number, sample: import('./providers.js').HeadSample}[]}
+ */
+export function normalizeTrace(json) {
+  const rawFrames = Array.isArray(json) ? json : json?.frames;
+  if (!Array.isArray(rawFrames) || rawFrames.length === 0) {
+    throw new Error("回放轨迹格式错误：缺少 frames 数组");
+  }
+
+  const frames = [];
+  rawFrames.forEach((frame, i) => {
+    if (frame?.sample === null) return;
+    const src = frame?.sample ?? frame;
+    const t = Number(frame?.t);
+    const x = Number(src?.x);
+    const y = Number(src?.y);
+    const z = src?.z === undefined ? 1 : Number(src.z);
+    if (![t, x, y, z].every(Number.isFinite)) {
+      throw new Error(`回放轨迹格式错误：第 ${i} 帧缺少 t/x/y/z 数值`);
+    }
+    const space = src.space === "camera" ? "camera" : "screen";
+    const confidence = src.confidence === undefined ? 1 : Number(src.confidence);
+    const sample = { space, x, y, z, confidence: Number.isFinite(confidence) ? confidence : 1 };
+    if (space === "camera" && Number.isFinite(Number(src.aspect))) sample.aspect = Number(src.aspect);
+    // Number(null) 是 0：导出时没有绝对距离的帧写的是 null，不能当成 0cm
+    if (space === "camera" && src.distanceCm != null && Number.isFinite(Number(src.distanceCm))) {
+      sample.distanceCm = Number(src.distanceCm);
+    }
+    frames.push({ t, sample });
+  });
+  if (frames.length === 0) throw new Error("回放轨迹格式错误：没有有效帧");
+
+  frames.sort((a, b) => a.t - b.t);
+  return frames;
+}
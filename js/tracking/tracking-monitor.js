@@ -0,0 +1,187 @@
+/**
+ * 追踪质量统计 + 丢失处理（只用于持续来源：摄像头/回放）。
+ *
+ * 丢失处理：
+ * - 丢失后先保持最后的视角 lostHoldMs（眨眼/转头/短暂遮挡时画面不乱动）
+ * - 超时后在 lostReturnMs 内缓动回“正中、默认观察距离”的中立视角
+ * - 重新检测到时，在 reacquireMs 内从当前视角混合到新的追踪结果，而不是直接跳过去
+ *
+ * 质量统计（最近 STATS_WINDOW_MS 内）：
+ * - detectionRate：新视频帧里检测到人脸的比例
+ * - sampleRate：新采样的帧率
+ * - jitter：位置噪声估计。用相邻三帧的二阶差分（匀速运动时为 0，只剩噪声），
+ *   白噪声下 var(二阶差分) = 6σ²，所以 σ ≈ sqrt(mean(d²) / 6)
+ *
+ * 坐标单位与滤波器一致（屏幕高度归一化），时间用 performance.now 时基。
+ */
+const STATS_WINDOW_MS = 2000;
+// 持续来源多久没有任何检测结果也算丢失（provider 卡住/视频停了）
+const STALL_MS = 500;
+
+export function createTrackingMonitor() {
+  // 最近的采样记录（检测率/帧率统计用）
+  let history = [];
+  // jitter：二阶差分平方的指数平均，以及最近三帧的测量
+  let jitterSq = 0;
+  let jitterCount = 0;
+  const prev = [];
+
+  const loss = {
+    // lastDetectedAt：最近一次检测到的时刻；null 表示从 reset 后还没检测到过
+    lastDetectedAt: null,
+    // lost：当前是否处于丢失状态
+    lost: false,
+    // held：丢失时的视角（保持/缓动的起点）
+    held: { x: 0, y: 0, z: 0 },
+    // blendFrom / blendStartMs：重新检测到时的混合起点
+    blendFrom: { x: 0, y: 0, z: 0 },
+    blendStartMs: null
+  };
+  // output：上一帧输出的视角
+  const output = { x: 0, y: 0, z: 0 };
+
+  /**
+   * 记录一次新采样。
+   * @param {import('./providers.js').HeadSample|null} sample
+   * @param {{x: number, y: number, z: number}} measurement 本次采样换算后的位置（归一化）
+   * @param {number} nowMs
+   * @returns {boolean} 是否是“丢失后重新检测到”（调用方应把滤波器重置到 measurement）
+   */
+  function observe(sample, measurement, nowMs) {
+    if (!sample) return false;
+    const detected = sample.confidence > 0;
+    history.push({ t: nowMs, detected });
+    while (history.length && nowMs - history[0].t > STATS_WINDOW_MS) history.shift();
+
+    if (!detected) {
+      prev.length = 0;
+      return false;
+    }
+    updateJitter(measurement);
+
+    const reacquired = loss.lost;
+    if (reacquired) {
+      copy(loss.blendFrom, output);
+      loss.blendStartMs = nowMs;
+      loss.lost = false;
+    }
+    loss.lastDetectedAt = nowMs;
+    return reacquired;
+  }
+
+  /**
+   * 根据丢失状态决定最终视角。
+   * @param {{x: number, y: number, z: number}} filtered 滤波器输出
+   * @param {{x: number, y: number, z: number}} neutral 中立视角
+   * @param {number} nowMs
+   * @param {{lostHoldMs: number, lostReturnMs: number, reacquireMs: number}} settings
+   * @param {{x: number, y: number, z: number}} out
+   * @returns {"tracking"|"holding"|"returning"} 当前阶段
+   */
+  function resolve(filtered, neutral, nowMs, settings, out) {
+    if (loss.lastDetectedAt === null) {
+      // 还没有任何采样：沿用滤波器（也就是切换来源时的位置）
+      if (!history.length) {
+        copy(output, copy(out, filtered));
+        return "tracking";
+      }
+      // 有采样但一直没检测到：按“从第一帧起就丢失”处理
+      loss.lastDetectedAt = history[0].t;
+    }
+
+    const lastDetected = history.length ? history[history.length - 1].detected : false;
+    const lostForMs = nowMs - loss.lastDetectedAt;
+    if (!loss.lost && (!lastDetected || lostForMs > STALL_MS)) {
+      loss.lost = true;
+      loss.blendStartMs = null;
+      copy(loss.held, output);
+    }
+
+    if (loss.lost) {
+      const k = smoothstep((lostForMs - settings.lostHoldMs) / Math.max(settings.lostReturnMs, 1));
+      lerp(out, loss.held, neutral, k);
+      copy(output, out);
+      return lostForMs < settings.lostHoldMs ? "holding" : "returning";
+    }
+
+    copy(out, filtered);
+    if (loss.blendStartMs !== null) {
+      const t = (nowMs - loss.blendStartMs) / Math.max(settings.reacquireMs, 1);
+      if (t < 1) lerp(out, loss.blendFrom, filtered, smoothstep(t));
+      else loss.blendStartMs = null;
+    }
+    copy(output, out);
+    return "tracking";
+  }
+
+  /**
+   * 质量统计。jitter 为归一化单位（屏幕高度），没有足够数据时为 null。
+   */
+  function getStats(nowMs) {
+    const recent = history.filter((h) => nowMs - h.t <= STATS_WINDOW_MS);
+    const detected = recent.filter((h) => h.detected).length;
+    const span = recent.length > 1 ? recent[recent.length - 1].t - recent[0].t : 0;
+    return {
+      detectionRate: recent.length ? detected / recent.length : 0,
+      sampleRate: span > 0 ? ((recent.length - 1) * 1000) / span : 0,
+      jitter: jitterCount >= 3 ? Math.sqrt(jitterSq / 6) : null,
+      lost: loss.lost
+    };
+  }
+
+  /**
+   * 清空统计与丢失状态（切换来源时调用）。
+   * @param {{x: number, y: number, z: number}} position 当前视角
+   */
+  function reset(position) {
+    history = [];
+    jitterSq = 0;
+    jitterCount = 0;
+    prev.length = 0;
+    loss.lastDetectedAt = null;
+    loss.lost = false;
+    loss.blendStartMs = null;
+    copy(output, position);
+  }
+
+  function updateJitter(m) {
+    prev.push({ x: m.x, y: m.y });
+    if (prev.length > 3) prev.shift();
+    if (prev.length < 3) return;
+    const dx = prev[2].x - 2 * prev[1].x + prev[0].x;
+    const dy = prev[2].y - 2 * prev[1].y + prev[0].y;
+    // 只看平面内（x/y）的抖动：深度噪声通常大得多，混在一起反而看不出问题
+    const d2 = (dx * dx + dy * dy) / 2;
+    jitterCount++;
+    jitterSq += (d2 - jitterSq) * (jitterCount < 30 ? 1 / jitterCount : 1 / 30);
+  }
+
+  return {
+    get lost() {
+      return loss.lost;
+    },
+    observe,
+    resolve,
+    getStats,
+    reset
+  };
+}
+
+function smoothstep(t) {
+  const x = Math.min(Math.max(t, 0), 1);
+  return x * x * (3 - 2 * x);
+}
+
+function lerp(out, a, b, k) {
+  out.x = a.x + (b.x - a.x) * k;
+  out.y = a.y + (b.y - a.y) * k;
+  out.z = a.z + (b.z - a.z) * k;
+  return out;
+}
+
+function copy(out, v) {
+  out.x = v.x;
+  out.y = v.y;
+  out.z = v.z;
+  return out;
+}
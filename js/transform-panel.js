@@ -0,0 +1,115 @@
+import { TRANSFORM_MODES } from "./model-transform-editor.js";
+import { formatTransformSnippet } from "./model-utils.js";
+
+const AXES = ["X", "Y", "Z"];
+
+/**
+ * 摆放面板：把手模式（移动/旋转/缩放）、位置/旋转/缩放数值、“复制 transform”。
+ *
+ * 面板打开时显示把手（editor.setEnabled），关闭时隐藏。输入框里旋转用角度（好填），
+ * 复制出来的片段和清单一样用弧度（见 model-utils.js 的 formatTransformSnippet）。
+ * 把手拖动中/换模型后由调用方调用 sync() 刷新数值；复制到剪贴板交给调用方（onCopy）。
+ *
+ * @param {object} args
+ * @param {HTMLElement} args.panelEl 面板根节点
+ * @param {ReturnType<typeof import('./model-transform-editor.js').createTransformEditor>} args.editor
+ * @param {(snippet: string) => void} args.onCopy
+ */
+export function createTransformPanel({ panelEl, editor, onCopy }) {
+  const field = (name) => panelEl.querySelector(`[name="${name}"]`);
+  const snippetEl = field("snippet");
+
+  for (const m of TRANSFORM_MODES) {
+    const opt = document.createElement("option");
+    opt.value = m.id;
+    opt.textContent = m.label;
+    field("mode").appendChild(opt);
+  }
+  field("mode").value = editor.mode;
+
+  panelEl.addEventListener("change", (e) => {
+    const name = e.target?.name;
+    if (name === "mode") {
+      editor.setMode(field("mode").value);
+    } else if (name === "local") {
+      editor.setLocal(field("local").checked);
+    } else if (/^(position|rotation|scale)[XYZ]$/.test(name)) {
+      const next = applyField(name, e.target.value);
+      if (next) editor.setTransform(next);
+      sync();
+    }
+  });
+
+  panelEl.addEventListener("click", (e) => {
+    const action = e.target?.dataset?.action;
+    if (action === "copy") {
+      if (snippetEl.value) onCopy(snippetEl.value);
+    } else if (action === "close") {
+      setOpen(false);
+    }
+  });
+
+  /**
+   * 在模型当前变换上只改这一个分量（其他分量沿用原值，不经过输入框里四舍五入的角度）。
+   * @param {string} name 字段名，如 "rotationY"
+   * @param {string} text 输入框的值
+   * @returns {object|null} 新的变换；非法输入（空/非数字/缩放为 0）或没有模型时为 null
+   */
+  function applyField(name, text) {
+    const current = editor.getTransform();
+    const value = Number(text);
+    if (!current || text.trim() === "" || !Number.isFinite(value)) return null;
+    const [, key, axis] = name.match(/^(position|rotation|scale)([XYZ])$/);
+    const i = AXES.indexOf(axis);
+    const position = [...current.position];
+    const rotation = [...current.rotation];
+    const scale = Array.isArray(current.scale) ? [...current.scale] : AXES.map(() => current.scale);
+    if (key === "position") position[i] = value;
+    else if (key === "rotation") rotation[i] = (value * Math.PI) / 180;
+    else if (value === 0) return null;
+    // 等比缩放：改一个轴，三个轴一起变
+    else if (field("uniformScale").checked) scale.fill(value);
+    else scale[i] = value;
+    return { position, rotation, scale };
+  }
+
+  /**
+   * 用当前模型的变换刷新输入框和片段（正在输入的框不动）。
+   */
+  function sync() {
+    const transform = editor.getTransform();
+    for (const el of panelEl.querySelectorAll("[data-has-model]")) el.hidden = !transform;
+    panelEl.querySelector("[data-empty]").hidden = Boolean(transform);
+    if (!transform) {
+      snippetEl.value = "";
+      return;
+    }
+    const scale = Array.isArray(transform.scale) ? transform.scale : AXES.map(() => transform.scale);
+    AXES.forEach((axis, i) => {
+      writeField(`position${axis}`, transform.position[i]);
+      writeField(`rotation${axis}`, Math.round(((transform.rotation[i] * 180) / Math.PI) * 100) / 100);
+      writeField(`scale${axis}`, scale[i]);
+    });
+    snippetEl.value = formatTransformSnippet(transform);
+  }
+
+  function writeField(name, value) {
+    const el = field(name);
+    const text = String(value);
+    if (el !== document.activeElement && el.value !== text) el.value = text;
+  }
+
+  function setOpen(open) {
+    panelEl.hidden = !open;
+    editor.setEnabled(open);
+    if (open) sync();
+  }
+
+  return {
+    get open() {
+      return !panelEl.hidden;
+    },
+    setOpen,
+    sync
+  };
+}